@@ -1,15 +1,106 @@
+const mongoose = require('mongoose');
 const FileData = require('../models/FileData');
+const ChatSession = require('../models/ChatSession');
 const DataAnalyzer = require('../utils/dataAnalyzer');
-const { generateAIInsights } = require('../utils/aiProviders');
+const Statistics = require('../utils/statistics');
+const DatasetStore = require('../utils/datasetStore');
+const UploadProcessor = require('../utils/uploadProcessor');
+const Forecaster = require('../utils/forecaster');
+const Clustering = require('../utils/clustering');
+const ChatHistory = require('../utils/chatHistory');
+const ChatTools = require('../utils/chatTools');
+const InsightSchema = require('../utils/insightSchema');
+const { QueryTranslator } = require('../utils/queryTranslator');
+const { RowQuery, QueryError } = require('../utils/rowQuery');
+const { generateAIInsights, streamAIInsights, generateWithTools, extractJson } = require('../utils/aiProviders');
+
+/**
+ * Summary statistics of a file's visible columns, computed from the stored
+ * rows when no current precomputed copy is available. Custom options
+ * (percentiles, histogram bins) are computed on the fly and not cached.
+ */
+const loadSummaryStats = async (fileData, options = {}) => {
+  const custom = options.percentiles !== undefined || options.bins !== undefined;
+  const cached = fileData.summaryStats;
+  if (!custom && cached && cached.version === DataAnalyzer.STATS_VERSION) return cached;
+
+  const rows = await DatasetStore.loadRows(fileData._id);
+  const summaryStats = DataAnalyzer.generateSummaryStats(rows, RowQuery.visibleColumns(fileData), options);
+  if (!custom) {
+    await FileData.updateOne({ _id: fileData._id }, { $set: { summaryStats } });
+  }
+  return summaryStats;
+};
+
+/**
+ * Whether the client asked for the answer as Server-Sent Events, with
+ * `stream: true` in the body or an `Accept: text/event-stream` header
+ */
+const wantsStream = req => req.body.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+
+/**
+ * Stream an AI answer as Server-Sent Events:
+ * - `token` events carry { text } as pieces of the answer arrive
+ * - `tool` events carry { name, arguments, error } for each tool call
+ * - one `done` event carries the response data built by
+ *   buildData(text, result), which may be async, plus provider, model,
+ *   streamed and latencyMs
+ * - an `error` event replaces `done` when the providers fail
+ * generate({ onToken, onEvent, signal }) produces the answer; the provider
+ * request is aborted when the client disconnects.
+ */
+const streamAnswer = async (res, generate, buildData) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const sendEvent = (event, data) => {
+    if (!controller.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await generate({
+      onToken: text => sendEvent('token', { text }),
+      onEvent: sendEvent,
+      signal: controller.signal
+    });
+    sendEvent('done', {
+      ...(await buildData(result.text, result)),
+      provider: result.provider,
+      model: result.model,
+      streamed: result.streamed,
+      latencyMs: result.latencyMs
+    });
+  } catch (aiError) {
+    if (!controller.signal.aborted) {
+      console.error('AI API error:', aiError);
+      sendEvent('error', { message: 'Error calling AI API: ' + aiError.message });
+    }
+  }
+  res.end();
+};
 
 /**
  * Generate AI insights from uploaded data
  * POST /api/ai/insights
- * Body: { fileId: string }
+ * Body: { fileId: string, includeClusters: boolean, format: 'text'|'json', stream: boolean }
+ * Streams Server-Sent Events instead of JSON when `stream` is set. With
+ * format 'json' the insights follow InsightSchema (title, description,
+ * columns, severity, metric, chart), falling back to text when the provider
+ * cannot produce valid JSON.
  */
 const generateInsights = async (req, res) => {
   try {
-    const { fileId } = req.body;
+    const { fileId, includeClusters = true, format = 'text' } = req.body;
     const userId = req.user._id;
 
     if (!fileId) {
@@ -19,6 +110,20 @@ const generateInsights = async (req, res) => {
       });
     }
 
+    if (!['text', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be "text" or "json"'
+      });
+    }
+
+    if (format === 'json' && wantsStream(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Structured insights cannot be streamed; request them without streaming'
+      });
+    }
+
     // Check if at least one AI provider is configured
     const hasProvider = process.env.HUGGINGFACE_API_KEY || 
                        process.env.GEMINI_API_KEY || 
@@ -35,7 +140,7 @@ const generateInsights = async (req, res) => {
     const fileData = await FileData.findOne({ 
       _id: fileId, 
       userId 
-    }).select('originalName data columns rowCount fileType uploadDate');
+    }).select('originalName columns rowCount fileType uploadDate status isProcessed processingError jobId summaryStats clustering');
 
     if (!fileData) {
       return res.status(404).json({
@@ -44,34 +149,81 @@ const generateInsights = async (req, res) => {
       });
     }
 
-    // Generate summary statistics
-    const summaryStats = DataAnalyzer.generateSummaryStats(
-      fileData.data,
-      fileData.columns
-    );
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    // Summary statistics are precomputed when the upload is processed
+    const summaryStats = await loadSummaryStats(fileData);
 
     // Format stats for AI
     const statsText = DataAnalyzer.formatStatsForAI(summaryStats);
 
+    // Segments from the latest clustering run, if any
+    const clusterText = includeClusters ? Clustering.formatForAI(fileData.clustering) : '';
+
     // Create AI prompt
     const prompt = `Analyze the following data summary and provide key insights, patterns, and trends.
 
-${statsText}
+${statsText}${clusterText ? '\n\n' + clusterText : ''}
 
 Please provide:
 1. Key insights and observations about the data
 2. Notable patterns or trends you've identified
 3. Potential outliers or anomalies
-4. Recommendations for further analysis
+4. Recommendations for further analysis${clusterText ? '\n5. A short narrative description of each segment: who or what it represents and how it differs from the others' : ''}
 
 Format your response in a clear, concise manner with bullet points where appropriate.`;
 
     const systemPrompt = 'You are a helpful data analyst assistant. Provide clear, actionable insights from data summaries.';
 
+    const buildData = (insights, details = { format: 'text' }) => ({
+      fileId: fileData._id,
+      fileName: fileData.originalName,
+      ...details,
+      insights,
+      clusters: clusterText ? fileData.clustering : undefined,
+      summaryStats: {
+        rowCount: summaryStats.rowCount,
+        columnCount: summaryStats.columnCount,
+        columns: summaryStats.columns
+      },
+      generatedAt: new Date().toISOString()
+    });
+
+    if (wantsStream(req)) {
+      return streamAnswer(res, options => streamAIInsights(prompt, systemPrompt, options), text => buildData(text));
+    }
+
     // Call AI provider (with automatic fallback)
     let aiResponse;
+    let details;
     try {
-      aiResponse = await generateAIInsights(prompt, systemPrompt);
+      if (format === 'json') {
+        const jsonPrompt = `Analyze the following data summary and provide key insights, patterns, and trends.
+
+${statsText}${clusterText ? '\n\n' + clusterText : ''}
+
+${InsightSchema.instructions()}${clusterText ? ' Include one insight per segment describing who or what it represents and how it differs from the others.' : ''}`;
+        const attempt = await InsightSchema.generate(
+          text => generateAIInsights(text, 'You are a data analyst assistant that answers with valid JSON only.'),
+          jsonPrompt,
+          RowQuery.visibleColumns(fileData)
+        );
+
+        if (attempt.structured) {
+          aiResponse = attempt.result.insights;
+          details = { format: 'json', summary: attempt.result.summary, attempts: attempt.attempts };
+        } else {
+          // Fall back to the usual text insights, saying why
+          console.error('Structured insights invalid after retries:', attempt.errors);
+          aiResponse = await generateAIInsights(prompt, systemPrompt);
+          details = { format: 'text', fallback: true, validationErrors: attempt.errors };
+        }
+      } else {
+        aiResponse = await generateAIInsights(prompt, systemPrompt);
+      }
     } catch (aiError) {
       console.error('AI API error:', aiError);
       return res.status(500).json({
@@ -82,17 +234,7 @@ Format your response in a clear, concise manner with bullet points where appropr
 
     res.status(200).json({
       success: true,
-      data: {
-        fileId: fileData._id,
-        fileName: fileData.originalName,
-        insights: aiResponse,
-        summaryStats: {
-          rowCount: summaryStats.rowCount,
-          columnCount: summaryStats.columnCount,
-          columns: summaryStats.columns
-        },
-        generatedAt: new Date().toISOString()
-      }
+      data: buildData(aiResponse, details)
     });
 
   } catch (error) {
@@ -108,11 +250,11 @@ Format your response in a clear, concise manner with bullet points where appropr
 /**
  * Get summary statistics for a file (without AI analysis)
  * POST /api/ai/summary
- * Body: { fileId: string }
+ * Body: { fileId: string, percentiles: [5, 95, 99], bins: number }
  */
 const getSummaryStats = async (req, res) => {
   try {
-    const { fileId } = req.body;
+    const { fileId, bins } = req.body;
     const userId = req.user._id;
 
     if (!fileId) {
@@ -122,11 +264,26 @@ const getSummaryStats = async (req, res) => {
       });
     }
 
+    const percentiles = Statistics.parsePercentiles(req.body.percentiles);
+    if (!percentiles) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentiles must be numbers between 0 and 100'
+      });
+    }
+
+    if (bins !== undefined && !(parseInt(bins, 10) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bins must be a positive number'
+      });
+    }
+
     // Fetch file data
     const fileData = await FileData.findOne({ 
       _id: fileId, 
       userId 
-    }).select('originalName data columns rowCount fileType uploadDate');
+    }).select('originalName columns rowCount fileType uploadDate status isProcessed processingError jobId summaryStats');
 
     if (!fileData) {
       return res.status(404).json({
@@ -135,11 +292,16 @@ const getSummaryStats = async (req, res) => {
       });
     }
 
-    // Generate summary statistics
-    const summaryStats = DataAnalyzer.generateSummaryStats(
-      fileData.data,
-      fileData.columns
-    );
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    // Summary statistics are precomputed when the upload is processed
+    const summaryStats = await loadSummaryStats(fileData, {
+      percentiles: req.body.percentiles !== undefined ? percentiles : undefined,
+      bins
+    });
 
     res.status(200).json({
       success: true,
@@ -163,11 +325,15 @@ const getSummaryStats = async (req, res) => {
 /**
  * Chat with AI about uploaded data
  * POST /api/ai/chat
- * Body: { fileId: string, question: string }
+ * Body: { fileId: string, question: string, sessionId: string, tools: boolean, stream: boolean }
+ * Streams Server-Sent Events instead of JSON when `stream` is set. With a
+ * sessionId, earlier turns of the session go into the prompt and the new
+ * turn is saved to it. Unless `tools` is false, the model can run exact
+ * queries on the full dataset (see utils/chatTools.js) before answering.
  */
 const chat = async (req, res) => {
   try {
-    const { fileId, question } = req.body;
+    const { fileId, question, sessionId, tools = true } = req.body;
     const userId = req.user._id;
 
     if (!fileId) {
@@ -200,7 +366,7 @@ const chat = async (req, res) => {
     const fileData = await FileData.findOne({ 
       _id: fileId, 
       userId 
-    }).select('originalName data columns rowCount fileType uploadDate');
+    }).select('originalName columns rowCount fileType uploadDate status isProcessed processingError jobId summaryStats forecasts');
 
     if (!fileData) {
       return res.status(404).json({
@@ -209,29 +375,48 @@ const chat = async (req, res) => {
       });
     }
 
-    // Generate summary statistics
-    const summaryStats = DataAnalyzer.generateSummaryStats(
-      fileData.data,
-      fileData.columns
-    );
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    let session = null;
+    if (sessionId) {
+      session = mongoose.isValidObjectId(sessionId)
+        ? await ChatSession.findOne({ _id: sessionId, userId, fileId: fileData._id })
+        : null;
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found'
+        });
+      }
+    }
+
+    // Summary statistics are precomputed when the upload is processed
+    const summaryStats = await loadSummaryStats(fileData);
 
     // Format stats for AI
     const statsText = DataAnalyzer.formatStatsForAI(summaryStats);
 
+    // Forecasts the user has run, so answers about the future cite them
+    const forecastText = Forecaster.formatForAI(fileData.forecasts);
+
     // Include sample data rows for more accurate analysis (up to 20 rows)
     // This helps the AI answer specific questions about actual values
+    const columns = RowQuery.visibleColumns(fileData);
+    const sampleRows = await DatasetStore.loadRows(fileData._id, { limit: 20 });
     let sampleDataText = '';
-    if (fileData.data && fileData.data.length > 0) {
-      const sampleRows = fileData.data.slice(0, 20);
+    if (sampleRows.length > 0) {
       sampleDataText = '\n\nSample Data (first ' + sampleRows.length + ' rows):\n';
       
       // Create a simple table-like representation
-      const headers = fileData.columns.map(col => col.name).join(' | ');
+      const headers = columns.map(col => col.name).join(' | ');
       sampleDataText += headers + '\n';
       sampleDataText += '-'.repeat(Math.min(headers.length, 100)) + '\n';
       
       sampleRows.forEach((row, idx) => {
-        const values = fileData.columns.map(col => {
+        const values = columns.map(col => {
           const val = row[col.name];
           if (val === null || val === undefined) return 'N/A';
           return String(val).substring(0, 30); // Truncate long values
@@ -239,27 +424,70 @@ const chat = async (req, res) => {
         sampleDataText += values + '\n';
       });
       
-      if (fileData.data.length > 20) {
-        sampleDataText += `\n... and ${fileData.data.length - 20} more rows`;
+      if (fileData.rowCount > sampleRows.length) {
+        sampleDataText += `\n... and ${fileData.rowCount - sampleRows.length} more rows`;
       }
     }
 
+    // Earlier turns of the session, the oldest folded into a summary
+    const historyText = session
+      ? ChatHistory.formatForAI(await ChatHistory.prepare(session, generateAIInsights))
+      : '';
+
     // Create AI prompt with the user's question
     const prompt = `You are a data analyst assistant. Based on the following data summary and sample data, answer the user's question accurately and helpfully.
 
 Data Summary:
-${statsText}${sampleDataText}
-
+${statsText}${sampleDataText}${forecastText ? '\n\n' + forecastText : ''}
+${historyText ? '\n' + historyText : ''}
 User Question: ${question.trim()}
 
-Please analyze the data and provide a clear, concise answer to the question. If the question asks about specific values (like revenue for a particular year), analyze the sample data provided. If the question cannot be answered from the provided data, please explain what information is available and what might be needed to answer the question.`;
+Please analyze the data and provide a clear, concise answer to the question.${historyText ? ' If the question follows up on the conversation so far (e.g. "and what about last year?"), resolve what it refers to from the earlier turns.' : ''} ${tools
+    ? `The sample shows only a few of the ${fileData.rowCount} rows, so for specific values, totals, rankings or counts (like revenue for a particular year), use the tools to compute them exactly over the full dataset rather than estimating from the sample.`
+    : 'If the question asks about specific values (like revenue for a particular year), analyze the sample data provided.'} If the question is about future values, use the forecasts above when one covers it and mention its interval; do not invent projections. If the question cannot be answered from the provided data, please explain what information is available and what might be needed to answer the question.`;
 
     const systemPrompt = 'You are a helpful data analyst assistant. Answer questions about data clearly and accurately based on the provided data summary, Try to answer the question in a way that is easy to understand and follow and in a single sentence.';
 
+    const buildData = async (answer, result) => {
+      const toolCalls = result && result.toolCalls ? result.toolCalls : undefined;
+      if (session) {
+        const metadata = result ? { provider: result.provider, model: result.model, latencyMs: result.latencyMs, toolCalls } : undefined;
+        await ChatHistory.saveTurn(session, question.trim(), answer, metadata);
+      }
+      return {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        sessionId: session ? session._id : undefined,
+        question: question.trim(),
+        answer,
+        toolCalls,
+        timestamp: new Date().toISOString()
+      };
+    };
+
+    // Tool calls run exact queries on the stored rows while the model works out its answer
+    const answerWithTools = options => generateWithTools(prompt, systemPrompt, {
+      tools: ChatTools.TOOLS,
+      executeTool: (name, args) => ChatTools.run(fileData, name, args),
+      ...options
+    });
+
+    if (wantsStream(req)) {
+      return streamAnswer(res, tools
+        ? ({ onToken, onEvent, signal }) => answerWithTools({ onToolCall: call => onEvent('tool', call), onToken, signal })
+        : options => streamAIInsights(prompt, systemPrompt, options), buildData);
+    }
+
     // Call AI provider (with automatic fallback)
     let aiResponse;
+    let result = null;
     try {
-      aiResponse = await generateAIInsights(prompt, systemPrompt);
+      if (tools) {
+        result = await answerWithTools();
+        aiResponse = result.text;
+      } else {
+        aiResponse = await generateAIInsights(prompt, systemPrompt);
+      }
     } catch (aiError) {
       console.error('AI API error:', aiError);
       return res.status(500).json({
@@ -268,22 +496,155 @@ Please analyze the data and provide a clear, concise answer to the question. If
       });
     }
 
+    res.status(200).json({
+      success: true,
+      data: await buildData(aiResponse, result)
+    });
+
+  } catch (error) {
+    console.error('Chat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing chat request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Translate a question into a structured query over the file's columns and
+ * run it. Send `query` instead of `question` to run a query as edited by the
+ * user, without the AI.
+ * POST /api/ai/query
+ * Body: {
+ *   fileId: string,
+ *   question: string,
+ *   query: { type: 'aggregate'|'rows', groupBy, measures, filters, columns, sort, limit },
+ *   execute: boolean
+ * }
+ */
+const naturalLanguageQuery = async (req, res) => {
+  try {
+    const { fileId, question, execute = true } = req.body;
+    const userId = req.user._id;
+
+    if (!fileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'File ID is required'
+      });
+    }
+
+    if (question !== undefined && question !== null && typeof question !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Question must be a string'
+      });
+    }
+
+    if (!req.body.query && (!question || !question.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question or query is required'
+      });
+    }
+
+    const fileData = await FileData.findOne({
+      _id: fileId,
+      userId
+    }).select('originalName columns rowCount fileType uploadDate status isProcessed processingError jobId summaryStats');
+
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    const columns = RowQuery.visibleColumns(fileData);
+    let rawQuery = req.body.query;
+
+    if (!rawQuery) {
+      const hasProvider = process.env.HUGGINGFACE_API_KEY ||
+                         process.env.GEMINI_API_KEY ||
+                         process.env.OPENAI_API_KEY;
+
+      if (!hasProvider) {
+        return res.status(500).json({
+          success: false,
+          message: 'No AI provider is configured. Please set at least one of: HUGGINGFACE_API_KEY, GEMINI_API_KEY, or OPENAI_API_KEY in your environment variables.'
+        });
+      }
+
+      const summaryStats = await loadSummaryStats(fileData);
+      const prompt = QueryTranslator.buildPrompt(columns, question.trim(), summaryStats);
+      const systemPrompt = 'You translate questions about a dataset into JSON queries. Reply with JSON only.';
+
+      let aiResponse;
+      try {
+        aiResponse = await generateAIInsights(prompt, systemPrompt);
+      } catch (aiError) {
+        console.error('AI API error:', aiError);
+        return res.status(500).json({
+          success: false,
+          message: 'Error calling AI API: ' + aiError.message
+        });
+      }
+
+      rawQuery = extractJson(aiResponse);
+      if (!rawQuery) {
+        return res.status(422).json({
+          success: false,
+          message: 'The question could not be translated into a query. Try rephrasing it with the column names.',
+          data: { response: aiResponse }
+        });
+      }
+    }
+
+    let query;
+    try {
+      query = QueryTranslator.validate(rawQuery, columns);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        // Send the rejected query back so it can be corrected by hand
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: { query: rawQuery }
+        });
+      }
+      throw error;
+    }
+
+    const result = execute ? await QueryTranslator.execute(fileData, query) : null;
+
     res.status(200).json({
       success: true,
       data: {
         fileId: fileData._id,
         fileName: fileData.originalName,
-        question: question.trim(),
-        answer: aiResponse,
-        timestamp: new Date().toISOString()
+        question: question ? question.trim() : null,
+        query,
+        result
       }
     });
 
   } catch (error) {
-    console.error('Chat error:', error);
+    if (error instanceof QueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Natural language query error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing chat request',
+      message: 'Error running query',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -292,5 +653,6 @@ Please analyze the data and provide a clear, concise answer to the question. If
 module.exports = {
   generateInsights,
   getSummaryStats,
-  chat
+  chat,
+  naturalLanguageQuery
 };
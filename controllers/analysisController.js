@@ -0,0 +1,451 @@
+const FileData = require('../models/FileData');
+const Aggregator = require('../utils/aggregator');
+const PivotTable = require('../utils/pivotTable');
+const Correlation = require('../utils/correlation');
+const OutlierDetector = require('../utils/outlierDetector');
+const TimeSeries = require('../utils/timeSeries');
+const Forecaster = require('../utils/forecaster');
+const Regression = require('../utils/regression');
+const HypothesisTests = require('../utils/hypothesisTests');
+const Clustering = require('../utils/clustering');
+const DatasetStore = require('../utils/datasetStore');
+const UploadProcessor = require('../utils/uploadProcessor');
+const { RowQuery, QueryError } = require('../utils/rowQuery');
+
+/**
+ * Fetch a processed file owned by the requesting user, answering 400/404/409
+ * when it is missing or not ready.
+ * Returns null once a response has been sent.
+ */
+const findUserFile = async (req, res) => {
+  const { fileId } = req.body;
+
+  if (!fileId) {
+    res.status(400).json({
+      success: false,
+      message: 'File ID is required'
+    });
+    return null;
+  }
+
+  const fileData = await FileData.findOne({
+    _id: fileId,
+    userId: req.user._id
+  }).select('originalName columns rowCount fileType uploadDate status isProcessed processingError jobId');
+
+  if (!fileData) {
+    res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+    return null;
+  }
+
+  const notReady = UploadProcessor.notReadyResponse(fileData);
+  if (notReady) {
+    res.status(409).json(notReady);
+    return null;
+  }
+
+  return fileData;
+};
+
+/**
+ * Send the error response shared by the analysis endpoints
+ */
+const handleAnalysisError = (res, error, label) => {
+  if (error instanceof QueryError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Error running ${label.toLowerCase()}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Group-by aggregation over a dataset
+ * POST /api/ai/aggregate
+ * Body: {
+ *   fileId: string,
+ *   groupBy: [string | { column, granularity: 'day'|'week'|'month'|'quarter'|'year', as }],
+ *   measures: [{ column, fn: 'count'|'sum'|'avg'|'min'|'max'|'median'|'distinctCount', as }],
+ *   filters: [{ column, op, value }],
+ *   sort: string,
+ *   limit: number
+ * }
+ */
+const aggregate = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { groupBy, measures, filters, sort, limit } = req.body;
+    const result = await Aggregator.run(fileData, { groupBy, measures, filters, sort, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Aggregation');
+  }
+};
+
+/**
+ * Pivot table with row/column dimensions and totals
+ * POST /api/ai/pivot
+ * Body: {
+ *   fileId: string,
+ *   rows: [string | { column, granularity }],
+ *   columns: [string | { column, granularity }],
+ *   value: string,
+ *   fn: 'count'|'sum'|'avg'|'min'|'max'|'median'|'distinctCount',
+ *   filters: [{ column, op, value }],
+ *   topN: number | { [dimension]: number },
+ *   otherLabel: string
+ * }
+ */
+const pivot = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { rows, columns, value, fn, filters, topN, otherLabel } = req.body;
+    const result = await PivotTable.run(fileData, { rows, columns, value, fn, filters, topN, otherLabel });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Pivot');
+  }
+};
+
+/**
+ * Correlation matrix and ranked relationships between columns
+ * POST /api/ai/correlations
+ * Body: {
+ *   fileId: string,
+ *   columns: [string],
+ *   method: 'pearson'|'spearman',
+ *   filters: [{ column, op, value }],
+ *   maxCategories: number,
+ *   limit: number
+ * }
+ */
+const correlations = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { columns, method, filters, maxCategories, limit } = req.body;
+    const result = await Correlation.run(fileData, { columns, method, filters, maxCategories, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Correlation');
+  }
+};
+
+/**
+ * Outliers in number columns, with the row index of every flagged value
+ * POST /api/ai/outliers
+ * Body: {
+ *   fileId: string,
+ *   columns: [string],
+ *   method: 'iqr'|'zscore'|'modifiedZscore'|'rolling',
+ *   threshold: number,
+ *   timeColumn: string,
+ *   window: number,
+ *   filters: [{ column, op, value }],
+ *   limit: number
+ * }
+ */
+const outliers = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { columns, method, threshold, timeColumn, window, filters, limit } = req.body;
+    const result = await OutlierDetector.run(fileData, { columns, method, threshold, timeColumn, window, filters, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Outlier detection');
+  }
+};
+
+/**
+ * Resample a date column into a regular time series with trend statistics
+ * POST /api/ai/timeseries
+ * Body: {
+ *   fileId: string,
+ *   dateColumn: string,
+ *   values: [string | { column, fn, as }],
+ *   frequency: 'day'|'week'|'month'|'quarter'|'year',
+ *   fn: 'count'|'sum'|'avg'|'min'|'max'|'median'|'distinctCount',
+ *   fill: 'zero'|'null'|'previous'|'linear',
+ *   window: number,
+ *   filters: [{ column, op, value }]
+ * }
+ */
+const timeSeries = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { dateColumn, values, frequency, fn, fill, window, filters } = req.body;
+    const result = await TimeSeries.resample(fileData, { dateColumn, values, frequency, fn, fill, window, filters });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Time series');
+  }
+};
+
+/**
+ * Forecast a measure over time with classical methods, keeping the result on
+ * the file so the AI chat can refer to it
+ * POST /api/ai/forecast
+ * Body: {
+ *   fileId: string,
+ *   dateColumn: string,
+ *   value: string,
+ *   fn: 'count'|'sum'|'avg'|'min'|'max'|'median'|'distinctCount',
+ *   frequency: 'day'|'week'|'month'|'quarter'|'year',
+ *   horizon: number,
+ *   method: 'auto'|'naive'|'seasonalNaive'|'ses'|'holt'|'holtWinters'|'linear',
+ *   level: number,
+ *   seasonLength: number,
+ *   fill: 'zero'|'null'|'previous'|'linear',
+ *   filters: [{ column, op, value }]
+ * }
+ */
+const forecast = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { dateColumn, value, fn, frequency, horizon, method, level, seasonLength, fill, filters } = req.body;
+    const result = await Forecaster.run(fileData, { dateColumn, value, fn, frequency, horizon, method, level, seasonLength, fill, filters });
+
+    const stored = await FileData.findById(fileData._id).select('forecasts');
+    await FileData.updateOne({ _id: fileData._id }, {
+      $set: { forecasts: Forecaster.remember(stored && stored.forecasts, result, filters) }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Forecast');
+  }
+};
+
+/**
+ * Multiple linear regression of a number column on chosen predictors
+ * POST /api/ai/regression
+ * Body: {
+ *   fileId: string,
+ *   target: string,
+ *   predictors: [string],
+ *   filters: [{ column, op, value }],
+ *   maxCategories: number
+ * }
+ */
+const regression = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { target, predictors, filters, maxCategories } = req.body;
+    const result = await Regression.run(fileData, { target, predictors, filters, maxCategories });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Regression');
+  }
+};
+
+/**
+ * Hypothesis test between groups of rows
+ * POST /api/ai/hypothesis-test
+ * Body: {
+ *   fileId: string,
+ *   test: 'tTest'|'welch'|'mannWhitney'|'anova'|'chiSquare'|'proportion',
+ *   column: string,
+ *   groupColumn: string,
+ *   groups: [string],
+ *   success: string,
+ *   p0: number,
+ *   alpha: number,
+ *   filters: [{ column, op, value }]
+ * }
+ */
+const hypothesisTest = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { test, column, groupColumn, groups, success, p0, alpha, filters } = req.body;
+    const result = await HypothesisTests.run(fileData, { test, column, groupColumn, groups, success, p0, alpha, filters });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Hypothesis test');
+  }
+};
+
+/**
+ * Segment the rows with k-means (number columns) or k-modes (categorical
+ * columns), optionally saving each row's cluster as a new column
+ * POST /api/ai/clusters
+ * Body: {
+ *   fileId: string,
+ *   columns: [string],
+ *   method: 'kmeans'|'kmodes',
+ *   k: number|'auto',
+ *   autoMethod: 'silhouette'|'elbow',
+ *   kRange: { min, max },
+ *   profileColumns: [string],
+ *   filters: [{ column, op, value }],
+ *   seed: number,
+ *   persist: boolean,
+ *   labelColumn: string,
+ *   overwrite: boolean
+ * }
+ */
+const clusters = async (req, res) => {
+  try {
+    const fileData = await findUserFile(req, res);
+    if (!fileData) return;
+
+    const { columns, method, k, autoMethod, kRange, profileColumns, filters, seed, persist, overwrite } = req.body;
+    const labelColumn = persist ? String(req.body.labelColumn || 'cluster').trim() : null;
+
+    if (persist) {
+      const existing = fileData.columns.find(column => column.name === labelColumn);
+      if (!labelColumn) {
+        throw new QueryError('labelColumn cannot be empty');
+      }
+      if (!DatasetStore.isValidKey(labelColumn)) {
+        throw new QueryError(`Invalid labelColumn "${labelColumn}": column names cannot contain "." or start with "$"`);
+      }
+      if (existing && !overwrite) {
+        throw new QueryError(`Column "${labelColumn}" already exists; pass overwrite: true to replace it`);
+      }
+      // Checked against the columns actually picked, which may be the default selection
+      const { selected } = Clustering.selectColumns(RowQuery.visibleColumns(fileData), { columns, method });
+      if (existing && selected.some(column => column.name === labelColumn)) {
+        throw new QueryError(`Column "${labelColumn}" is clustered on and cannot hold the labels`);
+      }
+    }
+
+    const { assignments, ...result } = await Clustering.run(fileData, { columns, method, k, autoMethod, kRange, profileColumns, filters, seed });
+
+    const update = { $set: { clustering: Clustering.summarize(result, labelColumn) } };
+    if (persist) {
+      const labels = [];
+      assignments.forEach(({ row, cluster }) => {
+        labels[row] = result.clusters[cluster].label;
+      });
+      await DatasetStore.setColumn(fileData._id, labelColumn, labels);
+
+      update.$set.columns = [
+        ...fileData.columns.filter(column => column.name !== labelColumn).map(column => column.toObject()),
+        {
+          name: labelColumn,
+          type: 'string',
+          subtype: 'categorical',
+          confidence: 1,
+          nullRatio: fileData.rowCount > 0 ? 1 - assignments.length / fileData.rowCount : 0,
+          overridden: false,
+          hidden: false
+        }
+      ];
+      // The new column is not covered by the stored stats and quality checks
+      update.$unset = { summaryStats: 1, qualityReport: 1 };
+    }
+    await FileData.updateOne({ _id: fileData._id }, update);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result,
+        labelColumn
+      }
+    });
+  } catch (error) {
+    handleAnalysisError(res, error, 'Clustering');
+  }
+};
+
+module.exports = {
+  aggregate,
+  pivot,
+  correlations,
+  outliers,
+  timeSeries,
+  forecast,
+  regression,
+  hypothesisTest,
+  clusters
+};
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const FileData = require('../models/FileData');
+const ChatHistory = require('../utils/chatHistory');
+
+const MAX_TITLE_LENGTH = 200;
+const DEFAULT_MESSAGE_LIMIT = 50;
+const MAX_MESSAGE_LIMIT = 200;
+
+const sessionResponse = session => ({
+  sessionId: session._id,
+  fileId: session.fileId,
+  title: session.title,
+  messageCount: session.messageCount,
+  lastMessageAt: session.lastMessageAt || null,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt
+});
+
+/**
+ * Validate a session title, answering 400 when it is unusable.
+ * Returns null once a response has been sent.
+ */
+const readTitle = (title, res) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    res.status(400).json({
+      success: false,
+      message: 'Title is required'
+    });
+    return null;
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    res.status(400).json({
+      success: false,
+      message: `Title cannot be longer than ${MAX_TITLE_LENGTH} characters`
+    });
+    return null;
+  }
+  return title.trim();
+};
+
+/**
+ * Fetch a chat session owned by the requesting user, answering 404 when it
+ * does not exist. Returns null once a response has been sent.
+ */
+const findUserSession = async (req, res) => {
+  const { sessionId } = req.params;
+  const session = mongoose.isValidObjectId(sessionId)
+    ? await ChatSession.findOne({ _id: sessionId, userId: req.user._id })
+    : null;
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Chat session not found'
+    });
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Start a chat session about a file
+ * POST /api/ai/sessions
+ * Body: { fileId: string, title: string }
+ */
+const createSession = async (req, res) => {
+  try {
+    const { fileId } = req.body;
+
+    if (!fileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'File ID is required'
+      });
+    }
+
+    let title;
+    if (req.body.title !== undefined) {
+      title = readTitle(req.body.title, res);
+      if (title === null) return;
+    }
+
+    const fileData = await FileData.exists({ _id: fileId, userId: req.user._id });
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const session = await ChatSession.create({
+      userId: req.user._id,
+      fileId,
+      ...(title ? { title, titleEdited: true } : {})
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chat session created',
+      data: sessionResponse(session)
+    });
+  } catch (error) {
+    console.error('Create chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating chat session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List the user's chat sessions, most recently active first
+ * GET /api/ai/sessions?fileId=
+ */
+const listSessions = async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.fileId) {
+      query.fileId = req.query.fileId;
+    }
+
+    const sessions = await ChatSession.find(query)
+      .select('fileId title messageCount lastMessageAt createdAt updatedAt')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(sessionResponse)
+    });
+  } catch (error) {
+    console.error('List chat sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching chat sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Rename a chat session
+ * PATCH /api/ai/sessions/:sessionId
+ * Body: { title: string }
+ */
+const renameSession = async (req, res) => {
+  try {
+    const title = readTitle(req.body.title, res);
+    if (title === null) return;
+
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    session.title = title;
+    session.titleEdited = true;
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat session renamed',
+      data: sessionResponse(session)
+    });
+  } catch (error) {
+    console.error('Rename chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renaming chat session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete a chat session and its messages
+ * DELETE /api/ai/sessions/:sessionId
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    await ChatMessage.deleteMany({ sessionId: session._id });
+    await session.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat session deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting chat session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Messages of a chat session, oldest first
+ * GET /api/ai/sessions/:sessionId/messages?page=&limit=
+ */
+const getSessionMessages = async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_MESSAGE_LIMIT, 1), MAX_MESSAGE_LIMIT);
+    const messages = await ChatHistory.loadMessages(session._id, { skip: (page - 1) * limit, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...sessionResponse(session),
+        page,
+        limit,
+        totalPages: Math.ceil(session.messageCount / limit),
+        messages: messages.map(message => ({
+          messageId: message._id,
+          role: message.role,
+          content: message.content,
+          metadata: message.metadata || null,
+          createdAt: message.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching chat messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createSession,
+  listSessions,
+  renameSession,
+  deleteSession,
+  getSessionMessages
+};
@@ -0,0 +1,49 @@
+const Job = require('../models/Job');
+
+/**
+ * Get the status and progress of a background job
+ * GET /api/jobs/:id
+ */
+const getJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('-payload');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        error: job.error || null,
+        warnings: job.warnings,
+        attempts: job.attempts,
+        result: job.status === 'completed' ? job.result : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null
+      }
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getJob
+};
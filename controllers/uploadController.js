@@ -1,8 +1,35 @@
+const fs = require('fs');
 const FileData = require('../models/FileData');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
 const FileProcessor = require('../utils/fileProcessor');
+const DatasetStore = require('../utils/datasetStore');
+const UploadStore = require('../utils/uploadStore');
+const JobQueue = require('../utils/jobQueue');
+const UploadProcessor = require('../utils/uploadProcessor');
+const DataQuality = require('../utils/dataQuality');
+const { RowQuery, QueryError } = require('../utils/rowQuery');
 const path = require('path');
 
-// Upload and process file
+// Parse options accepted by each file type, forwarded to the processing job
+const UPLOAD_OPTIONS = {
+  csv: ['delimiter', 'quote', 'encoding', 'headerRow', 'skipLines', 'hasHeader'],
+  tsv: ['delimiter', 'quote', 'encoding', 'headerRow', 'skipLines', 'hasHeader'],
+  json: ['arrayStrategy', 'recordPath'],
+  ndjson: ['arrayStrategy'],
+  xlsx: ['sheets', 'headerRow', 'headerRowCount'],
+  xls: ['sheets', 'headerRow', 'headerRowCount']
+};
+
+// Upload a file and queue it for processing
+// Responds 202 with a job id; poll GET /api/jobs/:id for progress and the
+// parsed columns. Excel workbooks are stored as one dataset per sheet; pass
+// `sheets` (names or indexes) to pick sheets and `headerRow` / `headerRowCount`
+// for tables whose header does not start on the first row. CSV dialects are
+// detected, with optional `delimiter`, `quote`, `encoding`, `headerRow`,
+// `skipLines` and `hasHeader` overrides. JSON and NDJSON records are flattened
+// into dotted column names; `arrayStrategy` (stringify, explode, first)
+// controls arrays and `recordPath` points at the record array inside a JSON object
 const uploadFile = async (req, res) => {
   try {
     console.log('Upload request received:', {
@@ -25,98 +52,80 @@ const uploadFile = async (req, res) => {
 
     const userId = req.user._id;
     const filePath = req.file.path;
-    const fileName = req.file.filename;
     const originalName = req.file.originalname;
+    // Memory storage provides neither a path nor a generated filename
+    const fileName = req.file.filename || `${Date.now()}-${originalName}`;
     const fileSize = req.file.size;
     const fileType = FileProcessor.getFileType(originalName);
 
-    console.log('Processing file:', { filePath, fileName, originalName, fileType });
-
-    let processedData;
-
-    // Process file based on type
-    try {
-      if (fileType === 'csv') {
-        console.log('Processing CSV file...');
-        processedData = await FileProcessor.processCSV(filePath);
-      } else if (['xlsx', 'xls'].includes(fileType)) {
-        console.log('Processing Excel file...');
-        processedData = await FileProcessor.processExcel(filePath);
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Unsupported file type'
-        });
+    if (!UPLOAD_OPTIONS[fileType]) {
+      if (filePath) {
+        await FileProcessor.cleanupFile(filePath);
       }
-      console.log('File processed successfully:', { 
-        rowCount: processedData.rowCount, 
-        columnsCount: processedData.columns.length,
-        columns: processedData.columns
-      });
-    } catch (processError) {
-      console.error('File processing error:', processError);
-      return res.status(500).json({
+      return res.status(400).json({
         success: false,
-        message: 'Error processing file: ' + processError.message
+        message: 'Unsupported file type'
       });
     }
 
-    // Save to database
-    console.log('Saving to database with columns:', JSON.stringify(processedData.columns, null, 2));
-    console.log('Columns type:', typeof processedData.columns);
-    console.log('Is array:', Array.isArray(processedData.columns));
-    console.log('Columns length:', processedData.columns.length);
-    
-    // Create a deep copy of columns to avoid any reference issues
-    const columnsCopy = JSON.parse(JSON.stringify(processedData.columns));
-    console.log('Columns copy:', JSON.stringify(columnsCopy, null, 2));
-    
-    // Validate columns structure
-    if (!Array.isArray(columnsCopy)) {
-      throw new Error('Columns must be an array');
+    const options = {};
+    UPLOAD_OPTIONS[fileType].forEach(key => {
+      if (req.body && req.body[key] !== undefined) options[key] = req.body[key];
+    });
+
+    // Keep the upload in MongoDB until the worker has parsed it
+    const buffer = req.file.buffer || await fs.promises.readFile(filePath);
+    const uploadId = await UploadStore.save(buffer, originalName, { userId, fileType });
+    if (filePath) {
+      await FileProcessor.cleanupFile(filePath);
     }
-    
-    for (let i = 0; i < columnsCopy.length; i++) {
-      const col = columnsCopy[i];
-      if (!col || typeof col !== 'object' || !col.name || !col.type) {
-        throw new Error(`Invalid column structure at index ${i}: ${JSON.stringify(col)}`);
+
+    // Nothing is left behind when the record or the job cannot be created
+    let fileData = null;
+    let job;
+    try {
+      fileData = await FileData.create({
+        userId,
+        fileName,
+        originalName,
+        fileType,
+        fileSize,
+        status: 'queued',
+        isProcessed: false
+      });
+
+      job = await JobQueue.enqueue(UploadProcessor.JOB_TYPE, userId, {
+        fileId: fileData._id,
+        uploadId,
+        fileName,
+        originalName,
+        fileType,
+        fileSize,
+        options
+      });
+    } catch (setupError) {
+      if (fileData) {
+        await FileData.deleteOne({ _id: fileData._id });
       }
+      await UploadStore.remove(uploadId);
+      throw setupError;
     }
-    
-    console.log('Columns validation passed');
-    
-    const fileData = new FileData({
-      userId: userId,
-      fileName: fileName,
-      originalName: originalName,
-      fileType: fileType,
-      fileSize: fileSize,
-      data: processedData.data,
-      columns: columnsCopy,
-      rowCount: processedData.rowCount,
-      isProcessed: true
-    });
-
-    console.log('FileData object before save:', {
-      columns: fileData.columns,
-      columnsType: typeof fileData.columns,
-      columnsLength: fileData.columns.length
-    });
 
+    fileData.jobId = job._id;
     await fileData.save();
 
-    // Clean up uploaded file
-    await FileProcessor.cleanupFile(filePath);
+    console.log('Upload queued for processing:', { fileId: fileData._id, jobId: job._id, fileType });
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: 'File uploaded and processed successfully',
+      message: 'File uploaded and queued for processing',
       data: {
+        jobId: job._id,
         fileId: fileData._id,
         fileName: originalName,
-        fileType: fileType,
-        rowCount: processedData.rowCount,
-        columns: processedData.columns,
+        fileType,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`,
         uploadDate: fileData.uploadDate
       }
     });
@@ -131,7 +140,7 @@ const uploadFile = async (req, res) => {
 
     res.status(500).json({
       success: false,
-      message: 'Error processing file',
+      message: 'Error uploading file',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -142,7 +151,7 @@ const getUserFiles = async (req, res) => {
   try {
     const userId = req.user._id;
     const files = await FileData.find({ userId })
-      .select('originalName fileType rowCount uploadDate isProcessed')
+      .select('originalName sheetName fileType rowCount uploadDate status isProcessed processingError jobId')
       .sort({ uploadDate: -1 });
 
     res.status(200).json({
@@ -168,7 +177,7 @@ const getFileData = async (req, res) => {
     const fileData = await FileData.findOne({ 
       _id: fileId, 
       userId 
-    }).select('originalName data columns rowCount fileType uploadDate');
+    }).select('originalName sheetName columns rowCount fileType uploadDate status isProcessed processingError jobId');
 
     if (!fileData) {
       return res.status(404).json({
@@ -177,9 +186,19 @@ const getFileData = async (req, res) => {
       });
     }
 
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    const data = await DatasetStore.loadRows(fileData._id);
+
     res.status(200).json({
       success: true,
-      data: fileData
+      data: {
+        ...fileData.toObject(),
+        data
+      }
     });
   } catch (error) {
     console.error('Get file data error:', error);
@@ -191,24 +210,331 @@ const getFileData = async (req, res) => {
   }
 };
 
+// Get a page of rows with optional filters, sorting and column projection
+// GET /api/upload/files/:fileId/rows?page=&limit=&cursor=&sort=&order=&columns=&filters=
+const getFileRows = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const userId = req.user._id;
+
+    const fileData = await FileData.findOne({ 
+      _id: fileId, 
+      userId 
+    }).select('originalName columns rowCount status isProcessed processingError jobId');
+
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    const { page, limit, cursor, sort, order, columns, filters } = req.query;
+    const result = await RowQuery.execute(fileData, { page, limit, cursor, sort, order, columns, filters });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...result
+      }
+    });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get file rows error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching file rows',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the data-quality report of a file
+// GET /api/upload/files/:fileId/quality?refresh=true
+// Reports are built when the upload is processed; refresh rebuilds it
+const getQualityReport = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const userId = req.user._id;
+
+    const fileData = await FileData.findOne({ 
+      _id: fileId, 
+      userId 
+    }).select('originalName columns rowCount status isProcessed processingError jobId qualityReport');
+
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    let report = fileData.qualityReport;
+    const refresh = req.query.refresh === 'true';
+    if (refresh || !report || report.version !== DataQuality.QUALITY_VERSION) {
+      report = await DataQuality.run(fileData);
+      await FileData.updateOne({ _id: fileData._id }, { $set: { qualityReport: report } });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileData._id,
+        fileName: fileData.originalName,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get quality report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building data quality report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const COLUMN_TYPES = ['number', 'date', 'boolean', 'string'];
+const FAILED_SAMPLE_LIMIT = 5;
+
+// Change column types, rename or hide columns
+// PATCH /api/upload/files/:fileId/columns
+// Body: { changes: [{ column, type, subtype, format, rename, hidden }], dryRun }
+// Stored values stay as uploaded and are coerced to the column type when read;
+// a type change scans the column and reports how many values do not convert.
+const updateColumns = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const userId = req.user._id;
+    const { changes, dryRun } = req.body;
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one column change is required'
+      });
+    }
+
+    const fileData = await FileData.findOne({ 
+      _id: fileId, 
+      userId 
+    });
+
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const notReady = UploadProcessor.notReadyResponse(fileData);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+
+    const columns = fileData.columns.map(col => col.toObject());
+    const renames = {};
+    const retyped = [];
+
+    for (const change of changes) {
+      const column = columns.find(col => col.name === change?.column);
+      if (!column) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown column "${change?.column}"`
+        });
+      }
+
+      if (change.type !== undefined) {
+        if (!COLUMN_TYPES.includes(change.type)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid type "${change.type}". Use one of: ${COLUMN_TYPES.join(', ')}`
+          });
+        }
+        if (change.type !== column.type) column.format = null;
+        column.type = change.type;
+        column.subtype = change.subtype || null;
+        column.overridden = true;
+        if (!retyped.includes(column)) retyped.push(column);
+      }
+      if (change.format !== undefined) {
+        column.format = change.format;
+        if (!retyped.includes(column)) retyped.push(column);
+      }
+      if (change.hidden !== undefined) {
+        column.hidden = Boolean(change.hidden);
+      }
+      if (change.rename !== undefined) {
+        const newName = String(change.rename).trim();
+        if (!newName) {
+          return res.status(400).json({
+            success: false,
+            message: `New name for "${column.name}" cannot be empty`
+          });
+        }
+        if (newName !== column.name && !DatasetStore.isValidKey(newName)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid name "${newName}": column names cannot contain "." or start with "$"`
+          });
+        }
+        if (newName !== column.name && columns.some(col => col.name === newName)) {
+          return res.status(400).json({
+            success: false,
+            message: `A column named "${newName}" already exists`
+          });
+        }
+        // Rows are still keyed by the stored name until they are rewritten
+        const storedName = Object.keys(renames).find(key => renames[key] === column.name) || column.name;
+        renames[storedName] = newName;
+        column.name = newName;
+      }
+    }
+
+    // Re-coerce every value of the re-typed columns
+    const report = retyped.map(column => ({
+      column: column.name,
+      storedName: Object.keys(renames).find(key => renames[key] === column.name) || column.name,
+      type: column.type,
+      converted: 0,
+      failed: 0,
+      empty: 0,
+      failedSamples: []
+    }));
+
+    if (report.length > 0) {
+      for await (const row of DatasetStore.iterateRows(fileData._id)) {
+        report.forEach((entry, index) => {
+          const raw = row[entry.storedName];
+          if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+            entry.empty++;
+          } else if (FileProcessor.coerceValue(raw, entry.type, retyped[index].format) === null) {
+            entry.failed++;
+            if (entry.failedSamples.length < FAILED_SAMPLE_LIMIT && !entry.failedSamples.includes(raw)) {
+              entry.failedSamples.push(raw);
+            }
+          } else {
+            entry.converted++;
+          }
+        });
+      }
+
+      report.forEach((entry, index) => {
+        const nonEmpty = entry.converted + entry.failed;
+        retyped[index].confidence = nonEmpty > 0 ? Math.round((entry.converted / nonEmpty) * 1000) / 1000 : 0;
+        if (retyped[index].type === 'string' && !retyped[index].subtype) {
+          retyped[index].subtype = 'text';
+        }
+        delete entry.storedName;
+      });
+    }
+
+    if (!dryRun) {
+      fileData.columns = columns;
+      // Stats, quality checks, forecasts and clusters depend on the column types, names and visibility
+      fileData.summaryStats = undefined;
+      fileData.qualityReport = undefined;
+      fileData.forecasts = undefined;
+      fileData.clustering = undefined;
+      // Rows are only rewritten once the new columns are known to be valid
+      await fileData.validate();
+
+      const keyRenames = Object.entries(renames).filter(([from, to]) => from !== to);
+      await DatasetStore.renameKeys(fileData._id, Object.fromEntries(keyRenames));
+      try {
+        await fileData.save();
+      } catch (error) {
+        // Put the row keys back so they keep matching the stored columns
+        await DatasetStore.renameKeys(fileData._id, Object.fromEntries(keyRenames.map(([from, to]) => [to, from])));
+        throw error;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Column changes previewed' : 'Columns updated successfully',
+      data: {
+        fileId: fileData._id,
+        columns,
+        report
+      }
+    });
+  } catch (error) {
+    console.error('Update columns error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating columns',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Delete file
 const deleteFile = async (req, res) => {
   try {
     const { fileId } = req.params;
     const userId = req.user._id;
 
+    // Files still being parsed stay until the job finishes, or its rows would be orphaned
     const fileData = await FileData.findOneAndDelete({ 
       _id: fileId, 
-      userId 
+      userId,
+      status: { $nin: ['queued', 'processing'] }
     });
 
     if (!fileData) {
+      const pending = await FileData.findOne({ _id: fileId, userId }).select('status jobId');
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: 'File is still being processed and cannot be deleted yet',
+          data: {
+            status: pending.status,
+            jobId: pending.jobId
+          }
+        });
+      }
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
+    await DatasetStore.deleteRows(fileData._id);
+
+    // Chat sessions about the file go with it
+    const sessionIds = await ChatSession.find({ fileId: fileData._id }).distinct('_id');
+    await ChatMessage.deleteMany({ sessionId: { $in: sessionIds } });
+    await ChatSession.deleteMany({ fileId: fileData._id });
+
     res.status(200).json({
       success: true,
       message: 'File deleted successfully'
@@ -227,5 +553,8 @@ module.exports = {
   uploadFile,
   getUserFiles,
   getFileData,
+  getFileRows,
+  getQualityReport,
+  updateColumns,
   deleteFile
 };
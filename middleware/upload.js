@@ -15,13 +15,13 @@ const storage = multer.diskStorage({
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.csv', '.xlsx', '.xls'];
+  const allowedTypes = ['.csv', '.tsv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl'];
   const fileExt = path.extname(file.originalname).toLowerCase();
   
   if (allowedTypes.includes(fileExt)) {
     cb(null, true);
   } else {
-    cb(new Error('Only CSV and Excel files are allowed!'), false);
+    cb(new Error('Only CSV, TSV, Excel, JSON and NDJSON files are allowed!'), false);
   }
 };
 
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One turn of a ChatSession
+const chatMessageSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatSession',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Provider details of assistant answers, e.g. { provider, model, latencyMs }
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Messages are always read in order for a single session
+chatMessageSchema.index({ sessionId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A conversation with the AI about one dataset; its turns are ChatMessages
+const chatSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileData',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'New chat'
+  },
+  // Set once the user renames the session, so it is no longer titled after the first question
+  titleEdited: {
+    type: Boolean,
+    default: false
+  },
+  // AI summary of the oldest turns, sent instead of them once the history outgrows its token budget
+  summary: {
+    type: String,
+    default: ''
+  },
+  // Number of messages, oldest first, covered by the summary
+  summarizedCount: {
+    type: Number,
+    default: 0
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: Date
+}, {
+  timestamps: true
+});
+
+// Sessions are listed per file, most recently active first
+chatSessionSchema.index({ userId: 1, fileId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ChatSession', chatSessionSchema);
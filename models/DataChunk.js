@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Rows of an uploaded dataset, stored in fixed-size chunks so that a single
+// upload is never bound by MongoDB's 16 MB document limit.
+const dataChunkSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileData',
+    required: true
+  },
+  chunkIndex: {
+    type: Number,
+    required: true
+  },
+  startRow: {
+    type: Number,
+    required: true
+  },
+  rowCount: {
+    type: Number,
+    required: true
+  },
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+// Chunks are always read in order for a single file
+dataChunkSchema.index({ fileId: 1, chunkIndex: 1 }, { unique: true });
+
+module.exports = mongoose.model('DataChunk', dataChunkSchema);
@@ -19,15 +19,16 @@ const fileDataSchema = new mongoose.Schema({
   fileType: {
     type: String,
     required: true,
-    enum: ['csv', 'xlsx', 'xls']
+    enum: ['csv', 'tsv', 'xlsx', 'xls', 'json', 'ndjson']
   },
   fileSize: {
     type: Number,
     required: true
   },
-  data: {
-    type: mongoose.Schema.Types.Mixed,
-    required: true
+  // Worksheet this dataset was read from (Excel uploads only)
+  sheetName: {
+    type: String,
+    trim: true
   },
   columns: {
     type: [{
@@ -35,25 +36,73 @@ const fileDataSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      // Base type: number, date, boolean or string
       type: {
         type: String,
         required: true
+      },
+      // Finer inferred type, e.g. integer, currency, datetime, email, categorical
+      subtype: String,
+      // Share of non-empty values that fit the inferred type (0-1)
+      confidence: Number,
+      // Share of rows with no value (0-1)
+      nullRatio: Number,
+      // Parsing details such as { decimal: ',', thousands: '.', currency: '€' }
+      format: mongoose.Schema.Types.Mixed,
+      // Set when the type was changed by hand rather than inferred
+      overridden: {
+        type: Boolean,
+        default: false
+      },
+      // Hidden columns are left out of rows, stats and AI prompts
+      hidden: {
+        type: Boolean,
+        default: false
       }
     }],
-    required: true
+    default: []
   },
   rowCount: {
     type: Number,
-    required: true
+    default: 0
+  },
+  // How a CSV file was parsed, so it can be re-processed the same way
+  dialect: {
+    encoding: String,
+    bom: Boolean,
+    delimiter: String,
+    quote: String,
+    skipLines: Number,
+    hasHeader: Boolean,
+    fieldCount: Number
   },
   uploadDate: {
     type: Date,
     default: Date.now
   },
+  // Uploads are parsed in the background; rows and stats exist once ready
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'ready', 'failed'],
+    default: 'queued'
+  },
   isProcessed: {
     type: Boolean,
     default: false
-  }
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  processingError: String,
+  // Summary statistics computed after parsing, cleared when columns change
+  summaryStats: mongoose.Schema.Types.Mixed,
+  // Data-quality report computed after parsing, cleared when columns change
+  qualityReport: mongoose.Schema.Types.Mixed,
+  // Latest forecasts run on this file, newest first, so the AI chat can cite them
+  forecasts: mongoose.Schema.Types.Mixed,
+  // Latest segmentation of the rows, so AI insights can describe the clusters
+  clustering: mongoose.Schema.Types.Mixed
 }, {
   timestamps: true
 });
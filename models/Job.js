@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Background work item, picked up by the worker in utils/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Input for the job handler, e.g. the stored upload and parse options
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    stage: {
+      type: String,
+      default: 'queued'
+    },
+    rowsParsed: {
+      type: Number,
+      default: 0
+    },
+    // Estimated from the file when it can be, otherwise left empty
+    totalRows: Number,
+    percent: {
+      type: Number,
+      default: 0
+    }
+  },
+  result: mongoose.Schema.Types.Mixed,
+  // Message of the error that failed the job
+  error: String,
+  // Problems that did not stop the job, e.g. skipped sheets
+  warnings: {
+    type: [String],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Set while a worker owns the job; stale locks are picked up again
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// The worker claims the oldest queued job first
+jobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const { generateInsights, getSummaryStats, chat } = require('../controllers/aiController');
+const { generateInsights, getSummaryStats, chat, naturalLanguageQuery } = require('../controllers/aiController');
+const { createSession, listSessions, renameSession, deleteSession, getSessionMessages } = require('../controllers/chatSessionController');
+const { aggregate, pivot, correlations, outliers, timeSeries, forecast, regression, hypothesisTest, clusters } = require('../controllers/analysisController');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -12,7 +14,44 @@ router.post('/insights', generateInsights);
 // Get summary statistics (without AI)
 router.post('/summary', getSummaryStats);
 
+// Multiple linear regression on a number column
+router.post('/regression', regression);
+
+// Statistical tests between groups
+router.post('/hypothesis-test', hypothesisTest);
+
 // Chat with AI about data
 router.post('/chat', chat);
 
+// Chat sessions: create, list, rename, delete and read their messages
+router.post('/sessions', createSession);
+router.get('/sessions', listSessions);
+router.patch('/sessions/:sessionId', renameSession);
+router.delete('/sessions/:sessionId', deleteSession);
+router.get('/sessions/:sessionId/messages', getSessionMessages);
+
+// Translate a question into a structured query and run it
+router.post('/query', naturalLanguageQuery);
+
+// Group-by aggregation over a dataset
+router.post('/aggregate', aggregate);
+
+// Pivot table with totals
+router.post('/pivot', pivot);
+
+// Correlations and relationships between columns
+router.post('/correlations', correlations);
+
+// Outliers and anomalies with row references
+router.post('/outliers', outliers);
+
+// Resampled time series with moving averages, changes and trend
+router.post('/timeseries', timeSeries);
+
+// Forecast a measure over time
+router.post('/forecast', forecast);
+
+// Segment rows with k-means or k-modes clustering
+router.post('/clusters', clusters);
+
 module.exports = router;
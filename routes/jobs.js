@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getJob } = require('../controllers/jobController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get job status and progress
+router.get('/:id', getJob);
+
+module.exports = router;
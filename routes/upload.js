@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 // const upload = require('../middleware/upload');
 const { authenticateToken } = require('../middleware/auth');
-const { uploadFile, getUserFiles, getFileData, deleteFile } = require('../controllers/uploadController');
+const { uploadFile, getUserFiles, getFileData, getFileRows, getQualityReport, updateColumns, deleteFile } = require('../controllers/uploadController');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
 
@@ -18,6 +18,15 @@ router.get('/files', getUserFiles);
 // Get specific file data
 router.get('/files/:fileId', getFileData);
 
+// Get paginated, filtered and sorted rows of a file
+router.get('/files/:fileId/rows', getFileRows);
+
+// Get the data-quality report of a file
+router.get('/files/:fileId/quality', getQualityReport);
+
+// Change column types, rename or hide columns
+router.patch('/files/:fileId/columns', updateColumns);
+
 // Delete file
 router.delete('/files/:fileId', deleteFile);
 
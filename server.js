@@ -4,10 +4,13 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 const connectDB = require('./config/db');
+const JobQueue = require('./utils/jobQueue');
+const UploadProcessor = require('./utils/uploadProcessor');
 
 const authRoutes = require('./routes/auth');
 const uploadRoutes = require('./routes/upload');
 const aiRoutes = require('./routes/ai');
+const jobRoutes = require('./routes/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -64,6 +67,7 @@ app.get('/', (req, res) => {
       auth: '/api/auth/*',
       upload: '/api/upload/*',
       ai: '/api/ai/*',
+      jobs: '/api/jobs/:id',
     },
   });
 });
@@ -74,6 +78,12 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/jobs', jobRoutes);
+
+/* ----------------------------------------
+   BACKGROUND JOBS
+---------------------------------------- */
+JobQueue.register(UploadProcessor.JOB_TYPE, UploadProcessor);
 
 /* ----------------------------------------
    CONNECT DB THEN START SERVER
@@ -87,6 +97,11 @@ connectDB()
       console.log(`🌐 Render URL: ${process.env.RENDER_EXTERNAL_URL || 'LOCAL'}`);
       console.log('============================================');
     });
+
+    // Set JOB_WORKER=false on instances that should only serve requests
+    if (process.env.JOB_WORKER !== 'false') {
+      JobQueue.start();
+    }
   })
   .catch((err) => {
     console.error('❌ Failed to connect to MongoDB', err);
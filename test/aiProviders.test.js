@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Replies of a fake OpenAI client, one per chat completion request
+const replies = [];
+const requests = [];
+class FakeOpenAI {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: async request => {
+          requests.push(request);
+          const reply = replies.shift();
+          if (!request.stream) return { choices: [{ message: reply }] };
+          return (async function* () {
+            for (const piece of reply.pieces) yield { choices: [{ delta: { content: piece } }] };
+          })();
+        }
+      }
+    };
+  }
+}
+require.cache[require.resolve('openai')] = { exports: FakeOpenAI };
+
+const { generateWithTools } = require('../utils/aiProviders');
+
+const tools = [{ name: 'aggregate', description: 'Totals', parameters: { type: 'object', properties: {} } }];
+
+test.beforeEach(() => {
+  replies.length = 0;
+  requests.length = 0;
+  process.env.AI_PROVIDER = 'openai';
+  process.env.OPENAI_API_KEY = 'test-key';
+  delete process.env.HUGGINGFACE_API_KEY;
+  delete process.env.GEMINI_API_KEY;
+});
+
+test('text of a tool-calling round is not streamed or stored', async () => {
+  replies.push(
+    {
+      role: 'assistant',
+      content: 'Let me look that up...',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'aggregate', arguments: '{"measures":[]}' } }]
+    },
+    { role: 'assistant', content: 'Total revenue was 42.' }
+  );
+
+  const tokens = [];
+  const toolCalls = [];
+  const result = await generateWithTools('Total revenue?', 'system', {
+    tools,
+    executeTool: async () => ({ rows: [{ sum_revenue: 42 }] }),
+    onToolCall: call => toolCalls.push(call),
+    onToken: text => tokens.push(text)
+  });
+
+  assert.strictEqual(result.text, 'Total revenue was 42.');
+  assert.strictEqual(tokens.join(''), result.text);
+  assert.strictEqual(result.provider, 'openai');
+  assert.deepStrictEqual(toolCalls.map(call => call.name), ['aggregate']);
+  assert.strictEqual(requests[1].messages.at(-1).content, '{"rows":[{"sum_revenue":42}]}');
+});
+
+test('the answer round after the last tool round is streamed as it arrives', async () => {
+  for (let round = 0; round < 5; round++) {
+    replies.push({
+      role: 'assistant',
+      content: 'Checking...',
+      tool_calls: [{ id: `call_${round}`, type: 'function', function: { name: 'aggregate', arguments: '{}' } }]
+    });
+  }
+  replies.push({ pieces: ['Revenue ', 'was ', '42.'] });
+
+  const tokens = [];
+  const result = await generateWithTools('Total revenue?', 'system', {
+    tools,
+    executeTool: async () => ({ rows: [] }),
+    onToken: text => tokens.push(text)
+  });
+
+  assert.deepStrictEqual(tokens, ['Revenue ', 'was ', '42.']);
+  assert.strictEqual(result.text, 'Revenue was 42.');
+  assert.strictEqual(result.streamed, true);
+  assert.strictEqual(requests.at(-1).tool_choice, 'none');
+  assert.strictEqual(result.toolCalls.length, 5);
+});
+
+test('the JSON tool protocol calls providers without streaming and keeps the model', async () => {
+  process.env.AI_PROVIDER = 'huggingface';
+  process.env.HUGGINGFACE_API_KEY = 'test-key';
+  process.env.HUGGINGFACE_MODEL = 'test-model';
+  delete process.env.OPENAI_API_KEY;
+
+  const answers = ['{"tool": "aggregate", "arguments": {}}', '{"answer": "Revenue was 42."}'];
+  const bodies = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return {
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => [{ generated_text: answers.shift() }]
+    };
+  };
+
+  try {
+    const result = await generateWithTools('Total revenue?', 'system', {
+      tools,
+      executeTool: async () => ({ rows: [{ sum_revenue: 42 }] })
+    });
+    assert.strictEqual(result.text, 'Revenue was 42.');
+    assert.strictEqual(result.model, 'test-model');
+    assert.strictEqual(result.protocol, 'json');
+    assert.deepStrictEqual(bodies.map(body => body.stream), [false, false]);
+  } finally {
+    global.fetch = originalFetch;
+    delete process.env.HUGGINGFACE_MODEL;
+  }
+});
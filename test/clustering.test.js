@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Clustering = require('../utils/clustering');
+const DatasetStore = require('../utils/datasetStore');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+const distance = (a, b) => Math.abs(a[0] - b[0]);
+
+// Deterministic stand-in for the seeded generator used by run()
+const sequence = () => {
+  let state = 0;
+  return () => {
+    state = (state + 0.37) % 1;
+    return state;
+  };
+};
+
+const fileWith = (columns, rows) => {
+  DatasetStore.iterateRows = async function* () {
+    yield* rows;
+  };
+  return { _id: 'file', columns: columns.map(column => ({ hidden: false, ...column })) };
+};
+
+test('k-means separates two blobs with the expected cost', () => {
+  const points = [[0, 0], [0, 1], [1, 0], [1, 1], [10, 10], [10, 11], [11, 10], [11, 11]];
+  const result = Clustering.kmeans(points, 2, sequence());
+  const first = result.assignments[0];
+  assert.deepStrictEqual(Array.from(result.assignments), [first, first, first, first, 1 - first, 1 - first, 1 - first, 1 - first]);
+  close(result.cost, 4);
+  assert.deepStrictEqual(result.centroids[first], [0.5, 0.5]);
+});
+
+test('k-modes groups rows by their most common categories', () => {
+  const points = [
+    ['red', 'small', 'round'], ['red', 'small', 'round'], ['red', 'large', 'round'],
+    ['blue', 'large', 'square'], ['blue', 'large', 'square'], ['blue', 'small', 'square']
+  ];
+  const result = Clustering.kmodes(points, 2, sequence());
+  const red = result.assignments[0];
+  assert.deepStrictEqual(Array.from(result.assignments), [red, red, red, 1 - red, 1 - red, 1 - red]);
+  assert.deepStrictEqual(result.centroids[red], ['red', 'small', 'round']);
+  assert.deepStrictEqual(result.centroids[1 - red], ['blue', 'large', 'square']);
+  assert.strictEqual(result.cost, 2);
+});
+
+test('silhouette width of two tight groups', () => {
+  const points = [[0], [1], [10], [11]];
+  const expected = ((9.5 / 10.5) * 2 + (8.5 / 9.5) * 2) / 4;
+  close(Clustering.silhouette(points, [0, 0, 1, 1], 2, distance), expected);
+  assert.strictEqual(Clustering.silhouette(points, [0, 0, 0, 0], 1, distance), null);
+});
+
+test('the elbow is the k furthest below the line through the ends', () => {
+  const candidates = [100, 40, 30, 25, 22].map((cost, index) => ({ k: index + 2, cost }));
+  assert.strictEqual(Clustering.elbowOf(candidates).k, 3);
+});
+
+test('a seeded run is reproducible and picks k by silhouette', async () => {
+  const rows = [];
+  [[0, 0], [20, 0], [0, 20]].forEach(([x, y]) => {
+    for (let i = 0; i < 10; i++) rows.push({ x: String(x + (i % 3)), y: String(y + (i % 4)) });
+  });
+  const fileData = fileWith([{ name: 'x', type: 'number' }, { name: 'y', type: 'number' }], rows);
+
+  const first = await Clustering.run(fileData, { seed: 7 });
+  const second = await Clustering.run(fileData, { seed: 7 });
+  assert.strictEqual(first.method, 'kmeans');
+  assert.strictEqual(first.k, 3);
+  assert.deepStrictEqual(first.assignments, second.assignments);
+  assert.ok(first.silhouette > 0.8);
+  assert.deepStrictEqual(first.clusters.map(cluster => cluster.size), [10, 10, 10]);
+});
+
+test('profiles of large clusters do not overflow the stack', () => {
+  const values = Array.from({ length: 200000 }, (_, index) => index % 1000);
+  const description = Clustering.describeColumn({ kind: 'numeric' }, values);
+  assert.strictEqual(description.min, 0);
+  assert.strictEqual(description.max, 999);
+  close(description.mean, 499.5);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FileProcessor = require('../utils/fileProcessor');
+
+const sniff = (text, overrides) => FileProcessor.sniffDialect(Buffer.from(text), overrides);
+
+test('year headers over numeric columns are a header', () => {
+  const dialect = sniff('region,2021,2022,2023\nNorth,100,200,300\nSouth,150,250,350\nEast,120,220,320\n');
+  assert.strictEqual(dialect.hasHeader, true);
+  assert.strictEqual(dialect.fieldCount, 4);
+});
+
+test('a first row shaped like the rows below is data', () => {
+  assert.strictEqual(sniff('North,100,200,300\nSouth,150,250,350\nEast,120,220,320\n').hasHeader, false);
+  assert.strictEqual(sniff('1,2,3\n4,5,6\n7,8,9\n').hasHeader, false);
+  assert.strictEqual(sniff('2020-01-01,5\n2020-01-02,6\n2020-01-03,7\n').hasHeader, false);
+});
+
+test('text over numeric or date columns is a header', () => {
+  assert.strictEqual(sniff('date,value\n2020-01-01,5\n2020-01-02,6\n').hasHeader, true);
+  assert.strictEqual(sniff('name,city\nBob,Paris\nAmy,Rome\n').hasHeader, true);
+});
+
+test('delimiter, preamble and overrides', () => {
+  const dialect = sniff('Sales export\nname;amount\nBob;30\nAmy;25\n');
+  assert.strictEqual(dialect.delimiter, ';');
+  assert.strictEqual(dialect.skipLines, 1);
+  assert.strictEqual(dialect.hasHeader, true);
+
+  assert.strictEqual(sniff('name,amount\nBob,30\n', { hasHeader: false }).hasHeader, false);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Forecaster = require('../utils/forecaster');
+const { QueryError } = require('../utils/rowQuery');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('error metrics leave zeros out of MAPE', () => {
+  const metrics = Forecaster.errorMetrics([0, 10, 20], [1, 12, 16]);
+  close(metrics.mae, 7 / 3);
+  close(metrics.rmse, Math.sqrt(21 / 3));
+  close(metrics.mape, ((0.2 + 0.2) / 2) * 100);
+});
+
+test('seasonality is detected from the autocorrelation', () => {
+  const pattern = [10, 20, 30, 15];
+  const values = Array.from({ length: 24 }, (_, index) => pattern[index % 4] + index * 0.5);
+  assert.strictEqual(Forecaster.detectSeasonality(values).period, 4);
+
+  const trend = Array.from({ length: 24 }, (_, index) => 5 + index * 2);
+  assert.strictEqual(Forecaster.detectSeasonality(trend).period, null);
+});
+
+test('naive and seasonal naive forecasts repeat the last values', () => {
+  assert.deepStrictEqual(Forecaster.fit([1, 2, 3], 'naive').forecast(2), [3, 3]);
+  assert.deepStrictEqual(Forecaster.fit([1, 2, 3, 4, 5, 6], 'seasonalNaive', 3).forecast(4), [4, 5, 6, 4]);
+});
+
+test('a straight line is forecast exactly with a widening interval', () => {
+  const values = Array.from({ length: 12 }, (_, index) => 3 + 2 * index);
+  const result = Forecaster.forecastValues(values, { method: 'linear', horizon: 3 });
+  assert.strictEqual(result.method, 'linear');
+  result.forecast.forEach((point, index) => close(point.value, 3 + 2 * (12 + index)));
+  close(result.backtest.mae, 0);
+
+  const noisy = values.map((value, index) => value + (index % 2 === 0 ? 1 : -1));
+  const widths = Forecaster.forecastValues(noisy, { method: 'linear', horizon: 3 }).forecast
+    .map(point => point.upper - point.lower);
+  assert.ok(widths[0] > 0 && widths[1] > widths[0] && widths[2] > widths[1]);
+});
+
+test('auto picks the method with the lowest backtest error and reports skipped ones', () => {
+  const values = Array.from({ length: 20 }, (_, index) => 100 + 5 * index);
+  const result = Forecaster.forecastValues(values, { horizon: 4 });
+  assert.strictEqual(result.comparison[0].method, result.method);
+  assert.ok(['linear', 'holt'].includes(result.method));
+  assert.deepStrictEqual(result.skipped.map(item => item.method), ['seasonalNaive', 'holtWinters']);
+});
+
+test('a series too short for the method is rejected', () => {
+  assert.throws(() => Forecaster.forecastValues([1, 2], { method: 'holt', horizon: 1 }), QueryError);
+});
+
+test('a requested method is fitted to the full series with a shortened backtest', () => {
+  // Holt-Winters with a season of 4 needs 8 periods, leaving 1 of 9 to hold out
+  const seasonal = [10, 20, 30, 15, 12, 22, 32, 17, 14];
+  const shortened = Forecaster.forecastValues(seasonal, { method: 'holtWinters', horizon: 3, period: 4 });
+  assert.strictEqual(shortened.method, 'holtWinters');
+  assert.strictEqual(shortened.backtest.holdout, 1);
+  assert.strictEqual(shortened.forecast.length, 3);
+
+  const untested = Forecaster.forecastValues([10, 12, 14, 16], { method: 'holt', horizon: 3 });
+  assert.strictEqual(untested.backtest, null);
+  assert.deepStrictEqual(untested.comparison, []);
+  assert.strictEqual(untested.forecast.length, 3);
+});
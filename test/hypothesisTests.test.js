@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HypothesisTests = require('../utils/hypothesisTests');
+const { QueryError } = require('../utils/rowQuery');
+
+const close = (actual, expected, tolerance = 1e-4) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+const group = (name, values) => ({ name, values });
+
+// Reference values from scipy.stats
+test('Student and Welch t-tests', () => {
+  const first = group('a', [1, 2, 3, 4, 5]);
+  const second = group('b', [2, 4, 6, 8, 10]);
+
+  const student = HypothesisTests.tTest(first, second, false);
+  close(student.statistic.value, -1.897367);
+  assert.strictEqual(student.df, 8);
+  close(student.pValue, 0.094350);
+  close(student.effectSize.value, -1.2);
+
+  const welch = HypothesisTests.tTest(first, second, true);
+  close(welch.df, 5.882353);
+  close(welch.pValue, 0.107918, 1e-3);
+
+  assert.throws(() => HypothesisTests.tTest(group('a', [1]), second, false), QueryError);
+});
+
+test('Mann-Whitney U on fully separated groups', () => {
+  const result = HypothesisTests.mannWhitney(group('a', [1, 2, 3]), group('b', [4, 5, 6]));
+  assert.strictEqual(result.statistic.value, 0);
+  close(result.effectSize.value, -1);
+  assert.ok(result.pValue > 0.05 && result.pValue < 0.1);
+  assert.strictEqual(result.warnings.length, 1);
+});
+
+test('one-way ANOVA', () => {
+  const result = HypothesisTests.anova([
+    group('a', [1, 2, 3]),
+    group('b', [4, 5, 6]),
+    group('c', [7, 8, 9])
+  ]);
+  close(result.statistic.value, 27);
+  assert.deepStrictEqual(result.df, { between: 2, within: 6 });
+  close(result.pValue, 0.001);
+  close(result.effectSize.value, 0.9);
+});
+
+test('chi-square test of independence', () => {
+  const result = HypothesisTests.chiSquare([
+    group('a', [...Array(10).fill('yes'), ...Array(20).fill('no')]),
+    group('b', [...Array(20).fill('yes'), ...Array(10).fill('no')])
+  ]);
+  close(result.statistic.value, 20 / 3);
+  assert.strictEqual(result.df, 1);
+  close(result.pValue, 0.009823);
+  assert.deepStrictEqual(result.groups[0].counts, { yes: 10, no: 20 });
+});
+
+test('one-sample and two-sample proportion tests', () => {
+  const values = [...Array(60).fill('true'), ...Array(40).fill('false')];
+  const single = HypothesisTests.proportion([group('all', values)]);
+  close(single.statistic.value, 2);
+  close(single.pValue, 0.045500);
+  assert.strictEqual(single.success, 'true');
+
+  const twoSample = HypothesisTests.proportion([group('a', values), group('b', values)], 'true');
+  assert.strictEqual(twoSample.statistic.value, 0);
+  close(twoSample.pValue, 1);
+
+  assert.throws(() => HypothesisTests.proportion([group('a', ['x', 'y'])]), QueryError);
+});
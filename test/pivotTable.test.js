@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PivotTable = require('../utils/pivotTable');
+const DatasetStore = require('../utils/datasetStore');
+const { QueryError } = require('../utils/rowQuery');
+
+const fileData = { _id: 'file', columns: [{ name: 'region', type: 'string', hidden: false }] };
+const regions = ['North', 'North', 'North', 'Other', 'Other', 'South', 'East'];
+DatasetStore.iterateRows = async function* () {
+  yield* regions.map(region => ({ region }));
+};
+
+test('the top-N bucket gets a label no real value has', async () => {
+  const result = await PivotTable.run(fileData, { rows: ['region'], topN: 2 });
+  assert.deepStrictEqual(result.rowHeaders, [['North'], ['Other'], ['Other (2)']]);
+  assert.deepStrictEqual(result.rowTotals, [3, 2, 2]);
+  assert.deepStrictEqual(result.otherLabels, { region: 'Other (2)' });
+});
+
+test('a requested bucket label that is already a value is rejected', async () => {
+  await assert.rejects(PivotTable.run(fileData, { rows: ['region'], topN: 2, otherLabel: 'North' }), QueryError);
+
+  const result = await PivotTable.run(fileData, { rows: ['region'], topN: 2, otherLabel: 'Rest' });
+  assert.deepStrictEqual(result.rowHeaders, [['North'], ['Other'], ['Rest']]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Regression = require('../utils/regression');
+const { QueryError } = require('../utils/rowQuery');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+const numeric = name => ({ name, kind: 'numeric' });
+const categorical = name => ({ name, kind: 'categorical' });
+
+test('simple regression matches the textbook estimates and standard errors', () => {
+  const result = Regression.analyze([numeric('x')], [[1], [2], [3], [4], [5]], [2, 4, 5, 4, 5]);
+  const [intercept, slope] = result.coefficients;
+
+  assert.strictEqual(intercept.term, '(Intercept)');
+  close(intercept.estimate, 2.2);
+  close(slope.estimate, 0.6);
+  // sigma² = SSE / (n - 2) = 2.4 / 3, Sxx = 10, mean x = 3
+  close(slope.stdError, Math.sqrt(0.8 / 10));
+  close(intercept.stdError, Math.sqrt(0.8 * (1 / 5 + 9 / 10)));
+  close(result.fit.rSquared, 0.6);
+  assert.strictEqual(result.fit.dfResidual, 3);
+});
+
+test('an exact linear relationship is recovered', () => {
+  const rows = [[0, 1], [1, 0], [2, 3], [3, 1], [4, 5]];
+  const ys = rows.map(([a, b]) => 1 + 2 * a - 3 * b);
+  const result = Regression.analyze([numeric('a'), numeric('b')], rows, ys);
+
+  close(result.coefficients[0].estimate, 1);
+  close(result.coefficients[1].estimate, 2);
+  close(result.coefficients[2].estimate, -3);
+  close(result.fit.rSquared, 1);
+});
+
+test('invert leaves out aliased terms', () => {
+  assert.deepStrictEqual(Regression.invert([[1, 1], [1, 1]]), { inverse: [[1]], kept: [0] });
+
+  const { inverse, kept } = Regression.invert([[4, 2], [2, 3]]);
+  assert.deepStrictEqual(kept, [0, 1]);
+  close(inverse[0][0], 3 / 8);
+  close(inverse[0][1], -2 / 8);
+  close(inverse[1][1], 4 / 8);
+});
+
+test('a predictor that duplicates another is reported as aliased', () => {
+  const rows = [[1, 2], [2, 4], [3, 6], [4, 8], [5, 10]];
+  const result = Regression.analyze([numeric('x'), numeric('double')], rows, [3, 5, 8, 9, 11]);
+
+  assert.deepStrictEqual(result.aliased, ['double']);
+  assert.strictEqual(result.coefficients[2].estimate, null);
+  close(result.coefficients[1].estimate, 2);
+});
+
+test('categorical predictors use the most frequent level as the reference', () => {
+  const rows = [['b'], ['b'], ['b'], ['a'], ['a'], ['c'], ['c']];
+  const ys = [10, 11, 9, 15, 15, 7, 8];
+  const result = Regression.analyze([categorical('group')], rows, ys);
+
+  assert.deepStrictEqual(result.categories.group, { reference: 'b', levels: ['b', 'a', 'c'] });
+  assert.deepStrictEqual(result.coefficients.map(coefficient => coefficient.term), ['(Intercept)', 'group=a', 'group=c']);
+  close(result.coefficients[0].estimate, 10);
+  close(result.coefficients[1].estimate, 5);
+  close(result.coefficients[2].estimate, -2.5);
+});
+
+test('too many categories or too few rows are rejected', () => {
+  const rows = [['a'], ['b'], ['c'], ['d'], ['e']];
+  assert.throws(() => Regression.analyze([categorical('id')], rows, [1, 2, 3, 4, 5], 3), QueryError);
+  assert.throws(() => Regression.analyze([numeric('x')], [[1], [2]], [1, 2]), QueryError);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RowQuery, QueryError } = require('../utils/rowQuery');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sort = [{ column: 'date' }, { column: 'amount' }];
+
+test('a cursor round-trips through encode and decode', () => {
+  const when = new Date('2023-05-01T00:00:00Z');
+  const cursor = RowQuery.encodeCursor({ index: 7, key: [when, 120] }, sort);
+  const decoded = RowQuery.decodeCursor(cursor, sort);
+  assert.strictEqual(decoded.index, 7);
+  assert.deepStrictEqual(decoded.key, [when, 120]);
+});
+
+test('cursors that are not cursor objects are rejected as invalid', () => {
+  for (const value of [null, 42, 'text', [1, 2], { key: [] }, { index: 1, key: 'x', sort: ['date', 'amount'] }]) {
+    assert.throws(() => RowQuery.decodeCursor(encode(value), sort), error => {
+      assert.ok(error instanceof QueryError);
+      assert.strictEqual(error.message, 'Invalid cursor');
+      return true;
+    });
+  }
+  assert.throws(() => RowQuery.decodeCursor('not base64 json', sort), QueryError);
+});
+
+test('a cursor from a different sort order is rejected', () => {
+  const cursor = RowQuery.encodeCursor({ index: 0, key: [1] }, [{ column: 'amount' }]);
+  assert.throws(() => RowQuery.decodeCursor(cursor, sort), /different sort order/);
+});
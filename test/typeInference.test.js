@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TypeInference = require('../utils/typeInference');
+
+test('order and invoice ids stay strings', () => {
+  for (const values of [['ORD1001', 'ORD1002', 'ORD1003'], ['INV123', 'INV124', 'INV125']]) {
+    const result = TypeInference.inferValues(values);
+    assert.strictEqual(result.type, 'string');
+    assert.notStrictEqual(result.subtype, 'currency');
+  }
+  assert.strictEqual(TypeInference.parseNumber('ORD1001'), null);
+  assert.strictEqual(TypeInference.parseNumber('INV123'), null);
+});
+
+test('ISO currency codes before or after the amount are currency', () => {
+  const before = TypeInference.inferValues(['USD 1,200', 'USD 30', 'USD 7.50']);
+  assert.strictEqual(before.subtype, 'currency');
+  assert.deepStrictEqual(before.format, { currency: 'USD' });
+
+  const after = TypeInference.inferValues(['12 EUR', '30EUR', '7.50 EUR']);
+  assert.strictEqual(after.subtype, 'currency');
+  assert.deepStrictEqual(after.format, { currency: 'EUR' });
+
+  assert.strictEqual(TypeInference.parseNumber('USD 1,200'), 1200);
+  assert.strictEqual(TypeInference.parseNumber('(USD 30)'), -30);
+  assert.strictEqual(TypeInference.parseNumber('30EUR'), 30);
+});
+
+test('a code glued to the front of the amount is not currency', () => {
+  assert.strictEqual(TypeInference.parseNumber('USD1200'), null);
+  assert.strictEqual(TypeInference.inferValues(['USD1200', 'USD30', 'USD7']).type, 'string');
+});
+
+test('currency symbols and plain numbers', () => {
+  assert.strictEqual(TypeInference.inferValues(['$1,200.50', '$30', '$7']).subtype, 'currency');
+  assert.strictEqual(TypeInference.parseNumber('$1,200.50'), 1200.5);
+  assert.strictEqual(TypeInference.inferValues(['1', '2', '3']).subtype, 'integer');
+  assert.strictEqual(TypeInference.inferValues(['1.5', '2', '3.25']).subtype, 'float');
+});
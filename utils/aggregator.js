@@ -0,0 +1,300 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const MEASURE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'median', 'distinctCount'];
+const DATE_GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+const NUMERIC_FUNCTIONS = ['sum', 'avg', 'median'];
+
+class Aggregator {
+  /**
+   * Normalize group-by input: "region" or { column: "orderDate", granularity: "month" }
+   * @param {String|Array} groupBy - Column names or group-by objects
+   * @param {Array} columns - FileData.columns
+   * @returns {Array} [{ column, type, format, granularity, as }]
+   */
+  static parseGroupBy(groupBy, columns) {
+    if (groupBy === undefined || groupBy === null || groupBy === '') return [];
+    const list = Array.isArray(groupBy) ? groupBy : RowQuery.parseList(groupBy);
+
+    return list.map(item => {
+      const spec = typeof item === 'string' ? { column: item } : item || {};
+      const column = RowQuery.getColumn(columns, spec.column);
+      const granularity = spec.granularity || null;
+
+      if (granularity) {
+        if (column.type !== 'date') {
+          throw new QueryError(`Granularity can only be used on date columns, "${column.name}" is ${column.type}`);
+        }
+        if (!DATE_GRANULARITIES.includes(granularity)) {
+          throw new QueryError(`Unsupported granularity "${granularity}". Use one of: ${DATE_GRANULARITIES.join(', ')}`);
+        }
+      }
+
+      return {
+        column: column.name,
+        type: column.type,
+        format: column.format,
+        granularity,
+        as: spec.as || (granularity ? `${column.name}_${granularity}` : column.name)
+      };
+    });
+  }
+
+  /**
+   * Normalize measures: { column, fn, as }; "count" needs no column
+   * @param {Array} measures - Measure definitions
+   * @param {Array} columns - FileData.columns
+   * @returns {Array} [{ column, type, format, fn, as }]
+   */
+  static parseMeasures(measures, columns) {
+    const list = Array.isArray(measures) ? measures : (measures ? [measures] : []);
+    if (list.length === 0) {
+      return [{ column: null, type: null, format: null, fn: 'count', as: 'count' }];
+    }
+
+    return list.map((measure, index) => {
+      const spec = typeof measure === 'string' ? { fn: measure } : measure || {};
+      const fn = spec.fn || spec.function;
+
+      if (!MEASURE_FUNCTIONS.includes(fn)) {
+        throw new QueryError(`Unsupported measure function "${fn}" at index ${index}. Use one of: ${MEASURE_FUNCTIONS.join(', ')}`);
+      }
+      if (!spec.column && fn !== 'count') {
+        throw new QueryError(`Measure "${fn}" at index ${index} requires a column`);
+      }
+
+      const column = spec.column ? RowQuery.getColumn(columns, spec.column) : null;
+      if (column && NUMERIC_FUNCTIONS.includes(fn) && column.type !== 'number') {
+        throw new QueryError(`Measure "${fn}" requires a number column, "${column.name}" is ${column.type}`);
+      }
+
+      return {
+        column: column ? column.name : null,
+        type: column ? column.type : null,
+        format: column ? column.format : null,
+        fn,
+        as: spec.as || (column ? `${fn}_${column.name}` : fn)
+      };
+    });
+  }
+
+  /**
+   * Bucket a date into a sortable period label
+   * @param {Date} date - Date value
+   * @param {String} granularity - day, week, month, quarter or year
+   * @returns {String} e.g. "2024-03-15", "2024-W11", "2024-03", "2024-Q1", "2024"
+   */
+  static bucketDate(date, granularity) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const pad = value => String(value).padStart(2, '0');
+
+    switch (granularity) {
+      case 'day':
+        return `${year}-${pad(month)}-${pad(date.getUTCDate())}`;
+      case 'week': {
+        // ISO 8601 week: the week containing the year's first Thursday is week 1
+        const target = new Date(Date.UTC(year, date.getUTCMonth(), date.getUTCDate()));
+        const dayOfWeek = target.getUTCDay() || 7;
+        target.setUTCDate(target.getUTCDate() + 4 - dayOfWeek);
+        const weekYear = target.getUTCFullYear();
+        const week = Math.ceil(((target - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+        return `${weekYear}-W${pad(week)}`;
+      }
+      case 'month':
+        return `${year}-${pad(month)}`;
+      case 'quarter':
+        return `${year}-Q${Math.ceil(month / 3)}`;
+      case 'year':
+        return String(year);
+      default:
+        return date.toISOString();
+    }
+  }
+
+  /**
+   * Compute the group key value of a row for one group-by spec
+   */
+  static groupValue(row, group) {
+    const value = FileProcessor.coerceValue(row[group.column], group.type, group.format);
+    if (value === null) return null;
+    if (group.granularity) return this.bucketDate(value, group.granularity);
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  }
+
+  /**
+   * Group rows and compute measures in a single pass
+   * @param {Iterable|AsyncIterable} rows - Rows to aggregate
+   * @param {Object} spec - { groupBy, measures, predicate } as returned by the parse helpers
+   * @returns {Array} One result row per group
+   */
+  static async aggregateRows(rows, { groupBy, measures, predicate = () => true }) {
+    const groups = new Map();
+
+    for await (const row of rows) {
+      if (!predicate(row)) continue;
+
+      const keyValues = groupBy.map(group => this.groupValue(row, group));
+      const key = JSON.stringify(keyValues);
+
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          keyValues,
+          accumulators: measures.map(() => this.createAccumulator())
+        };
+        groups.set(key, group);
+      }
+
+      measures.forEach((measure, index) => {
+        const value = measure.column ? FileProcessor.coerceValue(row[measure.column], measure.type, measure.format) : null;
+        this.accumulate(group.accumulators[index], measure, value);
+      });
+    }
+
+    return Array.from(groups.values()).map(group => {
+      const result = {};
+      groupBy.forEach((spec, index) => {
+        result[spec.as] = group.keyValues[index];
+      });
+      measures.forEach((measure, index) => {
+        result[measure.as] = this.finalizeMeasure(measure, group.accumulators[index]);
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Create the running state for one measure of one group
+   */
+  static createAccumulator() {
+    return { count: 0, sum: 0, min: null, max: null, values: [], distinct: new Set() };
+  }
+
+  /**
+   * Add a coerced value to an accumulator; measures without a column count every row
+   * @param {Object} acc - Accumulator from createAccumulator
+   * @param {Object} measure - Parsed measure
+   * @param {*} value - Value already coerced to the measure column type
+   */
+  static accumulate(acc, measure, value) {
+    if (!measure.column) {
+      acc.count++;
+      return;
+    }
+    if (value === null) return;
+
+    acc.count++;
+    if (measure.fn === 'distinctCount') {
+      acc.distinct.add(value instanceof Date ? value.getTime() : value);
+    } else if (measure.fn === 'min' || measure.fn === 'max') {
+      if (acc.min === null || RowQuery.compare(value, acc.min) < 0) acc.min = value;
+      if (acc.max === null || RowQuery.compare(value, acc.max) > 0) acc.max = value;
+    } else if (measure.fn === 'median') {
+      acc.values.push(value);
+    } else if (typeof value === 'number') {
+      acc.sum += value;
+    }
+  }
+
+  /**
+   * Turn an accumulator into the final measure value
+   */
+  static finalizeMeasure(measure, acc) {
+    switch (measure.fn) {
+      case 'count':
+        return acc.count;
+      case 'sum':
+        return acc.sum;
+      case 'avg':
+        return acc.count > 0 ? acc.sum / acc.count : null;
+      case 'min':
+        return acc.min instanceof Date ? acc.min.toISOString() : acc.min;
+      case 'max':
+        return acc.max instanceof Date ? acc.max.toISOString() : acc.max;
+      case 'median': {
+        if (acc.values.length === 0) return null;
+        const sorted = [...acc.values].sort((a, b) => a - b);
+        return sorted.length % 2 === 0
+          ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
+          : sorted[Math.floor(sorted.length / 2)];
+      }
+      case 'distinctCount':
+        return acc.distinct.size;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run a group-by aggregation over the stored rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { groupBy, measures, filters, sort, limit }
+   * @returns {Object} { columns, rows, groupCount }
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const groupBy = this.parseGroupBy(options.groupBy, columns);
+    const measures = this.parseMeasures(options.measures, columns);
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+
+    let rows = await this.aggregateRows(DatasetStore.iterateRows(fileData._id), { groupBy, measures, predicate });
+
+    const resultColumns = [
+      ...groupBy.map(group => ({
+        name: group.as,
+        type: group.granularity ? 'string' : group.type,
+        role: 'dimension'
+      })),
+      ...measures.map(measure => ({
+        name: measure.as,
+        type: ['min', 'max'].includes(measure.fn) && measure.type !== 'number' ? measure.type : 'number',
+        role: 'measure'
+      }))
+    ];
+
+    rows = this.sortResult(rows, options.sort, resultColumns);
+    const groupCount = rows.length;
+
+    const limit = parseInt(options.limit, 10);
+    if (limit > 0) rows = rows.slice(0, limit);
+
+    return { columns: resultColumns, rows, groupCount };
+  }
+
+  /**
+   * Sort result rows by result columns ("-sum_revenue"); defaults to the group keys
+   */
+  static sortResult(rows, sort, resultColumns) {
+    const dimensions = resultColumns.filter(col => col.role === 'dimension');
+    const keys = sort
+      ? RowQuery.parseList(sort).map(item => {
+        const descending = item.startsWith('-');
+        const name = descending ? item.slice(1) : item;
+        if (!resultColumns.some(col => col.name === name)) {
+          throw new QueryError(`Cannot sort by "${name}". Sortable columns: ${resultColumns.map(col => col.name).join(', ')}`);
+        }
+        return { name, direction: descending ? -1 : 1 };
+      })
+      : dimensions.map(col => ({ name: col.name, direction: 1 }));
+
+    return [...rows].sort((a, b) => {
+      for (const { name, direction } of keys) {
+        const valueA = a[name] === undefined ? null : a[name];
+        const valueB = b[name] === undefined ? null : b[name];
+        const result = RowQuery.compare(valueA, valueB);
+        if (result !== 0) {
+          return valueA === null || valueB === null ? result : result * direction;
+        }
+      }
+      return 0;
+    });
+  }
+}
+
+Aggregator.MEASURE_FUNCTIONS = MEASURE_FUNCTIONS;
+Aggregator.DATE_GRANULARITIES = DATE_GRANULARITIES;
+
+module.exports = Aggregator;
@@ -1,13 +1,68 @@
 /**
  * AI Provider Abstraction Layer
  * Supports multiple AI providers with automatic fallback
+ *
+ * Every provider can also stream: pass { onToken } as the third argument and
+ * it calls onToken(text) as pieces of the answer arrive, resolving to
+ * { text, model, streamed }. Answers that could not be streamed are passed to
+ * onToken in word-sized chunks once complete, with streamed: false. Pass
+ * { withModel: true } instead for the same result without streaming.
  */
 
+/**
+ * Feed a complete answer to onToken a few words at a time
+ */
+const emitInChunks = (text, onToken, wordsPerChunk = 3) => {
+  const words = text.match(/\s*\S+/g) || [];
+  for (let i = 0; i < words.length; i += wordsPerChunk) {
+    onToken(words.slice(i, i + wordsPerChunk).join(''));
+  }
+};
+
+/**
+ * Result of a provider call: the text itself, or when streaming or the model
+ * was asked for, { text, model } with the text chunked to any onToken
+ */
+const finishCall = (text, model, { onToken, withModel } = {}) => {
+  if (!onToken && !withModel) return text;
+  if (onToken) emitInChunks(text, onToken);
+  return { text, model, streamed: false };
+};
+
+/**
+ * Read a Server-Sent Events response body, calling onData with the parsed
+ * JSON of every `data:` line
+ */
+const readEventStream = async (body, onData) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const handleLine = line => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    try {
+      onData(JSON.parse(payload));
+    } catch (error) {
+      // Keep-alive comments and partial payloads are not JSON
+    }
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+};
+
 /**
  * Call Hugging Face Inference API
  * Free tier available at: https://huggingface.co/inference-api
  */
-const callHuggingFace = async (prompt, systemPrompt) => {
+const callHuggingFace = async (prompt, systemPrompt, options = {}) => {
+    const { onToken, signal } = options;
     const apiKey = process.env.HUGGINGFACE_API_KEY || '';
     // Use proper text generation models (not classification models like BART-MNLI)
     const modelOptions = [
@@ -56,6 +111,8 @@ const callHuggingFace = async (prompt, systemPrompt) => {
           top_p: 0.95,
           return_full_text: false,
         },
+        // Models served by text-generation-inference answer with SSE
+        stream: Boolean(onToken),
       };
     }
   
@@ -68,6 +125,7 @@ const callHuggingFace = async (prompt, systemPrompt) => {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(bodyPayload),
+        signal,
       }
     );
   
@@ -95,17 +153,29 @@ const callHuggingFace = async (prompt, systemPrompt) => {
       );
     }
   
+    if (onToken && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+      let text = '';
+      await readEventStream(response.body, event => {
+        const token = event.token;
+        if (token && !token.special && token.text) {
+          text += token.text;
+          onToken(token.text);
+        }
+      });
+      return { text: text.trim(), model, streamed: true };
+    }
+
     const data = await response.json();
   
     // ✅ Handle different response formats cleanly
     if (Array.isArray(data)) {
-      if (data[0]?.generated_text) return data[0].generated_text.trim();
-      if (data[0]?.label) return `${data[0].label} (${data[0].score.toFixed(2)})`;
-      if (typeof data[0] === 'string') return data[0].trim();
+      if (data[0]?.generated_text) return finishCall(data[0].generated_text.trim(), model, options);
+      if (data[0]?.label) return finishCall(`${data[0].label} (${data[0].score.toFixed(2)})`, model, options);
+      if (typeof data[0] === 'string') return finishCall(data[0].trim(), model, options);
     } else if (data.generated_text) {
-      return data.generated_text.trim();
+      return finishCall(data.generated_text.trim(), model, options);
     } else if (typeof data === 'string') {
-      return data.trim();
+      return finishCall(data.trim(), model, options);
     }
   
     throw new Error(
@@ -166,7 +236,8 @@ const getAvailableGeminiModels = async (apiKey) => {
  * Call Google Gemini API using the official SDK
  * Free tier available with good limits
  */
-const callGemini = async (prompt, systemPrompt) => {
+const callGemini = async (prompt, systemPrompt, options = {}) => {
+  const { onToken, signal } = options;
   const apiKey = process.env.GEMINI_API_KEY || '';
   
   if (!apiKey) {
@@ -245,6 +316,25 @@ const callGemini = async (prompt, systemPrompt) => {
         }
       });
 
+      if (onToken) {
+        const result = await model.generateContentStream(fullPrompt, { signal });
+        let text = '';
+        for await (const chunk of result.stream) {
+          const piece = chunk.text();
+          if (piece) {
+            text += piece;
+            onToken(piece);
+          }
+        }
+
+        if (text.trim().length === 0) {
+          throw new Error('Gemini API returned empty response');
+        }
+
+        console.log(`✅ Gemini API streamed with model: ${modelName}`);
+        return { text: text.trim(), model: modelName, streamed: true };
+      }
+
       // Correct SDK usage - just pass the prompt string
       const result = await model.generateContent(fullPrompt);
       const response = await result.response;
@@ -255,7 +345,7 @@ const callGemini = async (prompt, systemPrompt) => {
       }
       
       console.log(`✅ Gemini API succeeded with model: ${modelName}`);
-      return text.trim();
+      return finishCall(text.trim(), modelName, options);
       
     } catch (error) {
       console.log(`❌ Gemini model ${modelName} failed: ${error.message}`);
@@ -300,7 +390,8 @@ const callGemini = async (prompt, systemPrompt) => {
               maxOutputTokens: 1000,
               topP: 0.95,
             }
-          })
+          }),
+          signal
         }
       );
 
@@ -318,7 +409,7 @@ const callGemini = async (prompt, systemPrompt) => {
       
       if (data.candidates && data.candidates[0]?.content?.parts && data.candidates[0].content.parts[0]?.text) {
         console.log(`✅ Gemini REST API succeeded with model: ${restModel}`);
-        return data.candidates[0].content.parts[0].text.trim();
+        return finishCall(data.candidates[0].content.parts[0].text.trim(), restModel, options);
       }
       
     } catch (restError) {
@@ -351,7 +442,8 @@ const callGemini = async (prompt, systemPrompt) => {
 /**
  * Call OpenAI API (existing implementation)
  */
-const callOpenAI = async (prompt, systemPrompt) => {
+const callOpenAI = async (prompt, systemPrompt, options = {}) => {
+  const { onToken, signal } = options;
   const OpenAI = require('openai');
   const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY || ''
@@ -371,6 +463,30 @@ const callOpenAI = async (prompt, systemPrompt) => {
     content: prompt
   });
 
+  if (onToken) {
+    const stream = await openai.chat.completions.create({
+      model: model,
+      messages: messages,
+      temperature: 0.7,
+      max_tokens: 1000,
+      stream: true
+    }, { signal });
+
+    let text = '';
+    for await (const chunk of stream) {
+      const piece = chunk.choices[0]?.delta?.content;
+      if (piece) {
+        text += piece;
+        onToken(piece);
+      }
+    }
+    if (!text) {
+      text = 'Unable to generate insights.';
+      onToken(text);
+    }
+    return { text, model, streamed: true };
+  }
+
   const completion = await openai.chat.completions.create({
     model: model,
     messages: messages,
@@ -378,7 +494,7 @@ const callOpenAI = async (prompt, systemPrompt) => {
     max_tokens: 1000
   });
 
-  return completion.choices[0]?.message?.content || 'Unable to generate insights.';
+  return finishCall(completion.choices[0]?.message?.content || 'Unable to generate insights.', model, options);
 };
 
 /**
@@ -454,8 +570,319 @@ const generateAIInsights = async (prompt, systemPrompt = 'You are a helpful data
   throw new Error('No AI provider is configured. Please set at least one of: HUGGINGFACE_API_KEY, GEMINI_API_KEY, or OPENAI_API_KEY');
 };
 
+/**
+ * Configured providers in order of preference: AI_PROVIDER first, then the
+ * usual fallback order
+ * @returns {Array} [{ name, call }]
+ */
+const configuredProviders = () => {
+  const aiProvider = (process.env.AI_PROVIDER || 'huggingface').toLowerCase();
+
+  const providers = {
+    'huggingface': { call: callHuggingFace, apiKey: process.env.HUGGINGFACE_API_KEY },
+    'gemini': { call: callGemini, apiKey: process.env.GEMINI_API_KEY },
+    'openai': { call: callOpenAI, apiKey: process.env.OPENAI_API_KEY }
+  };
+
+  return [aiProvider, ...['huggingface', 'gemini', 'openai'].filter(provider => provider !== aiProvider)]
+    .filter(provider => providers[provider] && providers[provider].apiKey)
+    .map(provider => ({ name: provider, call: providers[provider].call }));
+};
+
+/**
+ * Stream AI insights to onToken with the same provider preference and
+ * fallback as generateAIInsights. A provider that fails before sending any
+ * text hands over to the next one; once text has been sent, the error is
+ * thrown instead so answers are never spliced together.
+ * Resolves to { text, provider, model, streamed, latencyMs }.
+ */
+const streamAIInsights = async (prompt, systemPrompt = 'You are a helpful data analyst assistant. Provide clear, actionable insights from data summaries.', { onToken, signal } = {}) => {
+  const startedAt = Date.now();
+  const order = configuredProviders();
+
+  if (order.length === 0) {
+    throw new Error('No AI provider is configured. Please set at least one of: HUGGINGFACE_API_KEY, GEMINI_API_KEY, or OPENAI_API_KEY');
+  }
+
+  for (const { name: provider, call } of order) {
+    let sentText = false;
+    try {
+      const result = await call(prompt, systemPrompt, {
+        onToken: text => {
+          sentText = true;
+          onToken(text);
+        },
+        signal
+      });
+      return { ...result, provider, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      console.error(`Error with ${provider} provider (streaming):`, error.message);
+      if (sentText || (signal && signal.aborted)) throw error;
+    }
+  }
+
+  throw new Error('All configured AI providers failed. Please check your API keys and try again.');
+};
+
+// Rounds of tool calls before the model must answer
+const MAX_TOOL_ROUNDS = 5;
+// Longest tool result sent back to the model, in characters
+const MAX_TOOL_RESULT_LENGTH = 6000;
+
+/**
+ * Tool loop over OpenAI's native function calling. A round that may call
+ * tools can also carry text ("Let me look that up..."), which is not part of
+ * the answer, so only the last round, where tools are turned off, is streamed
+ * to onToken as it arrives. Answers from earlier rounds come back unstreamed.
+ */
+const callOpenAIWithTools = async (prompt, systemPrompt, { tools, runTool, onToken, signal }) => {
+  const OpenAI = require('openai');
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || ''
+  });
+
+  const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push({ role: 'user', content: prompt });
+
+  for (let round = 0; ; round++) {
+    // Out of rounds: the model has to answer with what it has
+    const answerOnly = round >= MAX_TOOL_ROUNDS;
+    const request = {
+      model: model,
+      messages: messages,
+      temperature: 0.2,
+      max_tokens: 1000,
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      tool_choice: answerOnly ? 'none' : 'auto'
+    };
+
+    if (answerOnly && onToken) {
+      const stream = await openai.chat.completions.create({ ...request, stream: true }, { signal });
+      let text = '';
+      for await (const chunk of stream) {
+        const piece = chunk.choices[0]?.delta?.content;
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      }
+      return { text: text || 'Unable to generate insights.', model, protocol: 'native', streamed: Boolean(text) };
+    }
+
+    const completion = await openai.chat.completions.create(request, { signal });
+    const message = completion.choices[0]?.message;
+
+    if (!message || !message.tool_calls || message.tool_calls.length === 0) {
+      return { text: message?.content || 'Unable to generate insights.', model, protocol: 'native', streamed: false };
+    }
+
+    messages.push(message);
+    for (const toolCall of message.tool_calls) {
+      let args = {};
+      try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+      } catch (error) {
+        // Answered below as an error the model can correct
+        args = null;
+      }
+      const result = args
+        ? await runTool(toolCall.function.name, args)
+        : JSON.stringify({ error: 'Arguments must be valid JSON' });
+      messages.push({ role: 'tool', tool_call_id: toolCall.id, content: result });
+    }
+  }
+};
+
+/**
+ * Tool loop over Gemini's native function calling
+ */
+const callGeminiWithTools = async (prompt, systemPrompt, { tools, runTool, signal }) => {
+  const apiKey = process.env.GEMINI_API_KEY || '';
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const modelOptions = [process.env.GEMINI_MODEL, 'gemini-1.5-flash', 'gemini-1.5-pro'].filter(Boolean);
+
+  let lastError = null;
+  for (const modelName of modelOptions) {
+    try {
+      const model = genAI.getGenerativeModel({
+        model: modelName,
+        systemInstruction: systemPrompt || undefined,
+        tools: [{ functionDeclarations: tools }],
+        generationConfig: {
+          temperature: 0.2,
+          maxOutputTokens: 1000
+        }
+      });
+      const chat = model.startChat();
+
+      let result = await chat.sendMessage(prompt, { signal });
+      for (let round = 0; ; round++) {
+        const calls = result.response.functionCalls() || [];
+        if (calls.length === 0) {
+          return { text: result.response.text().trim(), model: modelName, protocol: 'native' };
+        }
+
+        const responses = [];
+        for (const call of calls) {
+          responses.push({
+            functionResponse: { name: call.name, response: { result: await runTool(call.name, call.args || {}) } }
+          });
+        }
+        if (round >= MAX_TOOL_ROUNDS - 1) {
+          responses.push({ text: 'Answer the question now with the results you have, without calling more tools.' });
+        }
+        result = await chat.sendMessage(responses, { signal });
+      }
+    } catch (error) {
+      lastError = error;
+      if (!error.message.includes('not found') && !error.message.includes('404')) {
+        throw error;
+      }
+      console.log(`❌ Gemini model ${modelName} not available for tool calls, trying next...`);
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Pull the first JSON object out of a model reply
+ */
+const extractJson = text => {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(text.substring(start, i + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Tool loop for providers without native function calling: the tools are
+ * described in the prompt and the model replies with a JSON object, either a
+ * tool call or its answer. Replies that are not JSON are taken as the answer.
+ */
+const callWithJsonProtocol = async (call, prompt, systemPrompt, { tools, runTool, signal }) => {
+  const toolList = tools
+    .map(tool => `- ${tool.name}: ${tool.description}\n  Arguments (JSON Schema): ${JSON.stringify(tool.parameters)}`)
+    .join('\n');
+  const protocol = `You can run these tools on the full dataset:
+${toolList}
+
+To run a tool, reply with only a JSON object: {"tool": "<name>", "arguments": {...}}
+When you can answer, reply with only: {"answer": "<your answer>"}`;
+
+  const transcript = [];
+  for (let round = 0; ; round++) {
+    const outOfRounds = round >= MAX_TOOL_ROUNDS;
+    const fullPrompt = `${prompt}\n\n${protocol}${transcript.length > 0 ? '\n\n' + transcript.join('\n\n') : ''}${outOfRounds ? '\n\nNo more tool calls are allowed; reply with your answer now.' : ''}`;
+
+    const { text, model } = await call(fullPrompt, systemPrompt, { signal, withModel: true });
+
+    const json = extractJson(text);
+    if (json && typeof json.tool === 'string' && !outOfRounds) {
+      const result = await runTool(json.tool, json.arguments || {});
+      transcript.push(`Tool call: ${JSON.stringify({ tool: json.tool, arguments: json.arguments || {} })}\nResult: ${result}`);
+      continue;
+    }
+
+    const answer = json && json.answer !== undefined ? String(json.answer) : text;
+    return { text: answer.trim(), model, protocol: 'json' };
+  }
+};
+
+/**
+ * Answer a prompt with a tool-calling loop: the model may call tools, whose
+ * results are sent back to it, before answering. OpenAI and Gemini use their
+ * native function calling, other providers a JSON protocol in the prompt.
+ * Providers are tried in the same order as streamAIInsights.
+ * With onToken the final answer is streamed where the provider can (OpenAI,
+ * once tools are turned off), and otherwise passed to onToken in word-sized
+ * chunks once complete, so clients only ever see the stored answer. As with
+ * streamAIInsights, a provider that fails after sending text does not hand
+ * over to the next one.
+ * @param {String} prompt - User prompt
+ * @param {String} systemPrompt - System prompt
+ * @param {Object} options - { tools: [{ name, description, parameters }],
+ *   executeTool: async (name, args) => result, onToolCall, onToken, signal }
+ * @returns {Object} { text, provider, model, protocol, streamed, toolCalls, latencyMs }
+ */
+const generateWithTools = async (prompt, systemPrompt, { tools, executeTool, onToolCall, onToken, signal } = {}) => {
+  const startedAt = Date.now();
+  const order = configuredProviders();
+
+  if (order.length === 0) {
+    throw new Error('No AI provider is configured. Please set at least one of: HUGGINGFACE_API_KEY, GEMINI_API_KEY, or OPENAI_API_KEY');
+  }
+
+  for (const { name: provider, call } of order) {
+    const toolCalls = [];
+    const runTool = async (name, args) => {
+      const result = await executeTool(name, args);
+      const toolCall = { name, arguments: args, error: result && result.error ? result.error : undefined };
+      toolCalls.push(toolCall);
+      if (onToolCall) onToolCall(toolCall);
+
+      const text = JSON.stringify(result);
+      return text.length <= MAX_TOOL_RESULT_LENGTH
+        ? text
+        : text.substring(0, MAX_TOOL_RESULT_LENGTH) + '... (truncated; narrow the query with filters or a smaller limit)';
+    };
+
+    let sentText = false;
+    const sendToken = onToken && (text => {
+      sentText = true;
+      onToken(text);
+    });
+
+    try {
+      let result;
+      if (provider === 'openai') {
+        result = await callOpenAIWithTools(prompt, systemPrompt, { tools, runTool, onToken: sendToken, signal });
+      } else if (provider === 'gemini') {
+        result = await callGeminiWithTools(prompt, systemPrompt, { tools, runTool, signal });
+      } else {
+        result = await callWithJsonProtocol(call, prompt, systemPrompt, { tools, runTool, signal });
+      }
+      if (onToken && !result.streamed) {
+        emitInChunks(result.text, sendToken);
+      }
+      return { streamed: false, ...result, provider, toolCalls, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      console.error(`Error with ${provider} provider (tools):`, error.message);
+      if (sentText || (signal && signal.aborted)) throw error;
+    }
+  }
+
+  throw new Error('All configured AI providers failed. Please check your API keys and try again.');
+};
+
 module.exports = {
   generateAIInsights,
+  streamAIInsights,
+  generateWithTools,
+  extractJson,
   callHuggingFace,
   callGemini,
   callOpenAI
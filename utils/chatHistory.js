@@ -0,0 +1,156 @@
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+
+// Rough size of the history sent with each question, in tokens
+const DEFAULT_TOKEN_BUDGET = 1500;
+// The latest messages are always sent word for word
+const MIN_RECENT_MESSAGES = 4;
+const MAX_TITLE_LENGTH = 60;
+const FALLBACK_ANSWER_LENGTH = 200;
+// Stored for answers that came back blank, since message content is required
+const EMPTY_ANSWER = '(The assistant returned an empty answer)';
+
+/**
+ * Conversation history of chat sessions: which earlier turns go into the
+ * prompt, folding the oldest into an AI-written summary once the history
+ * outgrows its token budget, and saving new turns.
+ */
+class ChatHistory {
+  /**
+   * Approximate token count of a text (about four characters per token)
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  static get tokenBudget() {
+    return parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || DEFAULT_TOKEN_BUDGET;
+  }
+
+  /**
+   * Messages of a session in order, oldest first
+   */
+  static loadMessages(sessionId, { skip = 0, limit = 0 } = {}) {
+    return ChatMessage.find({ sessionId })
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('role content metadata createdAt')
+      .lean();
+  }
+
+  /**
+   * History to send with the next question. When the unsummarized turns and
+   * the summary exceed the token budget, the oldest turns are folded into
+   * the summary, which is saved on the session.
+   * @param {Object} session - ChatSession document
+   * @param {Function} summarize - async (prompt, systemPrompt) => text
+   * @returns {Object} { summary, messages }
+   */
+  static async prepare(session, summarize) {
+    const messages = await this.loadMessages(session._id, { skip: session.summarizedCount });
+    const budget = this.tokenBudget;
+    const size = list => this.estimateTokens(session.summary) +
+      list.reduce((total, message) => total + this.estimateTokens(message.content), 0);
+
+    if (size(messages) <= budget || messages.length <= MIN_RECENT_MESSAGES) {
+      return { summary: session.summary, messages };
+    }
+
+    // Fold whole turns, oldest first, until the rest fits in half the budget
+    let folded = 0;
+    while (messages.length - folded > MIN_RECENT_MESSAGES && size(messages.slice(folded)) > budget / 2) {
+      folded += 2;
+    }
+    folded = Math.min(folded, messages.length - MIN_RECENT_MESSAGES);
+
+    const summary = await this.summarize(session.summary, messages.slice(0, folded), summarize);
+    session.summary = summary;
+    session.summarizedCount += folded;
+    await ChatSession.updateOne({ _id: session._id }, {
+      $set: { summary, summarizedCount: session.summarizedCount }
+    });
+
+    return { summary, messages: messages.slice(folded) };
+  }
+
+  /**
+   * Merge turns into the running summary with the AI, falling back to a
+   * clipped transcript when the providers fail
+   */
+  static async summarize(previous, messages, summarize) {
+    const transcript = this.formatTurns(messages);
+    const prompt = `Summarize this conversation between a user and a data analyst assistant about a dataset, so it can replace the turns below in later prompts.
+Keep every number, column name, filter and time period mentioned, and what the user was referring to. Use at most 150 words.
+${previous ? `\nSummary of the conversation before these turns:\n${previous}\n` : ''}
+Turns:
+${transcript}`;
+
+    try {
+      const text = await summarize(prompt, 'You summarize conversations precisely and briefly.');
+      if (text && text.trim()) return text.trim();
+    } catch (error) {
+      console.error('Chat summary error:', error.message);
+    }
+
+    const clipped = messages.map(message => {
+      const content = message.role === 'assistant' && message.content.length > FALLBACK_ANSWER_LENGTH
+        ? message.content.substring(0, FALLBACK_ANSWER_LENGTH) + '...'
+        : message.content;
+      return `${message.role === 'user' ? 'User asked' : 'Assistant answered'}: ${content}`;
+    });
+    return [previous, ...clipped].filter(Boolean).join('\n');
+  }
+
+  static formatTurns(messages) {
+    return messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+  }
+
+  /**
+   * Format prepared history for the chat prompt
+   * @returns {String} Empty when there is no history yet
+   */
+  static formatForAI({ summary, messages }) {
+    if (!summary && messages.length === 0) return '';
+
+    let text = 'Conversation so far:\n';
+    if (summary) {
+      text += `Summary of earlier turns: ${summary}\n`;
+    }
+    if (messages.length > 0) {
+      text += this.formatTurns(messages) + '\n';
+    }
+    return text;
+  }
+
+  /**
+   * Save a question and its answer, titling the session after its first
+   * question unless the user named it
+   */
+  static async saveTurn(session, question, answer, metadata) {
+    const content = typeof answer === 'string' && answer.trim() ? answer : EMPTY_ANSWER;
+    await ChatMessage.insertMany([
+      { sessionId: session._id, userId: session.userId, role: 'user', content: question },
+      { sessionId: session._id, userId: session.userId, role: 'assistant', content, metadata }
+    ]);
+
+    const update = {
+      $inc: { messageCount: 2 },
+      $set: { lastMessageAt: new Date() }
+    };
+    if (session.messageCount === 0 && !session.titleEdited) {
+      update.$set.title = question.length > MAX_TITLE_LENGTH
+        ? question.substring(0, MAX_TITLE_LENGTH - 3).trim() + '...'
+        : question;
+    }
+    await ChatSession.updateOne({ _id: session._id }, update);
+  }
+}
+
+ChatHistory.DEFAULT_TOKEN_BUDGET = DEFAULT_TOKEN_BUDGET;
+ChatHistory.MIN_RECENT_MESSAGES = MIN_RECENT_MESSAGES;
+ChatHistory.EMPTY_ANSWER = EMPTY_ANSWER;
+
+module.exports = ChatHistory;
@@ -0,0 +1,228 @@
+const DatasetStore = require('./datasetStore');
+const Aggregator = require('./aggregator');
+const { RowQuery, QueryError, FILTER_OPERATORS } = require('./rowQuery');
+
+const MAX_ROWS = 50;
+const DEFAULT_ROWS = 10;
+const DEFAULT_TOP_N = 5;
+const MAX_GROUPS = 100;
+
+const FILTERS_SCHEMA = {
+  type: 'array',
+  description: 'Conditions that rows must all match',
+  items: {
+    type: 'object',
+    properties: {
+      column: { type: 'string' },
+      op: { type: 'string', enum: FILTER_OPERATORS },
+      value: { type: 'string', description: 'Value to compare with, e.g. "2023-01-01" or "100"' },
+      values: { type: 'array', items: { type: 'string' }, description: 'Values for "in", or [min, max] for "between"' }
+    },
+    required: ['column', 'op']
+  }
+};
+
+const MEASURE_SCHEMA = {
+  type: 'object',
+  properties: {
+    column: { type: 'string', description: 'Column to aggregate; omit for count' },
+    fn: { type: 'string', enum: Aggregator.MEASURE_FUNCTIONS }
+  },
+  required: ['fn']
+};
+
+const GROUP_BY_SCHEMA = {
+  type: 'array',
+  description: 'Columns to group by; date columns can be bucketed by granularity',
+  items: {
+    type: 'object',
+    properties: {
+      column: { type: 'string' },
+      granularity: { type: 'string', enum: Aggregator.DATE_GRANULARITIES }
+    },
+    required: ['column']
+  }
+};
+
+/**
+ * Operations the AI chat can run on the full stored dataset while answering
+ * a question. Definitions use JSON Schema so they can be passed as native
+ * function declarations or described in a prompt.
+ */
+const TOOLS = [
+  {
+    name: 'aggregate',
+    description: 'Compute exact totals, averages, counts, minimums, maximums, medians or distinct counts over all rows, optionally filtered and grouped.',
+    parameters: {
+      type: 'object',
+      properties: {
+        measures: { type: 'array', items: MEASURE_SCHEMA },
+        groupBy: GROUP_BY_SCHEMA,
+        filters: FILTERS_SCHEMA,
+        sort: { type: 'string', description: 'Result column to sort by, prefixed with "-" for descending, e.g. "-sum_revenue"' },
+        limit: { type: 'number', description: `Maximum groups to return (up to ${MAX_GROUPS})` }
+      },
+      required: ['measures']
+    }
+  },
+  {
+    name: 'top_n',
+    description: 'Rank groups by a measure and return the top (or bottom) N, e.g. the 5 products with the highest total revenue.',
+    parameters: {
+      type: 'object',
+      properties: {
+        groupBy: GROUP_BY_SCHEMA,
+        measure: MEASURE_SCHEMA,
+        n: { type: 'number', description: `Number of groups (default ${DEFAULT_TOP_N})` },
+        order: { type: 'string', enum: ['desc', 'asc'], description: 'desc for the highest values (default), asc for the lowest' },
+        filters: FILTERS_SCHEMA
+      },
+      required: ['groupBy', 'measure']
+    }
+  },
+  {
+    name: 'find_rows',
+    description: 'Count the rows matching filters and return some of them, optionally sorted, e.g. the 3 largest orders of 2023.',
+    parameters: {
+      type: 'object',
+      properties: {
+        filters: FILTERS_SCHEMA,
+        columns: { type: 'array', items: { type: 'string' }, description: 'Columns to return (default all)' },
+        sort: { type: 'string', description: 'Column to sort by, prefixed with "-" for descending' },
+        limit: { type: 'number', description: `Rows to return (default ${DEFAULT_ROWS}, up to ${MAX_ROWS})` }
+      }
+    }
+  },
+  {
+    name: 'get_rows',
+    description: 'Fetch specific rows by their 0-based row number.',
+    parameters: {
+      type: 'object',
+      properties: {
+        rows: { type: 'array', items: { type: 'number' } },
+        columns: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['rows']
+    }
+  }
+];
+
+class ChatTools {
+  /**
+   * Accept filters as { column, op, value } or with "values" for in/between
+   */
+  static normalizeFilters(filters) {
+    if (!Array.isArray(filters)) return filters;
+    return filters.map(filter => {
+      if (!filter || typeof filter !== 'object') return filter;
+      const { values, ...rest } = filter;
+      return Array.isArray(values) && values.length > 0 ? { ...rest, value: values } : rest;
+    });
+  }
+
+  static clampCount(value, fallback, max) {
+    const count = parseInt(value, 10);
+    return Math.min(Math.max(count > 0 ? count : fallback, 1), max);
+  }
+
+  /**
+   * Run a tool against a file
+   * @param {Object} fileData - FileData document (needs _id, columns, rowCount)
+   * @param {String} name - Tool name
+   * @param {Object} args - Tool arguments from the model
+   * @returns {Object} Tool result
+   */
+  static async execute(fileData, name, args = {}) {
+    const filters = this.normalizeFilters(args.filters);
+
+    switch (name) {
+      case 'aggregate': {
+        const result = await Aggregator.run(fileData, {
+          groupBy: args.groupBy,
+          measures: args.measures,
+          filters,
+          sort: args.sort,
+          limit: this.clampCount(args.limit, MAX_GROUPS, MAX_GROUPS)
+        });
+        return { groupCount: result.groupCount, rows: result.rows };
+      }
+
+      case 'top_n': {
+        if (!args.measure) {
+          throw new QueryError('top_n requires a measure');
+        }
+        const [measure] = Aggregator.parseMeasures([args.measure], RowQuery.visibleColumns(fileData));
+        const result = await Aggregator.run(fileData, {
+          groupBy: args.groupBy,
+          measures: [args.measure],
+          filters,
+          sort: `${args.order === 'asc' ? '' : '-'}${measure.as}`,
+          limit: this.clampCount(args.n, DEFAULT_TOP_N, MAX_GROUPS)
+        });
+        return { groupCount: result.groupCount, rows: result.rows };
+      }
+
+      case 'find_rows': {
+        const result = await RowQuery.execute(fileData, {
+          filters,
+          sort: args.sort,
+          columns: args.columns,
+          limit: this.clampCount(args.limit, DEFAULT_ROWS, MAX_ROWS)
+        });
+        return { matchingRows: result.pagination.total, rows: result.rows };
+      }
+
+      case 'get_rows': {
+        const wanted = (Array.isArray(args.rows) ? args.rows : [args.rows])
+          .map(row => parseInt(row, 10))
+          .filter(row => row >= 0 && row < fileData.rowCount)
+          .slice(0, MAX_ROWS);
+        if (wanted.length === 0) {
+          throw new QueryError(`No valid row numbers; rows are numbered 0 to ${fileData.rowCount - 1}`);
+        }
+
+        const columns = RowQuery.visibleColumns(fileData);
+        const projection = RowQuery.parseList(args.columns).map(column => RowQuery.getColumn(columns, column));
+        const outputColumns = projection.length > 0 ? projection : columns;
+        const remaining = new Set(wanted);
+        const found = new Map();
+        let index = 0;
+        for await (const row of DatasetStore.iterateRows(fileData._id, { limit: Math.max(...wanted) + 1 })) {
+          if (remaining.has(index)) {
+            const output = { _row: index };
+            outputColumns.forEach(column => {
+              output[column.name] = row[column.name] === undefined ? null : row[column.name];
+            });
+            found.set(index, output);
+          }
+          index++;
+        }
+        return { rows: wanted.filter(row => found.has(row)).map(row => found.get(row)) };
+      }
+
+      default:
+        throw new QueryError(`Unknown tool "${name}". Available tools: ${TOOLS.map(tool => tool.name).join(', ')}`);
+    }
+  }
+
+  /**
+   * Run a tool for the model, reporting invalid input as an error it can
+   * correct rather than failing the request
+   * @returns {Object} Tool result or { error }
+   */
+  static async run(fileData, name, args) {
+    try {
+      return await this.execute(fileData, name, args || {});
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return { error: error.message };
+      }
+      throw error;
+    }
+  }
+}
+
+ChatTools.TOOLS = TOOLS;
+ChatTools.MAX_ROWS = MAX_ROWS;
+
+module.exports = ChatTools;
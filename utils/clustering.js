@@ -0,0 +1,641 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Statistics = require('./statistics');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const { formatNumber } = Statistics;
+
+const METHODS = ['kmeans', 'kmodes'];
+const AUTO_METHODS = ['silhouette', 'elbow'];
+const DEFAULT_K_RANGE = { min: 2, max: 10 };
+const MAX_K = 30;
+const MAX_ITERATIONS = 100;
+const RESTARTS = 5;
+// Choosing k fits every candidate, so it runs on a sample of the rows
+const AUTO_SAMPLE_SIZE = 2000;
+const DEFAULT_SEED = 42;
+const MAX_CATEGORIES = 100;
+const TOP_VALUES = 3;
+const DISTINGUISHING_COLUMNS = 3;
+const MAX_PROMPT_CLUSTERS = 10;
+
+/**
+ * Segmentation of the rows of a file:
+ *
+ * - kmeans: k-means++ on z-score standardized number columns
+ * - kmodes: k-modes (Hamming distance, most frequent value per column) on
+ *   categorical columns
+ *
+ * k can be fixed or chosen automatically by the silhouette score or the elbow
+ * of the within-cluster cost. Runs are seeded, so the same request gives the
+ * same clusters. Rows missing any clustered value are left unassigned.
+ */
+class Clustering {
+  /**
+   * Resolve the clustered columns and the method
+   * @param {Array} columns - Visible FileData columns
+   * @param {Object} options - { columns, method }
+   * @returns {Object} { method, selected: [{ name, kind, type, format }] }
+   */
+  static selectColumns(columns, options) {
+    const names = RowQuery.parseList(options.columns);
+    const kindOf = column => {
+      if (column.type === 'number') return 'numeric';
+      if (column.type === 'boolean' || column.type === 'string') return 'categorical';
+      return null;
+    };
+
+    let candidates;
+    if (names.length > 0) {
+      candidates = names.map(name => RowQuery.getColumn(columns, name));
+    } else if (options.method === 'kmodes') {
+      candidates = columns.filter(column => column.type === 'boolean' || (column.type === 'string' && column.subtype === 'categorical'));
+    } else {
+      candidates = columns.filter(column => column.type === 'number');
+    }
+    if (candidates.length === 0) {
+      throw new QueryError('No columns to cluster on; choose them with "columns"');
+    }
+
+    const selected = candidates.map(column => {
+      const kind = kindOf(column);
+      if (!kind) {
+        throw new QueryError(`Column "${column.name}" (${column.type}) cannot be clustered`);
+      }
+      return { name: column.name, kind, type: column.type, format: column.format };
+    });
+
+    const kinds = new Set(selected.map(column => column.kind));
+    const method = options.method || (kinds.has('numeric') ? 'kmeans' : 'kmodes');
+    if (!METHODS.includes(method)) {
+      throw new QueryError(`Unsupported method "${method}". Use one of: ${METHODS.join(', ')}`);
+    }
+    const expected = method === 'kmeans' ? 'numeric' : 'categorical';
+    const mismatched = selected.find(column => column.kind !== expected);
+    if (mismatched) {
+      throw new QueryError(method === 'kmeans'
+        ? `k-means needs number columns, "${mismatched.name}" is ${mismatched.type}; use kmodes for categorical columns`
+        : `k-modes needs categorical columns, "${mismatched.name}" is a number column; use kmeans for number columns`);
+    }
+
+    return { method, selected };
+  }
+
+  /**
+   * Read a value for clustering or profiling: numbers for number columns,
+   * trimmed strings otherwise
+   */
+  static readValue(row, column) {
+    if (column.kind === 'numeric') {
+      return FileProcessor.coerceValue(row[column.name], 'number', column.format);
+    }
+    const value = FileProcessor.coerceValue(row[column.name], column.type, column.format);
+    if (value === null) return null;
+    return value instanceof Date ? value.toISOString() : String(value).trim();
+  }
+
+  static squaredDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) total += (a[i] - b[i]) ** 2;
+    return total;
+  }
+
+  static mismatches(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) total++;
+    }
+    return total;
+  }
+
+  /**
+   * k-means with k-means++ seeding, keeping the best of several restarts
+   * @param {Array} points - Standardized numeric vectors
+   * @param {Number} k - Cluster count
+   * @param {Function} random - Seeded random number generator
+   * @returns {Object} { assignments, centroids, cost, iterations }
+   */
+  static kmeans(points, k, random, restarts = RESTARTS) {
+    let best = null;
+    for (let run = 0; run < restarts; run++) {
+      const centroids = this.seedCentroids(points, k, random);
+      const result = this.lloyd(points, centroids);
+      if (!best || result.cost < best.cost) best = result;
+    }
+    return best;
+  }
+
+  /**
+   * k-means++: each next centroid is drawn with probability proportional to
+   * its squared distance from the nearest centroid so far
+   */
+  static seedCentroids(points, k, random) {
+    const centroids = [Array.from(points[Math.floor(random() * points.length)])];
+    const distances = points.map(point => this.squaredDistance(point, centroids[0]));
+
+    while (centroids.length < k) {
+      const total = Statistics.sum(distances);
+      let index = 0;
+      if (total > 0) {
+        let target = random() * total;
+        while (index < points.length - 1 && target >= distances[index]) {
+          target -= distances[index];
+          index++;
+        }
+      } else {
+        index = Math.floor(random() * points.length);
+      }
+      const centroid = Array.from(points[index]);
+      centroids.push(centroid);
+      points.forEach((point, i) => {
+        distances[i] = Math.min(distances[i], this.squaredDistance(point, centroid));
+      });
+    }
+    return centroids;
+  }
+
+  /**
+   * Lloyd iterations until no assignment changes
+   */
+  static lloyd(points, centroids) {
+    const k = centroids.length;
+    const dimensions = points[0].length;
+    const assignments = new Int32Array(points.length).fill(-1);
+    let iterations = 0;
+
+    for (; iterations < MAX_ITERATIONS; iterations++) {
+      let changed = false;
+      points.forEach((point, i) => {
+        const nearest = this.nearest(point, centroids, this.squaredDistance);
+        if (nearest.index !== assignments[i]) {
+          assignments[i] = nearest.index;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+
+      const sums = Array.from({ length: k }, () => new Array(dimensions).fill(0));
+      const counts = new Array(k).fill(0);
+      points.forEach((point, i) => {
+        counts[assignments[i]]++;
+        for (let d = 0; d < dimensions; d++) sums[assignments[i]][d] += point[d];
+      });
+      sums.forEach((sum, c) => {
+        if (counts[c] > 0) {
+          centroids[c] = sum.map(value => value / counts[c]);
+        } else {
+          // Re-seed an empty cluster with the point furthest from its centroid
+          let furthest = 0;
+          let furthestDistance = -1;
+          points.forEach((point, i) => {
+            const distance = this.squaredDistance(point, centroids[assignments[i]]);
+            if (distance > furthestDistance) {
+              furthest = i;
+              furthestDistance = distance;
+            }
+          });
+          centroids[c] = Array.from(points[furthest]);
+        }
+      });
+    }
+
+    let cost = 0;
+    points.forEach((point, i) => {
+      cost += this.squaredDistance(point, centroids[assignments[i]]);
+    });
+    return { assignments, centroids, cost, iterations };
+  }
+
+  /**
+   * k-modes: random distinct rows as initial modes, then alternate between
+   * assigning rows to the closest mode and recomputing the modes
+   * @param {Array} points - Arrays of category labels
+   * @returns {Object} { assignments, centroids, cost, iterations }
+   */
+  static kmodes(points, k, random, restarts = RESTARTS) {
+    const distinct = Array.from(new Map(points.map(point => [JSON.stringify(point), point])).values());
+    if (distinct.length < k) {
+      throw new QueryError(`Only ${distinct.length} distinct value combinations, fewer than ${k} clusters`);
+    }
+
+    let best = null;
+    for (let run = 0; run < restarts; run++) {
+      const pool = [...distinct];
+      const modes = [];
+      for (let c = 0; c < k; c++) {
+        modes.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+      }
+      const result = this.refineModes(points, modes);
+      if (!best || result.cost < best.cost) best = result;
+    }
+    return best;
+  }
+
+  static refineModes(points, modes) {
+    const k = modes.length;
+    const dimensions = points[0].length;
+    const assignments = new Int32Array(points.length).fill(-1);
+    let iterations = 0;
+
+    for (; iterations < MAX_ITERATIONS; iterations++) {
+      let changed = false;
+      points.forEach((point, i) => {
+        const nearest = this.nearest(point, modes, this.mismatches);
+        if (nearest.index !== assignments[i]) {
+          assignments[i] = nearest.index;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+
+      for (let c = 0; c < k; c++) {
+        const counts = Array.from({ length: dimensions }, () => new Map());
+        points.forEach((point, i) => {
+          if (assignments[i] !== c) return;
+          point.forEach((value, d) => counts[d].set(value, (counts[d].get(value) || 0) + 1));
+        });
+        if (counts[0].size === 0) continue;
+        modes[c] = counts.map(count => Statistics.mostFrequent(count)[0]);
+      }
+    }
+
+    let cost = 0;
+    points.forEach((point, i) => {
+      cost += this.mismatches(point, modes[assignments[i]]);
+    });
+    return { assignments, centroids: modes, cost, iterations };
+  }
+
+  static nearest(point, centroids, distance) {
+    let index = 0;
+    let best = Infinity;
+    centroids.forEach((centroid, c) => {
+      const value = distance(point, centroid);
+      if (value < best) {
+        best = value;
+        index = c;
+      }
+    });
+    return { index, distance: best };
+  }
+
+  /**
+   * Mean silhouette width: for each point, (b - a) / max(a, b) where a is the
+   * mean distance to its own cluster and b to the nearest other cluster
+   */
+  static silhouette(points, assignments, k, distance) {
+    let total = 0;
+    let counted = 0;
+    points.forEach((point, i) => {
+      const sums = new Array(k).fill(0);
+      const counts = new Array(k).fill(0);
+      points.forEach((other, j) => {
+        if (i === j) return;
+        sums[assignments[j]] += distance(point, other);
+        counts[assignments[j]]++;
+      });
+      const own = assignments[i];
+      if (counts[own] === 0) return;
+      const a = sums[own] / counts[own];
+      let b = Infinity;
+      for (let c = 0; c < k; c++) {
+        if (c !== own && counts[c] > 0) b = Math.min(b, sums[c] / counts[c]);
+      }
+      if (b === Infinity) return;
+      total += Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+      counted++;
+    });
+    return counted > 0 ? total / counted : null;
+  }
+
+  /**
+   * Fit every k in a range on a sample and pick one
+   * @returns {Object} { k, method, candidates: [{ k, cost, silhouette }] }
+   */
+  static chooseK(points, method, range, autoMethod, random) {
+    const sample = points.length > AUTO_SAMPLE_SIZE ? sampleOf(points, AUTO_SAMPLE_SIZE, random) : points;
+    const fit = method === 'kmeans' ? this.kmeans.bind(this) : this.kmodes.bind(this);
+    const distance = method === 'kmeans' ? (a, b) => Math.sqrt(this.squaredDistance(a, b)) : this.mismatches;
+    const distinct = new Set(sample.map(point => JSON.stringify(point))).size;
+
+    const candidates = [];
+    for (let k = range.min; k <= Math.min(range.max, distinct); k++) {
+      const result = fit(sample, k, random, 2);
+      candidates.push({
+        k,
+        cost: result.cost,
+        silhouette: autoMethod === 'silhouette' ? this.silhouette(sample, result.assignments, k, distance) : null
+      });
+    }
+    if (candidates.length === 0) {
+      throw new QueryError(`Not enough distinct rows to form ${range.min} clusters`);
+    }
+
+    let chosen;
+    if (autoMethod === 'silhouette') {
+      chosen = candidates.reduce((best, candidate) => (
+        candidate.silhouette !== null && (best.silhouette === null || candidate.silhouette > best.silhouette) ? candidate : best
+      ));
+    } else {
+      chosen = this.elbowOf(candidates);
+    }
+    return { k: chosen.k, method: autoMethod, sampleSize: sample.length, candidates };
+  }
+
+  /**
+   * Elbow of the cost curve: the k furthest below the straight line between
+   * the first and last candidates
+   */
+  static elbowOf(candidates) {
+    if (candidates.length < 3) return candidates[0];
+    const first = candidates[0];
+    const last = candidates[candidates.length - 1];
+    const slope = (last.cost - first.cost) / (last.k - first.k);
+    return candidates.reduce((best, candidate) => {
+      const gap = first.cost + slope * (candidate.k - first.k) - candidate.cost;
+      const bestGap = first.cost + slope * (best.k - first.k) - best.cost;
+      return gap > bestGap ? candidate : best;
+    });
+  }
+
+  /**
+   * Cluster the rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { columns, method, k, autoMethod, kRange: { min, max },
+   *   profileColumns, filters, seed }
+   * @returns {Object} { method, k, columns, selection, rowCount, clusteredRows, cost,
+   *   silhouette, clusters, assignments }
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const { method, selected } = this.selectColumns(columns, options);
+
+    const autoMethod = options.autoMethod || 'silhouette';
+    if (!AUTO_METHODS.includes(autoMethod)) {
+      throw new QueryError(`Unsupported autoMethod "${autoMethod}". Use one of: ${AUTO_METHODS.join(', ')}`);
+    }
+    const auto = options.k === undefined || options.k === null || options.k === 'auto';
+    const k = auto ? null : parseInt(options.k, 10);
+    if (!auto && !(k >= 2 && k <= MAX_K)) {
+      throw new QueryError(`k must be between 2 and ${MAX_K}, or "auto"`);
+    }
+    const kRange = {
+      min: parseInt(options.kRange && options.kRange.min, 10) || DEFAULT_K_RANGE.min,
+      max: parseInt(options.kRange && options.kRange.max, 10) || DEFAULT_K_RANGE.max
+    };
+    if (auto && !(kRange.min >= 2 && kRange.max >= kRange.min && kRange.max <= MAX_K)) {
+      throw new QueryError(`kRange must satisfy 2 <= min <= max <= ${MAX_K}`);
+    }
+
+    const profiled = RowQuery.parseList(options.profileColumns)
+      .filter(name => !selected.some(column => column.name === name))
+      .map(name => {
+        const column = RowQuery.getColumn(columns, name);
+        return { name: column.name, kind: column.type === 'number' ? 'numeric' : 'categorical', type: column.type, format: column.format };
+      });
+
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+    const points = [];
+    const rowIndexes = [];
+    const profileValues = [];
+    let rowCount = 0;
+    let index = 0;
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      const rowIndex = index++;
+      if (!predicate(row)) continue;
+      rowCount++;
+
+      const values = selected.map(column => this.readValue(row, column));
+      if (values.some(value => value === null)) continue;
+      points.push(values);
+      rowIndexes.push(rowIndex);
+      profileValues.push(profiled.map(column => this.readValue(row, column)));
+    }
+
+    if (points.length < 3) {
+      throw new QueryError(`Clustering needs at least 3 complete rows, found ${points.length}`);
+    }
+    if (method === 'kmodes') {
+      selected.forEach((column, d) => {
+        const categories = new Set(points.map(point => point[d])).size;
+        if (categories > MAX_CATEGORIES) {
+          throw new QueryError(`Column "${column.name}" has ${categories} categories; at most ${MAX_CATEGORIES} can be clustered`);
+        }
+      });
+    }
+
+    // Standardize so every number column weighs the same
+    let scaling = null;
+    let vectors = points;
+    if (method === 'kmeans') {
+      scaling = selected.map((column, d) => {
+        const values = points.map(point => point[d]);
+        const mean = Statistics.mean(values);
+        const stdDev = Math.sqrt(Statistics.variance(values, mean));
+        return { column: column.name, mean, stdDev: stdDev > 0 ? stdDev : 1 };
+      });
+      vectors = points.map(point => Float64Array.from(point, (value, d) => (value - scaling[d].mean) / scaling[d].stdDev));
+    }
+
+    const random = createRandom(options.seed !== undefined ? Number(options.seed) : DEFAULT_SEED);
+    const selection = auto ? this.chooseK(vectors, method, kRange, autoMethod, random) : null;
+    const clusterCount = auto ? selection.k : k;
+    if (clusterCount >= points.length) {
+      throw new QueryError(`k (${clusterCount}) must be smaller than the number of complete rows (${points.length})`);
+    }
+
+    const result = method === 'kmeans'
+      ? this.kmeans(vectors, clusterCount, random)
+      : this.kmodes(vectors, clusterCount, random);
+
+    const silhouetteSample = vectors.length > AUTO_SAMPLE_SIZE
+      ? sampleIndexes(vectors.length, AUTO_SAMPLE_SIZE, random)
+      : vectors.map((vector, i) => i);
+    const silhouette = this.silhouette(
+      silhouetteSample.map(i => vectors[i]),
+      silhouetteSample.map(i => result.assignments[i]),
+      clusterCount,
+      method === 'kmeans' ? (a, b) => Math.sqrt(this.squaredDistance(a, b)) : this.mismatches
+    );
+
+    const clusters = this.profile(result, points, profileValues, selected, profiled, scaling, clusterCount);
+
+    return {
+      method,
+      k: clusterCount,
+      columns: selected.map(column => column.name),
+      profileColumns: profiled.map(column => column.name),
+      scaling,
+      selection,
+      rowCount,
+      clusteredRows: points.length,
+      skippedRows: rowCount - points.length,
+      cost: result.cost,
+      silhouette,
+      iterations: result.iterations,
+      clusters,
+      assignments: rowIndexes.map((row, i) => ({ row, cluster: result.assignments[i] }))
+    };
+  }
+
+  /**
+   * Size, centroid and column profile of every cluster
+   */
+  static profile(result, points, profileValues, selected, profiled, scaling, k) {
+    const described = [...selected, ...profiled];
+    const valuesOf = (i, d) => (d < selected.length ? points[i][d] : profileValues[i][d - selected.length]);
+
+    const overall = described.map((column, d) => {
+      const values = points.map((point, i) => valuesOf(i, d)).filter(value => value !== null);
+      return this.describeColumn(column, values);
+    });
+
+    return Array.from({ length: k }, (_, c) => {
+      const members = [];
+      result.assignments.forEach((cluster, i) => {
+        if (cluster === c) members.push(i);
+      });
+
+      const centroid = {};
+      selected.forEach((column, d) => {
+        centroid[column.name] = scaling
+          ? result.centroids[c][d] * scaling[d].stdDev + scaling[d].mean
+          : result.centroids[c][d];
+      });
+
+      const profile = {};
+      const distinguishing = [];
+      described.forEach((column, d) => {
+        const values = members.map(i => valuesOf(i, d)).filter(value => value !== null);
+        const summary = this.describeColumn(column, values);
+        if (column.kind === 'numeric') {
+          const base = overall[d];
+          summary.difference = summary.mean !== null && base.stdDev > 0 ? (summary.mean - base.mean) / base.stdDev : null;
+          if (summary.difference !== null) {
+            distinguishing.push({ column: column.name, score: Math.abs(summary.difference), description: `${column.name} ${summary.difference > 0 ? 'above' : 'below'} average (${formatNumber(summary.mean)} vs ${formatNumber(base.mean)})` });
+          }
+        } else if (summary.top.length > 0) {
+          const [top] = summary.top;
+          const baseShare = (overall[d].counts.get(top.value) || 0) / overall[d].count;
+          top.overallShare = baseShare;
+          top.lift = baseShare > 0 ? top.share / baseShare : null;
+          if (top.lift !== null) {
+            distinguishing.push({ column: column.name, score: Math.abs(Math.log(top.lift)), description: `${column.name} mostly "${top.value}" (${formatNumber(top.share * 100)}% vs ${formatNumber(baseShare * 100)}% overall)` });
+          }
+        }
+        delete summary.counts;
+        profile[column.name] = summary;
+      });
+
+      return {
+        cluster: c,
+        label: `Cluster ${c + 1}`,
+        size: members.length,
+        share: members.length / points.length,
+        centroid,
+        profile,
+        distinguishing: distinguishing.sort((a, b) => b.score - a.score).slice(0, DISTINGUISHING_COLUMNS).map(item => item.description)
+      };
+    });
+  }
+
+  /**
+   * Numbers: mean, standard deviation, min and max. Categories: the most
+   * frequent values with their share.
+   */
+  static describeColumn(column, values) {
+    if (column.kind === 'numeric') {
+      if (values.length === 0) return { count: 0, mean: null, stdDev: null, min: null, max: null };
+      const mean = Statistics.mean(values);
+      return {
+        count: values.length,
+        mean,
+        stdDev: Math.sqrt(Statistics.variance(values, mean)),
+        ...Statistics.extent(values)
+      };
+    }
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const top = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value, count, share: count / values.length }));
+    return { count: values.length, top, counts };
+  }
+
+  /**
+   * Compact copy of a result, kept on the file for AI prompts
+   */
+  static summarize(result, labelColumn) {
+    return {
+      createdAt: new Date().toISOString(),
+      method: result.method,
+      k: result.k,
+      columns: result.columns,
+      labelColumn: labelColumn || null,
+      clusteredRows: result.clusteredRows,
+      silhouette: result.silhouette,
+      clusters: result.clusters.slice(0, MAX_PROMPT_CLUSTERS).map(cluster => ({
+        label: cluster.label,
+        size: cluster.size,
+        share: cluster.share,
+        centroid: cluster.centroid,
+        distinguishing: cluster.distinguishing
+      }))
+    };
+  }
+
+  /**
+   * Format a stored segmentation for AI prompts
+   * @param {Object} clustering - FileData.clustering
+   * @returns {String} Empty when there is none
+   */
+  static formatForAI(clustering) {
+    if (!clustering || !clustering.clusters) return '';
+
+    const method = clustering.method === 'kmeans' ? 'k-means' : 'k-modes';
+    const quality = clustering.silhouette !== null ? `, silhouette ${formatNumber(clustering.silhouette)}` : '';
+    let text = `Segments (${method} on ${clustering.columns.join(', ')}: ${clustering.k} clusters over ${clustering.clusteredRows} rows${quality}):\n`;
+    if (clustering.labelColumn) {
+      text += `The cluster of each row is stored in the column "${clustering.labelColumn}".\n`;
+    }
+    clustering.clusters.forEach(cluster => {
+      const centroid = Object.entries(cluster.centroid)
+        .map(([name, value]) => `${name} = ${typeof value === 'number' ? formatNumber(value) : `"${value}"`}`)
+        .join(', ');
+      text += `\n${cluster.label}: ${cluster.size} rows (${formatNumber(cluster.share * 100)}%)\n`;
+      text += `  Center: ${centroid}\n`;
+      if (cluster.distinguishing.length > 0) {
+        text += `  Stands out by: ${cluster.distinguishing.join('; ')}\n`;
+      }
+    });
+    return text;
+  }
+}
+
+/**
+ * Seeded linear congruential generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = (Math.floor(seed) >>> 0) || 1;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+function sampleIndexes(length, size, random) {
+  const indexes = Array.from({ length }, (_, i) => i);
+  // Partial Fisher-Yates shuffle
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (length - i));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, size);
+}
+
+function sampleOf(points, size, random) {
+  return sampleIndexes(points.length, size, random).map(i => points[i]);
+}
+
+module.exports = Clustering;
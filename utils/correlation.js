@@ -0,0 +1,282 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Statistics = require('./statistics');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const NUMERIC_METHODS = ['pearson', 'spearman'];
+const DEFAULT_MAX_CATEGORIES = 50;
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Pairwise relationships between columns: Pearson and Spearman for number
+ * pairs, Cramér's V for categorical pairs and the correlation ratio (eta) for
+ * categorical-vs-number pairs. Every pair uses the rows where both values exist.
+ */
+class Correlation {
+  /**
+   * Pick the columns to analyse. Number columns are compared as numbers;
+   * boolean and categorical string columns as categories.
+   * @param {Array} columns - Visible FileData columns
+   * @param {String|Array} requested - Column names, all eligible columns when empty
+   * @returns {Array} [{ name, kind, type, format }]
+   */
+  static selectColumns(columns, requested) {
+    const names = RowQuery.parseList(requested);
+    const explicit = names.length > 0;
+    const candidates = explicit ? names.map(name => RowQuery.getColumn(columns, name)) : columns;
+
+    return candidates.reduce((selected, column) => {
+      let kind = null;
+      if (column.type === 'number') kind = 'numeric';
+      else if (column.type === 'boolean') kind = 'categorical';
+      else if (column.type === 'string' && (explicit || !column.subtype || column.subtype === 'categorical')) kind = 'categorical';
+
+      if (!kind) {
+        if (explicit) {
+          throw new QueryError(`Column "${column.name}" (${column.subtype || column.type}) cannot be correlated`);
+        }
+        return selected;
+      }
+
+      selected.push({ name: column.name, kind, type: column.type, format: column.format });
+      return selected;
+    }, []);
+  }
+
+  /**
+   * Read the value of a column in the form used for correlation
+   */
+  static readValue(row, column) {
+    if (column.kind === 'numeric') {
+      return FileProcessor.coerceValue(row[column.name], 'number', column.format);
+    }
+    const value = FileProcessor.coerceValue(row[column.name], column.type, column.format);
+    return value === null ? null : String(value).trim();
+  }
+
+  /**
+   * Relationships over rows already in memory
+   * @param {Array} rows - Row objects
+   * @param {Array} columns - Visible FileData columns
+   * @param {Object} options - { columns, method, maxCategories, limit, maxColumns }
+   */
+  static analyzeRows(rows, columns, options = {}) {
+    let selected = this.selectColumns(columns, options.columns);
+    if (options.maxColumns) selected = selected.slice(0, options.maxColumns);
+
+    const values = selected.map(() => []);
+    rows.forEach(row => {
+      selected.forEach((column, index) => values[index].push(this.readValue(row, column)));
+    });
+
+    return this.analyze(selected, values, options);
+  }
+
+  /**
+   * Relationships over the stored rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { columns, filters, method, maxCategories, limit }
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const selected = this.selectColumns(columns, options.columns);
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+
+    const values = selected.map(() => []);
+    let rowCount = 0;
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      if (!predicate(row)) continue;
+      rowCount++;
+      selected.forEach((column, index) => values[index].push(this.readValue(row, column)));
+    }
+
+    return { rowCount, ...this.analyze(selected, values, options) };
+  }
+
+  /**
+   * Compute the matrix and ranked relationships from column value arrays
+   * @param {Array} selected - Columns from selectColumns
+   * @param {Array} values - One array per column, aligned by row
+   * @param {Object} options - { method, maxCategories, limit }
+   */
+  static analyze(selected, values, options = {}) {
+    const method = options.method || 'pearson';
+    if (!NUMERIC_METHODS.includes(method)) {
+      throw new QueryError(`Unsupported method "${method}". Use one of: ${NUMERIC_METHODS.join(', ')}`);
+    }
+    const maxCategories = parseInt(options.maxCategories, 10) || DEFAULT_MAX_CATEGORIES;
+    const limit = parseInt(options.limit, 10) || DEFAULT_LIMIT;
+
+    // Drop columns that cannot say anything about a relationship
+    const skipped = [];
+    const kept = [];
+    selected.forEach((column, index) => {
+      const present = values[index].filter(value => value !== null);
+      if (column.kind === 'categorical') {
+        const categories = new Set(present).size;
+        if (categories < 2) {
+          skipped.push({ column: column.name, reason: 'fewer than 2 categories' });
+          return;
+        }
+        if (categories > maxCategories) {
+          skipped.push({ column: column.name, reason: `more than ${maxCategories} categories (${categories})` });
+          return;
+        }
+      } else if (present.length < 3) {
+        skipped.push({ column: column.name, reason: 'fewer than 3 values' });
+        return;
+      }
+      kept.push({ ...column, values: values[index] });
+    });
+
+    const size = kept.length;
+    const matrix = kept.map((column, i) => kept.map((other, j) => (i === j ? 1 : null)));
+    const numericIndexes = kept.map((column, index) => index).filter(index => kept[index].kind === 'numeric');
+    const pearson = numericIndexes.map(i => numericIndexes.map(j => (i === j ? 1 : null)));
+    const spearman = numericIndexes.map(i => numericIndexes.map(j => (i === j ? 1 : null)));
+    const relationships = [];
+
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        const relationship = this.comparePair(kept[i], kept[j]);
+        if (!relationship) continue;
+
+        const primary = relationship.measure === 'pearson' && method === 'spearman'
+          ? relationship.spearman
+          : relationship.value;
+        matrix[i][j] = primary;
+        matrix[j][i] = primary;
+
+        if (relationship.measure === 'pearson') {
+          const a = numericIndexes.indexOf(i);
+          const b = numericIndexes.indexOf(j);
+          pearson[a][b] = pearson[b][a] = relationship.value;
+          spearman[a][b] = spearman[b][a] = relationship.spearman;
+        }
+
+        if (relationship.value !== null || (relationship.spearman !== undefined && relationship.spearman !== null)) {
+          relationships.push(relationship);
+        }
+      }
+    }
+
+    relationships.sort((a, b) => this.rankOf(b) - this.rankOf(a));
+
+    return {
+      columns: kept.map(column => ({ name: column.name, kind: column.kind })),
+      method,
+      matrix,
+      numeric: {
+        columns: numericIndexes.map(index => kept[index].name),
+        pearson,
+        spearman
+      },
+      relationships: relationships.slice(0, limit),
+      skipped
+    };
+  }
+
+  /**
+   * Measure the relationship between two columns over their complete pairs
+   */
+  static comparePair(first, second) {
+    // Keep the categorical column first for mixed pairs
+    const [a, b] = first.kind === 'numeric' && second.kind === 'categorical' ? [second, first] : [first, second];
+    const xs = [];
+    const ys = [];
+    for (let row = 0; row < a.values.length; row++) {
+      if (a.values[row] === null || b.values[row] === null) continue;
+      xs.push(a.values[row]);
+      ys.push(b.values[row]);
+    }
+    if (xs.length < 3) return null;
+
+    const relationship = { columns: [a.name, b.name], kinds: `${a.kind}-${b.kind}`, n: xs.length };
+
+    if (a.kind === 'numeric') {
+      relationship.measure = 'pearson';
+      relationship.value = Statistics.pearson(xs, ys);
+      relationship.spearman = Statistics.spearman(xs, ys);
+      const reference = relationship.value !== null ? relationship.value : relationship.spearman;
+      relationship.direction = reference === null ? null : (reference >= 0 ? 'positive' : 'negative');
+    } else if (b.kind === 'numeric') {
+      relationship.measure = 'correlationRatio';
+      relationship.value = this.correlationRatio(xs, ys);
+    } else {
+      relationship.measure = 'cramersV';
+      relationship.value = this.cramersV(xs, ys);
+    }
+
+    relationship.strength = this.strengthOf(this.rankOf(relationship));
+    return relationship;
+  }
+
+  /**
+   * Cramér's V between two categorical variables (0 = independent, 1 = determined)
+   */
+  static cramersV(xs, ys) {
+    const n = xs.length;
+    const rowTotals = new Map();
+    const columnTotals = new Map();
+    const cells = new Map();
+
+    for (let i = 0; i < n; i++) {
+      rowTotals.set(xs[i], (rowTotals.get(xs[i]) || 0) + 1);
+      columnTotals.set(ys[i], (columnTotals.get(ys[i]) || 0) + 1);
+      const key = JSON.stringify([xs[i], ys[i]]);
+      cells.set(key, (cells.get(key) || 0) + 1);
+    }
+
+    const k = Math.min(rowTotals.size, columnTotals.size);
+    if (k < 2) return null;
+
+    let chiSquare = 0;
+    rowTotals.forEach((rowTotal, x) => {
+      columnTotals.forEach((columnTotal, y) => {
+        const expected = (rowTotal * columnTotal) / n;
+        const observed = cells.get(JSON.stringify([x, y])) || 0;
+        chiSquare += ((observed - expected) ** 2) / expected;
+      });
+    });
+
+    return Math.min(1, Math.sqrt(chiSquare / (n * (k - 1))));
+  }
+
+  /**
+   * Correlation ratio (eta): share of a number column's spread explained by a category
+   */
+  static correlationRatio(categories, values) {
+    const mean = Statistics.mean(values);
+    const groups = new Map();
+    let totalSquares = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      const group = groups.get(categories[i]) || { sum: 0, count: 0 };
+      group.sum += values[i];
+      group.count++;
+      groups.set(categories[i], group);
+      totalSquares += (values[i] - mean) ** 2;
+    }
+    if (groups.size < 2 || totalSquares === 0) return null;
+
+    let betweenSquares = 0;
+    groups.forEach(group => {
+      betweenSquares += group.count * (group.sum / group.count - mean) ** 2;
+    });
+
+    return Math.min(1, Math.sqrt(betweenSquares / totalSquares));
+  }
+
+  static rankOf(relationship) {
+    return Math.max(Math.abs(relationship.value || 0), Math.abs(relationship.spearman || 0));
+  }
+
+  static strengthOf(value) {
+    if (value >= 0.7) return 'strong';
+    if (value >= 0.4) return 'moderate';
+    if (value >= 0.2) return 'weak';
+    return 'negligible';
+  }
+}
+
+module.exports = Correlation;
@@ -1,66 +1,108 @@
+const FileProcessor = require('./fileProcessor');
+const Statistics = require('./statistics');
+const Correlation = require('./correlation');
+const OutlierDetector = require('./outlierDetector');
+const TimeSeries = require('./timeSeries');
+
+const { formatNumber } = Statistics;
+
+// Bumped whenever the shape of the summary changes, so cached stats are rebuilt
+const STATS_VERSION = 5;
+// Where each column type's stats are kept in the summary
+const STATS_SECTIONS = {
+  number: 'numericStats',
+  string: 'categoricalStats',
+  date: 'dateStats',
+  boolean: 'booleanStats'
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+// Outlier rows listed per number column
+const OUTLIER_EXAMPLES = 5;
+// Relationships in the summary cover at most this many columns
+const MAX_RELATIONSHIP_COLUMNS = 20;
+const SUMMARY_RELATIONSHIPS = 10;
+// Histograms with more bins than this are left out of AI prompts
+const MAX_PROMPT_BINS = 12;
+const MAX_PROMPT_RELATIONSHIPS = 5;
+
 class DataAnalyzer {
   /**
    * Generate summary statistics from file data
    * @param {Array} data - Array of data objects
    * @param {Array} columns - Array of column definitions with name and type
+   * @param {Object} options - { percentiles: [5, 95, 99], bins } for number columns
    * @returns {Object} Summary statistics object
    */
-  static generateSummaryStats(data, columns) {
+  static generateSummaryStats(data, columns, options = {}) {
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+
     if (!data || data.length === 0) {
       return {
+        version: STATS_VERSION,
         rowCount: 0,
         columnCount: columns.length,
         columns: [],
         numericStats: {},
         categoricalStats: {},
-        dateStats: {}
+        dateStats: {},
+        booleanStats: {},
+        relationships: []
       };
     }
 
     const stats = {
+      version: STATS_VERSION,
       rowCount: data.length,
       columnCount: columns.length,
       columns: columns.map(col => ({
         name: col.name,
-        type: col.type
+        type: col.type,
+        subtype: col.subtype || null
       })),
       numericStats: {},
       categoricalStats: {},
-      dateStats: {}
+      dateStats: {},
+      booleanStats: {},
+      relationships: []
     };
 
     // Process each column
     columns.forEach(column => {
-      const { name, type } = column;
+      const { name, type, format } = column;
       const values = data
         .map(row => row[name])
         .filter(val => val !== null && val !== undefined && val !== '');
 
       if (values.length === 0) {
-        stats[`${type}Stats`][name] = { nullCount: data.length };
+        stats[STATS_SECTIONS[type] || 'categoricalStats'][name] = { count: 0, nullCount: data.length };
         return;
       }
 
       if (type === 'number') {
-        const numericValues = values
-          .map(val => {
-            const num = parseFloat(val);
-            return isNaN(num) ? null : num;
-          })
-          .filter(val => val !== null);
+        // Keep row indexes so outliers can be cited by row
+        const points = [];
+        data.forEach((row, index) => {
+          const value = FileProcessor.coerceValue(row[name], 'number', format);
+          if (value !== null) points.push({ row: index, value });
+        });
+        const numericValues = points.map(point => point.value);
 
         if (numericValues.length > 0) {
-          const sorted = [...numericValues].sort((a, b) => a - b);
+          const { bounds, outliers } = OutlierDetector.detect(points, 'iqr');
           stats.numericStats[name] = {
-            count: numericValues.length,
+            ...Statistics.describe(numericValues, options),
             nullCount: data.length - numericValues.length,
-            min: sorted[0],
-            max: sorted[sorted.length - 1],
-            sum: numericValues.reduce((a, b) => a + b, 0),
-            mean: numericValues.reduce((a, b) => a + b, 0) / numericValues.length,
-            median: sorted.length % 2 === 0
-              ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
-              : sorted[Math.floor(sorted.length / 2)]
+            outliers: {
+              method: 'iqr',
+              lower: bounds.lower,
+              upper: bounds.upper,
+              count: outliers.length,
+              examples: outliers
+                .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+                .slice(0, OUTLIER_EXAMPLES)
+                .map(({ row, value }) => ({ row, value }))
+            }
           };
         }
       } else if (type === 'string') {
@@ -86,31 +128,98 @@ class DataAnalyzer {
           mostFrequent: sortedCounts[0] ? sortedCounts[0][0] : null
         };
       } else if (type === 'date') {
-        const dateValues = values
-          .map(val => {
-            const date = new Date(val);
-            return isNaN(date.getTime()) ? null : date;
-          })
-          .filter(val => val !== null);
-
-        if (dateValues.length > 0) {
-          const timestamps = dateValues.map(d => d.getTime());
-          const sorted = [...timestamps].sort((a, b) => a - b);
-          
+        const timestamps = values
+          .map(val => FileProcessor.coerceValue(val, 'date', format))
+          .filter(val => val !== null)
+          .map(date => date.getTime());
+
+        if (timestamps.length > 0) {
           stats.dateStats[name] = {
-            count: dateValues.length,
-            nullCount: data.length - dateValues.length,
-            earliest: new Date(sorted[0]).toISOString(),
-            latest: new Date(sorted[sorted.length - 1]).toISOString(),
-            span: Math.round((sorted[sorted.length - 1] - sorted[0]) / (1000 * 60 * 60 * 24)) // days
+            ...this.profileDates(timestamps, now),
+            nullCount: data.length - timestamps.length
           };
         }
+      } else if (type === 'boolean') {
+        let trueCount = 0;
+        let falseCount = 0;
+        values.forEach(val => {
+          const value = FileProcessor.coerceValue(val, 'boolean', format);
+          if (value === true) trueCount++;
+          else if (value === false) falseCount++;
+        });
+        const count = trueCount + falseCount;
+
+        stats.booleanStats[name] = {
+          count,
+          trueCount,
+          falseCount,
+          nullCount: data.length - count,
+          invalidCount: values.length - count,
+          trueRatio: count > 0 ? trueCount / count : null,
+          falseRatio: count > 0 ? falseCount / count : null,
+          nullRatio: (data.length - count) / data.length
+        };
       }
     });
 
+    // Strongest pairwise relationships between columns
+    stats.relationships = Correlation.analyzeRows(data, columns, {
+      maxColumns: MAX_RELATIONSHIP_COLUMNS,
+      limit: SUMMARY_RELATIONSHIPS
+    }).relationships;
+
     return stats;
   }
 
+  /**
+   * Distribution of a date column: range, counts by year, month, weekday and
+   * hour (UTC), the spacing of the series, gaps in it and future-dated values
+   * @param {Array} timestamps - Milliseconds
+   * @param {Number} now - Reference time for future dates
+   */
+  static profileDates(timestamps, now = Date.now()) {
+    const sorted = Float64Array.from(timestamps).sort();
+    const byYear = {};
+    const byMonth = Object.fromEntries(MONTHS.map(month => [month, 0]));
+    const byWeekday = Object.fromEntries(WEEKDAYS.map(day => [day, 0]));
+    const byHour = Array.from({ length: 24 }, () => 0);
+    let hasTime = false;
+    let futureCount = 0;
+
+    sorted.forEach(time => {
+      const date = new Date(time);
+      const year = date.getUTCFullYear();
+      byYear[year] = (byYear[year] || 0) + 1;
+      byMonth[MONTHS[date.getUTCMonth()]]++;
+      byWeekday[WEEKDAYS[date.getUTCDay()]]++;
+      byHour[date.getUTCHours()]++;
+      if (time % (24 * 60 * 60 * 1000) !== 0) hasTime = true;
+      if (time > now) futureCount++;
+    });
+
+    const spacing = TimeSeries.detectGranularity(Array.from(sorted));
+    const gaps = spacing.step ? TimeSeries.findGaps(Array.from(sorted), spacing.step) : null;
+    const earliest = sorted[0];
+    const latest = sorted[sorted.length - 1];
+
+    return {
+      count: sorted.length,
+      earliest: new Date(earliest).toISOString(),
+      latest: new Date(latest).toISOString(),
+      span: Math.round((latest - earliest) / (1000 * 60 * 60 * 24)), // days
+      distinctCount: new Set(sorted).size,
+      granularity: spacing.granularity,
+      granularityShare: spacing.share,
+      gaps,
+      futureCount,
+      byYear,
+      byMonth,
+      byWeekday,
+      // Only meaningful when the values carry a time of day
+      byHour: hasTime ? byHour : null
+    };
+  }
+
   /**
    * Format summary stats for AI prompt
    * @param {Object} summaryStats - Summary statistics object
@@ -123,15 +232,43 @@ class DataAnalyzer {
 
     prompt += `Columns:\n`;
     summaryStats.columns.forEach(col => {
-      prompt += `- ${col.name} (${col.type})\n`;
+      const detail = col.subtype && col.subtype !== col.type ? `${col.type}, ${col.subtype}` : col.type;
+      prompt += `- ${col.name} (${detail})\n`;
     });
 
     if (Object.keys(summaryStats.numericStats).length > 0) {
       prompt += `\nNumeric Statistics:\n`;
       Object.entries(summaryStats.numericStats).forEach(([col, stats]) => {
         prompt += `${col}:\n`;
+        if (!stats.count) {
+          prompt += `  No values (${stats.nullCount} missing)\n`;
+          return;
+        }
         prompt += `  Min: ${stats.min}, Max: ${stats.max}, Mean: ${stats.mean.toFixed(2)}, Median: ${stats.median.toFixed(2)}\n`;
         prompt += `  Count: ${stats.count}, Missing: ${stats.nullCount}\n`;
+        // Stats precomputed before the distribution fields existed stop here
+        if (stats.stdDev === undefined) return;
+
+        prompt += `  Std Dev: ${formatNumber(stats.stdDev)}, IQR: ${formatNumber(stats.iqr)} (Q1 ${formatNumber(stats.q1)}, Q3 ${formatNumber(stats.q3)})\n`;
+        const percentiles = Object.entries(stats.percentiles || {});
+        if (percentiles.length > 0) {
+          prompt += `  Percentiles: ${percentiles.map(([key, value]) => `${key.toUpperCase()} ${formatNumber(value)}`).join(', ')}\n`;
+        }
+        prompt += `  Shape: ${describeShape(stats)}\n`;
+        if (stats.coefficientOfVariation !== null) {
+          prompt += `  Coefficient of Variation: ${formatNumber(stats.coefficientOfVariation)}\n`;
+        }
+        if (stats.zeroCount > 0 || stats.negativeCount > 0) {
+          prompt += `  Zeros: ${stats.zeroCount}, Negatives: ${stats.negativeCount}\n`;
+        }
+        if (stats.outliers && stats.outliers.count > 0) {
+          const examples = stats.outliers.examples.map(example => `row ${example.row} = ${formatNumber(example.value)}`).join(', ');
+          prompt += `  Outliers (IQR): ${stats.outliers.count} values outside [${formatNumber(stats.outliers.lower)}, ${formatNumber(stats.outliers.upper)}], e.g. ${examples}\n`;
+        }
+        const bins = stats.histogram ? stats.histogram.bins : [];
+        if (bins.length > 1 && bins.length <= MAX_PROMPT_BINS) {
+          prompt += `  Histogram: ${bins.map(bin => `[${formatNumber(bin.start)}, ${formatNumber(bin.end)}): ${bin.count}`).join('; ')}\n`;
+        }
       });
     }
 
@@ -139,6 +276,10 @@ class DataAnalyzer {
       prompt += `\nCategorical Statistics:\n`;
       Object.entries(summaryStats.categoricalStats).forEach(([col, stats]) => {
         prompt += `${col}:\n`;
+        if (stats.count === 0) {
+          prompt += `  No values (${stats.nullCount} missing)\n`;
+          return;
+        }
         prompt += `  Unique Values: ${stats.uniqueValues}\n`;
         if (stats.mostFrequent) {
           prompt += `  Most Frequent: "${stats.mostFrequent}"\n`;
@@ -156,8 +297,50 @@ class DataAnalyzer {
       prompt += `\nDate Statistics:\n`;
       Object.entries(summaryStats.dateStats).forEach(([col, stats]) => {
         prompt += `${col}:\n`;
+        if (!stats.count) {
+          prompt += `  No values (${stats.nullCount} missing)\n`;
+          return;
+        }
         prompt += `  Earliest: ${stats.earliest}, Latest: ${stats.latest}\n`;
         prompt += `  Span: ${stats.span} days\n`;
+        if (stats.granularity) {
+          const gaps = stats.gaps && stats.gaps.count > 0
+            ? `, ${stats.gaps.count} gaps (${stats.gaps.missingPeriods} missing periods)`
+            : (stats.gaps ? ', no gaps' : '');
+          prompt += `  Granularity: ${stats.granularity}${gaps}\n`;
+        }
+        if (stats.byWeekday) {
+          prompt += `  Busiest Weekday: ${busiest(stats.byWeekday)}, Busiest Month: ${busiest(stats.byMonth)}\n`;
+          const years = Object.entries(stats.byYear);
+          if (years.length > 1 && years.length <= 10) {
+            prompt += `  Rows per Year: ${years.map(([year, count]) => `${year}: ${count}`).join(', ')}\n`;
+          }
+        }
+        if (stats.futureCount > 0) {
+          prompt += `  Future-dated Values: ${stats.futureCount}\n`;
+        }
+      });
+    }
+
+    if (Object.keys(summaryStats.booleanStats || {}).length > 0) {
+      prompt += `\nBoolean Statistics:\n`;
+      Object.entries(summaryStats.booleanStats).forEach(([col, stats]) => {
+        prompt += `${col}:\n`;
+        if (!stats.count) {
+          prompt += `  No values (${stats.nullCount} missing)\n`;
+          return;
+        }
+        prompt += `  True: ${stats.trueCount} (${(stats.trueRatio * 100).toFixed(1)}%), False: ${stats.falseCount} (${(stats.falseRatio * 100).toFixed(1)}%), Missing: ${stats.nullCount}\n`;
+      });
+    }
+
+    const relationships = (summaryStats.relationships || [])
+      .filter(relationship => relationship.strength !== 'negligible')
+      .slice(0, MAX_PROMPT_RELATIONSHIPS);
+    if (relationships.length > 0) {
+      prompt += `\nStrongest Relationships:\n`;
+      relationships.forEach(relationship => {
+        prompt += `- ${relationship.columns.join(' and ')}: ${describeRelationship(relationship)}\n`;
       });
     }
 
@@ -165,4 +348,43 @@ class DataAnalyzer {
   }
 }
 
+function busiest(counts) {
+  const [label, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return `${label} (${count})`;
+}
+
+/**
+ * Plain-language distribution shape from skewness and excess kurtosis
+ */
+function describeShape(stats) {
+  if (stats.skewness === null || stats.skewness === undefined) return 'not enough varied values';
+
+  const skew = stats.skewness;
+  let shape = Math.abs(skew) < 0.5
+    ? 'roughly symmetric'
+    : `${Math.abs(skew) >= 1 ? 'strongly ' : ''}${skew > 0 ? 'right' : 'left'}-skewed`;
+  shape += ` (skewness ${skew.toFixed(2)}`;
+
+  if (stats.kurtosis !== null && stats.kurtosis !== undefined) {
+    const tails = stats.kurtosis > 1 ? ', heavy tails' : (stats.kurtosis < -1 ? ', light tails' : '');
+    shape += `, excess kurtosis ${stats.kurtosis.toFixed(2)}${tails}`;
+  }
+  return `${shape})`;
+}
+
+/**
+ * One-line description of a relationship from Correlation
+ */
+function describeRelationship(relationship) {
+  if (relationship.measure === 'pearson') {
+    const spearman = relationship.spearman !== null ? `, Spearman ${relationship.spearman.toFixed(2)}` : '';
+    const pearson = relationship.value !== null ? `Pearson ${relationship.value.toFixed(2)}` : 'Pearson n/a';
+    return `${relationship.strength} ${relationship.direction} correlation (${pearson}${spearman}, n=${relationship.n})`;
+  }
+  const label = relationship.measure === 'cramersV' ? "Cramér's V" : 'correlation ratio';
+  return `${relationship.strength} association (${label} ${relationship.value.toFixed(2)}, n=${relationship.n})`;
+}
+
+DataAnalyzer.STATS_VERSION = STATS_VERSION;
+
 module.exports = DataAnalyzer;
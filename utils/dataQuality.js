@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const TypeInference = require('./typeInference');
+const { RowQuery } = require('./rowQuery');
+
+// Bumped whenever the report changes shape, so stored reports are rebuilt
+const QUALITY_VERSION = 1;
+const EXAMPLE_LIMIT = 5;
+const DISTINCT_TRACK_LIMIT = 10000;
+// Rows missing more columns than this are left out of co-missingness pairs
+const PAIR_TRACK_COLUMNS = 30;
+const CO_MISSING_MIN_JACCARD = 0.5;
+const ID_LIKE_MIN_ROWS = 20;
+const ID_LIKE_DISTINCT_RATIO = 0.95;
+const MIXED_MIN_NUMERIC_SHARE = 0.5;
+const EARLIEST_PLAUSIBLE_DATE = Date.UTC(1900, 0, 1);
+const FUTURE_TOLERANCE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Maximum points taken off the 100-point score by each kind of problem
+const PENALTY_WEIGHTS = {
+  missing: 30,
+  exactDuplicates: 20,
+  nearDuplicates: 10,
+  mixedTypes: 15,
+  implausibleDates: 10,
+  whitespace: 5,
+  inconsistentCasing: 5,
+  constantColumns: 5
+};
+
+/**
+ * Data-quality profile of a stored dataset: duplicates, missing values,
+ * mixed types, whitespace, category casing, constant and ID-like columns and
+ * implausible dates, rolled up into a 0-100 score.
+ */
+class DataQuality {
+  /**
+   * Build the report for a file from its stored rows
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @returns {Object} Quality report
+   */
+  static async run(fileData) {
+    return this.analyze(DatasetStore.iterateRows(fileData._id), RowQuery.visibleColumns(fileData));
+  }
+
+  /**
+   * Build the report from rows
+   * @param {Iterable|AsyncIterable} rows - Row objects in dataset order
+   * @param {Array} columns - Column definitions
+   * @param {Object} options - { now } reference time for future dates
+   */
+  static async analyze(rows, columns, options = {}) {
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    const profiles = columns.map(column => this.createProfile(column));
+    const exactSeen = new Map();
+    const nearSeen = new Map();
+    const exactGroups = new Map();
+    const nearGroups = new Map();
+    const patterns = new Map();
+    const pairCounts = new Map();
+    let exactDuplicates = 0;
+    let nearDuplicates = 0;
+    let rowsWithMissing = 0;
+    let rowCount = 0;
+
+    for await (const row of rows) {
+      const index = rowCount++;
+      const missing = [];
+      const exactParts = [];
+      const nearParts = [];
+
+      profiles.forEach((profile, position) => {
+        const raw = row[profile.name];
+        const empty = raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '');
+        exactParts.push(raw === undefined ? null : raw);
+
+        if (empty) {
+          profile.missing++;
+          missing.push(position);
+          nearParts.push(null);
+          return;
+        }
+
+        nearParts.push(this.addValue(profile, raw, now));
+      });
+
+      // Duplicate rows, exact and after normalizing case, spacing and number formatting
+      const exactKey = this.hash(exactParts);
+      const nearKey = this.hash(nearParts);
+      if (exactSeen.has(exactKey)) {
+        exactDuplicates++;
+        this.addToGroup(exactGroups, exactKey, exactSeen.get(exactKey), index);
+      } else {
+        exactSeen.set(exactKey, index);
+        if (nearSeen.has(nearKey)) {
+          nearDuplicates++;
+          this.addToGroup(nearGroups, nearKey, nearSeen.get(nearKey), index);
+        }
+      }
+      if (!nearSeen.has(nearKey)) nearSeen.set(nearKey, index);
+
+      if (missing.length > 0) {
+        rowsWithMissing++;
+        const key = missing.join(',');
+        patterns.set(key, (patterns.get(key) || 0) + 1);
+        if (missing.length <= PAIR_TRACK_COLUMNS) {
+          for (let i = 0; i < missing.length; i++) {
+            for (let j = i + 1; j < missing.length; j++) {
+              const pair = `${missing[i]},${missing[j]}`;
+              pairCounts.set(pair, (pairCounts.get(pair) || 0) + 1);
+            }
+          }
+        }
+      }
+    }
+
+    const columnReports = profiles.map(profile => this.finalizeProfile(profile, rowCount));
+    const totalCells = rowCount * columns.length;
+    const missingCells = profiles.reduce((sum, profile) => sum + profile.missing, 0);
+
+    const missingPatterns = Array.from(patterns.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, EXAMPLE_LIMIT)
+      .map(([key, count]) => ({
+        columns: key.split(',').map(position => profiles[position].name),
+        rows: count,
+        ratio: ratio(count, rowCount)
+      }));
+
+    const coMissing = [];
+    pairCounts.forEach((both, key) => {
+      const [a, b] = key.split(',').map(Number);
+      const either = profiles[a].missing + profiles[b].missing - both;
+      const jaccard = either > 0 ? both / either : 0;
+      if (jaccard >= CO_MISSING_MIN_JACCARD) {
+        coMissing.push({ columns: [profiles[a].name, profiles[b].name], rows: both, jaccard: round(jaccard) });
+      }
+    });
+    coMissing.sort((a, b) => b.jaccard - a.jaccard || b.rows - a.rows);
+
+    const report = {
+      version: QUALITY_VERSION,
+      generatedAt: new Date().toISOString(),
+      rowCount,
+      columnCount: columns.length,
+      duplicates: {
+        exactRows: exactDuplicates,
+        exactRatio: ratio(exactDuplicates, rowCount),
+        exactExamples: this.groupExamples(exactGroups),
+        nearRows: nearDuplicates,
+        nearRatio: ratio(nearDuplicates, rowCount),
+        nearExamples: this.groupExamples(nearGroups)
+      },
+      missing: {
+        cells: missingCells,
+        cellRatio: ratio(missingCells, totalCells),
+        rowsWithMissing,
+        rowRatio: ratio(rowsWithMissing, rowCount),
+        patterns: missingPatterns,
+        coMissing: coMissing.slice(0, EXAMPLE_LIMIT * 2)
+      },
+      columns: columnReports
+    };
+
+    report.issues = this.collectIssues(report);
+    Object.assign(report, this.score(report, totalCells));
+    return report;
+  }
+
+  static createProfile(column) {
+    return {
+      name: column.name,
+      type: column.type,
+      subtype: column.subtype,
+      format: column.format,
+      missing: 0,
+      present: 0,
+      invalid: 0,
+      invalidExamples: [],
+      numericLike: 0,
+      textExamples: [],
+      whitespace: 0,
+      futureDates: 0,
+      pastDates: 0,
+      dateExamples: [],
+      distinct: new Map(),
+      distinctOverflow: false
+    };
+  }
+
+  /**
+   * Profile one non-empty value and return its normalized form for near-duplicate matching
+   */
+  static addValue(profile, raw, now) {
+    profile.present++;
+    const text = typeof raw === 'string' ? raw : String(raw);
+    const trimmed = text.trim();
+
+    if (typeof raw === 'string' && raw !== trimmed) profile.whitespace++;
+
+    if (!profile.distinctOverflow) {
+      profile.distinct.set(trimmed, (profile.distinct.get(trimmed) || 0) + 1);
+      if (profile.distinct.size > DISTINCT_TRACK_LIMIT) {
+        profile.distinctOverflow = true;
+        profile.distinct.clear();
+      }
+    }
+
+    if (profile.type === 'string') {
+      if (TypeInference.parseNumber(trimmed) !== null) {
+        profile.numericLike++;
+      } else if (profile.textExamples.length < EXAMPLE_LIMIT && !profile.textExamples.includes(trimmed)) {
+        profile.textExamples.push(trimmed);
+      }
+      return trimmed.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    const value = FileProcessor.coerceValue(raw, profile.type, profile.format);
+    if (value === null) {
+      profile.invalid++;
+      if (profile.invalidExamples.length < EXAMPLE_LIMIT && !profile.invalidExamples.includes(trimmed)) {
+        profile.invalidExamples.push(trimmed);
+      }
+      return trimmed.toLowerCase();
+    }
+
+    if (profile.type === 'date') {
+      const time = value.getTime();
+      const implausible = time < EARLIEST_PLAUSIBLE_DATE || time > now + FUTURE_TOLERANCE_MS;
+      if (time < EARLIEST_PLAUSIBLE_DATE) profile.pastDates++;
+      if (time > now + FUTURE_TOLERANCE_MS) profile.futureDates++;
+      if (implausible && profile.dateExamples.length < EXAMPLE_LIMIT) profile.dateExamples.push(trimmed);
+      return time;
+    }
+    if (profile.type === 'number') return Math.round(value * 100) / 100;
+    return value;
+  }
+
+  static finalizeProfile(profile, rowCount) {
+    const distinctCount = profile.distinctOverflow ? null : profile.distinct.size;
+    const report = {
+      name: profile.name,
+      type: profile.type,
+      missing: profile.missing,
+      missingRatio: ratio(profile.missing, rowCount),
+      distinct: distinctCount,
+      constant: distinctCount === 1 && profile.present > 0,
+      empty: profile.present === 0,
+      whitespace: profile.whitespace,
+      idLike: false,
+      mixedTypes: null,
+      inconsistentCasing: [],
+      implausibleDates: null
+    };
+
+    // Nearly every value unique, as with keys and identifiers
+    if (rowCount >= ID_LIKE_MIN_ROWS && ['string', 'number'].includes(profile.type) && profile.subtype !== 'text') {
+      const unique = distinctCount === null ? profile.present : distinctCount;
+      const integerLike = profile.type === 'string' || Array.from(profile.distinct.keys()).every(key => /^[+-]?\d+$/.test(key));
+      report.idLike = integerLike && profile.present > 0 &&
+        unique / profile.present >= ID_LIKE_DISTINCT_RATIO && profile.present / rowCount >= ID_LIKE_DISTINCT_RATIO;
+    }
+
+    // Typed columns with values that do not parse, or text columns that are mostly numbers
+    if (profile.invalid > 0) {
+      report.mixedTypes = {
+        invalid: profile.invalid,
+        ratio: ratio(profile.invalid, profile.present),
+        examples: profile.invalidExamples
+      };
+    } else if (profile.type === 'string' && profile.numericLike > 0 && profile.numericLike < profile.present &&
+      profile.numericLike / profile.present >= MIXED_MIN_NUMERIC_SHARE) {
+      const invalid = profile.present - profile.numericLike;
+      report.mixedTypes = {
+        invalid,
+        ratio: ratio(invalid, profile.present),
+        examples: profile.textExamples
+      };
+    }
+
+    if (profile.type === 'string' && !profile.distinctOverflow) {
+      const variants = new Map();
+      profile.distinct.forEach((count, value) => {
+        const key = value.toLowerCase().replace(/\s+/g, ' ');
+        if (!variants.has(key)) variants.set(key, []);
+        variants.get(key).push({ value, count });
+      });
+      report.inconsistentCasing = Array.from(variants.values())
+        .filter(group => group.length > 1)
+        .sort((a, b) => b.length - a.length)
+        .slice(0, EXAMPLE_LIMIT)
+        .map(group => group.sort((a, b) => b.count - a.count));
+    }
+
+    if (profile.type === 'date' && (profile.pastDates > 0 || profile.futureDates > 0)) {
+      report.implausibleDates = {
+        beforeEarliest: profile.pastDates,
+        farFuture: profile.futureDates,
+        ratio: ratio(profile.pastDates + profile.futureDates, profile.present),
+        examples: profile.dateExamples
+      };
+    }
+
+    return report;
+  }
+
+  /**
+   * Flat list of problems for display, most severe first
+   */
+  static collectIssues(report) {
+    const issues = [];
+    const add = (type, share, message, column) => {
+      issues.push({ type, severity: severityOf(share), column: column || null, message });
+    };
+
+    if (report.duplicates.exactRows > 0) {
+      add('exactDuplicates', report.duplicates.exactRatio, `${report.duplicates.exactRows} rows are exact duplicates of an earlier row`);
+    }
+    if (report.duplicates.nearRows > 0) {
+      add('nearDuplicates', report.duplicates.nearRatio, `${report.duplicates.nearRows} rows differ from an earlier row only in case, spacing or number formatting`);
+    }
+
+    report.columns.forEach(column => {
+      if (column.empty) {
+        add('emptyColumn', 1, `"${column.name}" has no values`, column.name);
+        return;
+      }
+      if (column.missing > 0) {
+        add('missingValues', column.missingRatio, `"${column.name}" is missing ${column.missing} values (${percent(column.missingRatio)})`, column.name);
+      }
+      if (column.mixedTypes) {
+        add('mixedTypes', column.mixedTypes.ratio, `"${column.name}" has ${column.mixedTypes.invalid} values that do not match its ${column.type === 'string' ? 'mostly numeric' : column.type} content`, column.name);
+      }
+      if (column.implausibleDates) {
+        add('implausibleDates', column.implausibleDates.ratio, `"${column.name}" has dates before 1900 or more than a year ahead`, column.name);
+      }
+      if (column.whitespace > 0) {
+        add('whitespace', ratio(column.whitespace, report.rowCount), `"${column.name}" has ${column.whitespace} values with leading or trailing spaces`, column.name);
+      }
+      if (column.inconsistentCasing.length > 0) {
+        const example = column.inconsistentCasing[0].map(variant => `"${variant.value}"`).join(' / ');
+        add('inconsistentCasing', 0.05, `"${column.name}" spells the same category differently, e.g. ${example}`, column.name);
+      }
+      if (column.constant) {
+        add('constantColumn', 0.05, `"${column.name}" holds a single value`, column.name);
+      }
+      if (column.idLike) {
+        add('idLike', 0, `"${column.name}" looks like an identifier (nearly every value is unique)`, column.name);
+      }
+    });
+
+    const order = { high: 0, medium: 1, low: 2 };
+    return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+  }
+
+  /**
+   * Overall 0-100 score and the points taken off by each kind of problem
+   */
+  static score(report, totalCells) {
+    const columns = report.columns;
+    const share = predicate => (columns.length > 0 ? columns.filter(predicate).length / columns.length : 0);
+    const presentCells = Math.max(totalCells - report.missing.cells, 1);
+    const sumOf = pick => columns.reduce((sum, column) => sum + pick(column), 0);
+
+    const ratios = {
+      missing: report.missing.cellRatio,
+      exactDuplicates: report.duplicates.exactRatio,
+      nearDuplicates: report.duplicates.nearRatio,
+      mixedTypes: sumOf(column => (column.mixedTypes ? column.mixedTypes.invalid : 0)) / presentCells,
+      implausibleDates: sumOf(column => (column.implausibleDates
+        ? column.implausibleDates.beforeEarliest + column.implausibleDates.farFuture
+        : 0)) / presentCells,
+      whitespace: sumOf(column => column.whitespace) / presentCells,
+      inconsistentCasing: share(column => column.inconsistentCasing.length > 0),
+      constantColumns: share(column => column.constant || column.empty)
+    };
+
+    const penalties = {};
+    Object.entries(PENALTY_WEIGHTS).forEach(([key, weight]) => {
+      // Small shares still cost something, so the penalty grows with the square root
+      penalties[key] = round(weight * Math.min(1, Math.sqrt(ratios[key] || 0)));
+    });
+    const total = Object.values(penalties).reduce((sum, value) => sum + value, 0);
+
+    return {
+      score: Math.max(0, Math.round(100 - total)),
+      penalties
+    };
+  }
+
+  static hash(parts) {
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('base64');
+  }
+
+  static addToGroup(groups, key, first, index) {
+    if (!groups.has(key)) groups.set(key, [first]);
+    const rows = groups.get(key);
+    if (rows.length < EXAMPLE_LIMIT * 2) rows.push(index);
+  }
+
+  static groupExamples(groups) {
+    return Array.from(groups.values())
+      .sort((a, b) => b.length - a.length)
+      .slice(0, EXAMPLE_LIMIT)
+      .map(rows => ({ rows }));
+  }
+}
+
+function ratio(count, total) {
+  return total > 0 ? round(count / total) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function severityOf(share) {
+  if (share >= 0.2) return 'high';
+  if (share >= 0.05) return 'medium';
+  return 'low';
+}
+
+DataQuality.QUALITY_VERSION = QUALITY_VERSION;
+
+module.exports = DataQuality;
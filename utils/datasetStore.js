@@ -0,0 +1,172 @@
+const DataChunk = require('../models/DataChunk');
+
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.DATA_CHUNK_SIZE, 10) || 1000;
+
+/**
+ * Buffers parsed rows and writes them to the DataChunk collection in batches.
+ * Created through DatasetStore.createWriter().
+ */
+class ChunkWriter {
+  constructor(fileId, chunkSize = DEFAULT_CHUNK_SIZE) {
+    this.fileId = fileId;
+    this.chunkSize = chunkSize;
+    this.buffer = [];
+    this.chunkIndex = 0;
+    this.rowCount = 0;
+  }
+
+  /**
+   * Queue rows for writing, flushing every full chunk
+   * @param {Array} rows - Array of row objects
+   */
+  async write(rows) {
+    for (const row of rows) {
+      this.buffer.push(row);
+      if (this.buffer.length >= this.chunkSize) {
+        await this.flush();
+      }
+    }
+  }
+
+  /**
+   * Write any buffered rows as a chunk
+   */
+  async flush() {
+    if (this.buffer.length === 0) return;
+
+    const rows = this.buffer;
+    this.buffer = [];
+
+    await DataChunk.create({
+      fileId: this.fileId,
+      chunkIndex: this.chunkIndex,
+      startRow: this.rowCount,
+      rowCount: rows.length,
+      rows
+    });
+
+    this.chunkIndex++;
+    this.rowCount += rows.length;
+  }
+}
+
+class DatasetStore {
+  /**
+   * Create a writer that stores rows for a file in chunks
+   * @param {ObjectId} fileId - FileData id the rows belong to
+   * @param {Number} chunkSize - Rows per chunk document
+   * @returns {ChunkWriter}
+   */
+  static createWriter(fileId, chunkSize) {
+    return new ChunkWriter(fileId, chunkSize);
+  }
+
+  /**
+   * Iterate over the rows of a file in their original order
+   * @param {ObjectId} fileId - FileData id
+   * @param {Object} options - { skip, limit }
+   */
+  static async *iterateRows(fileId, { skip = 0, limit = Infinity } = {}) {
+    if (limit <= 0) return;
+
+    const query = { fileId };
+    if (skip > 0) {
+      // Jump straight to the chunk that contains the first requested row
+      const firstChunk = await DataChunk.findOne({ fileId, startRow: { $lte: skip } })
+        .sort({ chunkIndex: -1 })
+        .select('chunkIndex');
+      if (firstChunk) {
+        query.chunkIndex = { $gte: firstChunk.chunkIndex };
+      }
+    }
+
+    const cursor = DataChunk.find(query)
+      .sort({ chunkIndex: 1 })
+      .select('startRow rows')
+      .lean()
+      .cursor();
+
+    let yielded = 0;
+    for await (const chunk of cursor) {
+      const offset = Math.max(0, skip - chunk.startRow);
+      for (let i = offset; i < chunk.rows.length; i++) {
+        yield chunk.rows[i];
+        yielded++;
+        if (yielded >= limit) {
+          await cursor.close();
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Load rows of a file into memory
+   * @param {ObjectId} fileId - FileData id
+   * @param {Object} options - { skip, limit }
+   * @returns {Array} Array of row objects
+   */
+  static async loadRows(fileId, options = {}) {
+    const rows = [];
+    for await (const row of this.iterateRows(fileId, options)) {
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Whether a new column name can be written as a row key. MongoDB reads "."
+   * in a key as a path into a nested field and a leading "$" as an operator.
+   */
+  static isValidKey(name) {
+    return typeof name === 'string' && !name.includes('.') && !name.startsWith('$');
+  }
+
+  /**
+   * Rename keys in every stored row of a file, keeping the column order
+   * @param {ObjectId} fileId - FileData id
+   * @param {Object} renames - Map of old key to new key
+   */
+  static async renameKeys(fileId, renames) {
+    if (Object.keys(renames).length === 0) return;
+
+    const cursor = DataChunk.find({ fileId }).select('rows').lean().cursor();
+    for await (const chunk of cursor) {
+      const rows = chunk.rows.map(row => {
+        const renamed = {};
+        Object.entries(row).forEach(([key, value]) => {
+          renamed[renames[key] !== undefined ? renames[key] : key] = value;
+        });
+        return renamed;
+      });
+      await DataChunk.updateOne({ _id: chunk._id }, { $set: { rows } });
+    }
+  }
+
+  /**
+   * Set a key in every stored row of a file, e.g. to add a derived column
+   * @param {ObjectId} fileId - FileData id
+   * @param {String} name - Key to set
+   * @param {Array} values - Value per row index; missing entries are stored as null
+   */
+  static async setColumn(fileId, name, values) {
+    const cursor = DataChunk.find({ fileId }).select('startRow rows').lean().cursor();
+    for await (const chunk of cursor) {
+      const rows = chunk.rows.map((row, index) => {
+        const value = values[chunk.startRow + index];
+        return { ...row, [name]: value === undefined ? null : value };
+      });
+      await DataChunk.updateOne({ _id: chunk._id }, { $set: { rows } });
+    }
+  }
+
+  /**
+   * Remove every stored row of a file
+   * @param {ObjectId} fileId - FileData id
+   */
+  static async deleteRows(fileId) {
+    await DataChunk.deleteMany({ fileId });
+  }
+}
+
+module.exports = DatasetStore;
@@ -1,116 +1,804 @@
 const fs = require('fs');
 const csv = require('csv-parser');
 const XLSX = require('xlsx');
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const TypeInference = require('./typeInference');
+
+const DEFAULT_BATCH_SIZE = 1000;
+const HEADER_SCAN_ROWS = 20;
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 50;
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const DELIMITER_ALIASES = { tab: '\t', '\\t': '\t', comma: ',', semicolon: ';', pipe: '|' };
+const ARRAY_STRATEGIES = ['stringify', 'explode', 'first'];
+const FILE_TYPE_ALIASES = { jsonl: 'ndjson' };
 
 class FileProcessor {
-  static async processCSV(filePath) {
-    return new Promise((resolve, reject) => {
-      console.log('Processing CSV file at path:', filePath);
-      
-      // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        console.error('File does not exist:', filePath);
-        return reject(new Error(`File does not exist: ${filePath}`));
-      }
-      
-      const results = [];
-      const columns = new Set();
-      
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => {
-          results.push(data);
-          // Track all column names
-          Object.keys(data).forEach(key => columns.add(key));
-        })
-        .on('end', () => {
-          const processedData = {
-            data: results,
-            columns: Array.from(columns).map(col => ({
-              name: col,
-              type: this.detectColumnType(results, col)
-            })),
-            rowCount: results.length
-          };
-          resolve(processedData);
-        })
-        .on('error', (error) => {
-          reject(error);
-        });
+  /**
+   * Parse a CSV file, handing rows to `onRows` in batches as they are read.
+   * Encoding, delimiter, quote character and header position are sniffed
+   * from the start of the file unless given in `dialect`.
+   * @param {String|Buffer} source - File path or in-memory file contents
+   * @param {Object} options - { onRows: async (rows) => {}, batchSize, dialect }
+   * @returns {Object} { columns, rowCount, dialect, data } - `data` is only collected when no `onRows` is given
+   */
+  static async processCSV(source, options = {}) {
+    const { onRows, batchSize = DEFAULT_BATCH_SIZE } = options;
+    console.log('Processing CSV file:', Buffer.isBuffer(source) ? `<buffer ${source.length} bytes>` : source);
+
+    const sample = await this.readSample(source);
+    const dialect = this.sniffDialect(sample, options.dialect);
+    console.log('Detected CSV dialect:', dialect);
+
+    const parser = csv({
+      separator: dialect.delimiter,
+      quote: dialect.quote,
+      escape: dialect.quote,
+      skipLines: dialect.skipLines,
+      headers: dialect.hasHeader
+        ? undefined
+        : Array.from({ length: dialect.fieldCount }, (_, index) => `Column ${index + 1}`),
+      mapHeaders: ({ header, index }) => String(header).trim() || `Column ${index + 1}`
+    });
+
+    const stream = this.createSourceStream(source)
+      .pipe(this.createDecodeStream(dialect.encoding))
+      .pipe(parser);
+    const collector = this.createRowCollector(onRows, batchSize);
+
+    for await (const row of stream) {
+      await collector.add(row);
+    }
+    await collector.finish();
+
+    return { ...collector.result(), dialect };
+  }
+
+  /**
+   * Read the leading bytes of a file path or buffer for sniffing
+   */
+  static async readSample(source) {
+    if (Buffer.isBuffer(source)) {
+      return source.subarray(0, SNIFF_BYTES);
+    }
+
+    // Check if file exists
+    if (!fs.existsSync(source)) {
+      console.error('File does not exist:', source);
+      throw new Error(`File does not exist: ${source}`);
+    }
+
+    const handle = await fs.promises.open(source, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Work out how a CSV file is encoded and laid out
+   * @param {Buffer} sample - Leading bytes of the file
+   * @param {Object} overrides - Any of { encoding, delimiter, quote, headerRow, skipLines, hasHeader }
+   * @returns {Object} { encoding, bom, delimiter, quote, skipLines, hasHeader, fieldCount }
+   */
+  static sniffDialect(sample, overrides = {}) {
+    const given = this.normalizeDialect(overrides || {});
+
+    const detectedEncoding = this.detectEncoding(sample);
+    const encoding = given.encoding || detectedEncoding.encoding;
+    const text = new TextDecoder(encoding).decode(sample);
+
+    let lines = text.split(/\r\n|\n|\r/);
+    // The last line of a truncated sample is most likely incomplete
+    if (sample.length >= SNIFF_BYTES && lines.length > 1) lines.pop();
+    lines = lines.slice(0, SNIFF_LINES);
+
+    const quote = given.quote || this.detectQuote(lines);
+    const delimiter = given.delimiter || this.detectDelimiter(lines, quote);
+
+    const counts = lines.map(line => (line.trim() === '' ? 0 : this.splitLine(line, delimiter, quote).length));
+    const fieldCount = this.modeOf(counts.filter(count => count > 0)) || 1;
+
+    // Lines before the first full-width line are a preamble (titles, notes, export info)
+    let skipLines = given.skipLines;
+    if (skipLines === undefined) {
+      skipLines = Math.max(counts.findIndex(count => count === fieldCount), 0);
+    }
+
+    let hasHeader = given.hasHeader;
+    if (hasHeader === undefined) {
+      const headerFields = lines[skipLines] !== undefined ? this.splitLine(lines[skipLines], delimiter, quote) : [];
+      const dataRows = lines.slice(skipLines + 1)
+        .filter(line => line.trim() !== '')
+        .map(line => this.splitLine(line, delimiter, quote))
+        .filter(fields => fields.length === fieldCount);
+      hasHeader = this.detectHeader(headerFields, dataRows);
+    }
+
+    return {
+      encoding,
+      bom: detectedEncoding.bom,
+      delimiter,
+      quote,
+      skipLines,
+      hasHeader,
+      fieldCount
+    };
+  }
+
+  /**
+   * Normalize user supplied dialect overrides (multipart fields arrive as strings)
+   */
+  static normalizeDialect(overrides) {
+    const dialect = {};
+
+    if (overrides.encoding) {
+      try {
+        dialect.encoding = new TextDecoder(String(overrides.encoding).trim()).encoding;
+      } catch (error) {
+        throw new Error(`Unsupported encoding "${overrides.encoding}"`);
+      }
+    }
+    if (overrides.delimiter) {
+      const value = String(overrides.delimiter);
+      dialect.delimiter = DELIMITER_ALIASES[value.toLowerCase()] || value;
+    }
+    if (overrides.quote) {
+      dialect.quote = String(overrides.quote);
+    }
+    if (overrides.headerRow !== undefined && overrides.headerRow !== '') {
+      // headerRow is the 1-based line of the header; 0 means the file has no header
+      const headerRow = parseInt(overrides.headerRow, 10);
+      if (isNaN(headerRow) || headerRow < 0) {
+        throw new Error(`Invalid header row "${overrides.headerRow}"`);
+      }
+      dialect.skipLines = Math.max(headerRow - 1, 0);
+      dialect.hasHeader = headerRow > 0;
+    }
+    if (overrides.skipLines !== undefined && overrides.skipLines !== '') {
+      dialect.skipLines = Math.max(parseInt(overrides.skipLines, 10) || 0, 0);
+    }
+    if (overrides.hasHeader !== undefined && overrides.hasHeader !== '') {
+      dialect.hasHeader = overrides.hasHeader !== false && String(overrides.hasHeader).toLowerCase() !== 'false';
+    }
+
+    return dialect;
+  }
+
+  /**
+   * Detect the text encoding from a byte order mark, NUL byte patterns or UTF-8 validity
+   * @returns {Object} { encoding, bom }
+   */
+  static detectEncoding(sample) {
+    if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return { encoding: 'utf-8', bom: true };
+    if (sample[0] === 0xFF && sample[1] === 0xFE) return { encoding: 'utf-16le', bom: true };
+    if (sample[0] === 0xFE && sample[1] === 0xFF) return { encoding: 'utf-16be', bom: true };
+
+    // UTF-16 text without a BOM has a NUL byte in every other position for ASCII content
+    const length = Math.min(sample.length, 4096);
+    let evenNulls = 0;
+    let oddNulls = 0;
+    for (let i = 0; i < length; i++) {
+      if (sample[i] === 0) {
+        if (i % 2 === 0) evenNulls++;
+        else oddNulls++;
+      }
+    }
+    if (oddNulls > length * 0.15) return { encoding: 'utf-16le', bom: false };
+    if (evenNulls > length * 0.15) return { encoding: 'utf-16be', bom: false };
+
+    try {
+      // stream: true tolerates a multi-byte character cut off at the end of the sample
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return { encoding: 'utf-8', bom: false };
+    } catch (error) {
+      return { encoding: 'windows-1252', bom: false };
+    }
+  }
+
+  /**
+   * Decide whether the first row is a header by comparing each of its fields
+   * with the values below it. Text over a numeric or date column is a header;
+   * a value of the same kind counts against one, except numbers far outside
+   * the column's range (years over amounts, e.g. region,2021,2022). Without
+   * evidence either way, a row with any text is taken as the header.
+   * @param {Array} fields - Fields of the candidate header row
+   * @param {Array} rows - Fields of the data rows below it
+   * @returns {Boolean}
+   */
+  static detectHeader(fields, rows) {
+    const kindOf = value => {
+      if (value === '') return null;
+      if (!isNaN(Number(value))) return 'number';
+      return this.isValidDate(value) ? 'date' : 'text';
+    };
+    const headerValues = fields.map(field => field.trim());
+    if (rows.length === 0) {
+      return !headerValues.some(value => ['number', 'date'].includes(kindOf(value)));
+    }
+
+    let score = 0;
+    headerValues.forEach((value, index) => {
+      const headerKind = kindOf(value);
+      if (headerKind === null) return;
+
+      const values = rows.map(row => (row[index] || '').trim()).filter(item => item !== '');
+      const kinds = new Set(values.map(kindOf));
+      if (kinds.size !== 1) return;
+      const [columnKind] = kinds;
+
+      if (columnKind === 'text') {
+        if (headerKind !== 'text') score--;
+      } else if (headerKind === 'text') {
+        score++;
+      } else if (headerKind === 'number' && columnKind === 'number') {
+        const numbers = values.map(Number);
+        const min = Math.min(...numbers);
+        const max = Math.max(...numbers);
+        const span = max - min;
+        const number = Number(value);
+        if (number >= min - span && number <= max + span) score--;
+      } else {
+        score--;
+      }
+    });
+
+    return score > 0 || (score === 0 && headerValues.some(value => kindOf(value) === 'text'));
+  }
+
+  /**
+   * Pick the quote character: single quotes only when they wrap fields and double quotes never appear
+   */
+  static detectQuote(lines) {
+    const text = lines.join('\n');
+    if (text.includes('"')) return '"';
+    const singleQuoted = text.match(/(^|[,;\t|])'[^'\n]*'(?=[,;\t|]|$)/gm);
+    return singleQuoted && singleQuoted.length >= 2 ? "'" : '"';
+  }
+
+  /**
+   * Pick the candidate delimiter that splits the most lines into the same number of fields
+   */
+  static detectDelimiter(lines, quote) {
+    const nonEmpty = lines.filter(line => line.trim() !== '');
+    let best = { delimiter: ',', consistency: 0, fields: 1 };
+
+    DELIMITER_CANDIDATES.forEach(delimiter => {
+      const counts = nonEmpty.map(line => this.splitLine(line, delimiter, quote).length);
+      const fields = this.modeOf(counts);
+      if (!fields || fields < 2) return;
+
+      const consistency = counts.filter(count => count === fields).length / counts.length;
+      if (consistency > best.consistency || (consistency === best.consistency && fields > best.fields)) {
+        best = { delimiter, consistency, fields };
+      }
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * Split one line into fields, honouring quoted sections
+   */
+  static splitLine(line, delimiter, quote) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === quote) {
+        if (inQuotes && line[i + 1] === quote) {
+          current += quote;
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === delimiter && !inQuotes) {
+        fields.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current);
+    return fields;
+  }
+
+  /**
+   * Most frequent value of a list of numbers, preferring the larger on ties
+   */
+  static modeOf(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    let mode = null;
+    let modeCount = 0;
+    counts.forEach((count, value) => {
+      if (count > modeCount || (count === modeCount && value > mode)) {
+        mode = value;
+        modeCount = count;
+      }
     });
+    return mode;
   }
 
-  static async processExcel(filePath) {
+  /**
+   * Transform stream that decodes bytes in the given encoding into UTF-8 text,
+   * dropping any byte order mark
+   */
+  static createDecodeStream(encoding) {
+    const decoder = new TextDecoder(encoding);
+    return new Transform({
+      transform(chunk, _encoding, callback) {
+        callback(null, decoder.decode(chunk, { stream: true }));
+      },
+      flush(callback) {
+        callback(null, decoder.decode());
+      }
+    });
+  }
+
+  /**
+   * Parse a JSON document holding an array of records, handing flattened rows to `onRows`
+   * @param {String|Buffer} source - File path or in-memory file contents
+   * @param {Object} options - { onRows, batchSize, arrayStrategy, recordPath }
+   *   recordPath is a dotted path to the record array inside a wrapping object;
+   *   without it the top-level array, or the first array of objects found, is used
+   * @returns {Object} { columns, rowCount, data } - `data` is only collected when no `onRows` is given
+   */
+  static async processJSON(source, options = {}) {
+    const { onRows, batchSize = DEFAULT_BATCH_SIZE, recordPath } = options;
+    const arrayStrategy = this.normalizeArrayStrategy(options.arrayStrategy);
+    console.log('Processing JSON file:', Buffer.isBuffer(source) ? `<buffer ${source.length} bytes>` : source);
+
+    const text = await this.readText(source);
+    let document;
     try {
-      console.log('Processing Excel file at path:', filePath);
-      
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const records = this.findRecords(document, recordPath);
+    const collector = this.createRowCollector(onRows, batchSize);
+    for (const record of records) {
+      for (const row of this.flattenRecord(record, arrayStrategy)) {
+        await collector.add(row);
+      }
+    }
+    await collector.finish();
+
+    return this.dropParentColumns(collector.result());
+  }
+
+  /**
+   * Parse newline-delimited JSON (one record per line), handing flattened rows to `onRows`
+   * @param {String|Buffer} source - File path or in-memory file contents
+   * @param {Object} options - { onRows, batchSize, arrayStrategy }
+   * @returns {Object} { columns, rowCount, data } - `data` is only collected when no `onRows` is given
+   */
+  static async processNDJSON(source, options = {}) {
+    const { onRows, batchSize = DEFAULT_BATCH_SIZE } = options;
+    const arrayStrategy = this.normalizeArrayStrategy(options.arrayStrategy);
+    console.log('Processing NDJSON file:', Buffer.isBuffer(source) ? `<buffer ${source.length} bytes>` : source);
+
+    const { encoding } = this.detectEncoding(await this.readSample(source));
+    const lines = readline.createInterface({
+      input: this.createSourceStream(source).pipe(this.createDecodeStream(encoding)),
+      crlfDelay: Infinity
+    });
+    const collector = this.createRowCollector(onRows, batchSize);
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+      for (const row of this.flattenRecord(record, arrayStrategy)) {
+        await collector.add(row);
+      }
+    }
+    await collector.finish();
+
+    return this.dropParentColumns(collector.result());
+  }
+
+  /**
+   * Read a whole file path or buffer as text in its detected encoding
+   */
+  static async readText(source) {
+    let buffer = source;
+    if (!Buffer.isBuffer(source)) {
       // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        console.error('File does not exist:', filePath);
-        throw new Error(`File does not exist: ${filePath}`);
-      }
-      
-      const workbook = XLSX.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON
-      const jsonData = XLSX.utils.sheet_to_json(worksheet);
-      
-      if (jsonData.length === 0) {
+      if (!fs.existsSync(source)) {
+        console.error('File does not exist:', source);
+        throw new Error(`File does not exist: ${source}`);
+      }
+      buffer = await fs.promises.readFile(source);
+    }
+    const { encoding } = this.detectEncoding(buffer.subarray(0, SNIFF_BYTES));
+    return new TextDecoder(encoding).decode(buffer);
+  }
+
+  /**
+   * Locate the array of records in a parsed JSON document
+   */
+  static findRecords(document, recordPath) {
+    if (recordPath) {
+      const records = String(recordPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+      if (!Array.isArray(records)) {
+        throw new Error(`"${recordPath}" is not an array in the JSON document`);
+      }
+      return records;
+    }
+
+    if (Array.isArray(document)) return document;
+    if (this.isPlainObject(document)) {
+      // API responses usually wrap the records, e.g. { data: [...], meta: {...} }
+      const wrapped = Object.values(document).find(value => Array.isArray(value) && value.some(item => this.isPlainObject(item)));
+      return wrapped || [document];
+    }
+    throw new Error('JSON file must contain an array of records or an object');
+  }
+
+  /**
+   * A null or empty nested value yields a column named after its parent
+   * ("user") next to the flattened ones ("user.name"); drop those parents
+   */
+  static dropParentColumns(result) {
+    const names = result.columns.map(col => col.name);
+    result.columns = result.columns.filter(col => !names.some(name => name.startsWith(`${col.name}.`)));
+    return result;
+  }
+
+  static normalizeArrayStrategy(strategy) {
+    if (!strategy) return 'stringify';
+    if (!ARRAY_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unsupported array strategy "${strategy}". Use one of: ${ARRAY_STRATEGIES.join(', ')}`);
+    }
+    return strategy;
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Flatten a JSON record into rows with dotted column names.
+   * Arrays are stringified, replaced by their first element, or exploded into
+   * one row per element, depending on `arrayStrategy`.
+   * @param {*} record - Parsed JSON value
+   * @param {String} arrayStrategy - stringify, explode or first
+   * @param {String} prefix - Column name prefix for nested values
+   * @returns {Array} Flat row objects
+   */
+  static flattenRecord(record, arrayStrategy = 'stringify', prefix = '') {
+    if (!this.isPlainObject(record)) {
+      return this.flattenValue(record, arrayStrategy, prefix || 'value');
+    }
+
+    let rows = [{}];
+    for (const [key, value] of Object.entries(record)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+      const valueRows = this.flattenValue(value, arrayStrategy, name);
+
+      if (valueRows.length === 1) {
+        rows.forEach(row => Object.assign(row, valueRows[0]));
+      } else {
+        // Exploded arrays multiply the rows built so far
+        rows = rows.flatMap(row => valueRows.map(valueRow => ({ ...row, ...valueRow })));
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Flatten a single JSON value stored under column `name`
+   */
+  static flattenValue(value, arrayStrategy, name) {
+    if (this.isPlainObject(value)) {
+      const rows = this.flattenRecord(value, arrayStrategy, name);
+      return Object.keys(rows[0]).length > 0 ? rows : [{ [name]: null }];
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return [{ [name]: null }];
+      if (arrayStrategy === 'first') {
+        return this.flattenValue(value[0], arrayStrategy, name);
+      }
+      if (arrayStrategy === 'explode') {
+        return value.flatMap(item => (Array.isArray(item)
+          ? [{ [name]: JSON.stringify(item) }]
+          : this.flattenValue(item, arrayStrategy, name)));
+      }
+      return [{ [name]: JSON.stringify(value) }];
+    }
+
+    return [{ [name]: value === undefined ? null : value }];
+  }
+
+  /**
+   * Parse one sheet of an Excel workbook, handing rows to `onRows` in batches
+   * @param {String|Buffer} source - File path or in-memory file contents
+   * @param {Object} options - { onRows, batchSize, sheetName, headerRow, headerRowCount }
+   * @returns {Object} { columns, rowCount, data } - `data` is only collected when no `onRows` is given
+   */
+  static async processExcel(source, options = {}) {
+    try {
+      console.log('Processing Excel file:', Buffer.isBuffer(source) ? `<buffer ${source.length} bytes>` : source);
+
+      const workbook = this.readWorkbook(source);
+      const sheetName = options.sheetName || workbook.SheetNames[0];
+      const result = await this.processSheet(workbook, sheetName, options);
+
+      if (result.rowCount === 0) {
         throw new Error('Excel file is empty or has no data');
       }
-      
-      // Get columns
-      const columns = Object.keys(jsonData[0]).map(col => ({
-        name: col,
-        type: this.detectColumnType(jsonData, col)
-      }));
-      
-      return {
-        data: jsonData,
-        columns: columns,
-        rowCount: jsonData.length
-      };
+      return result;
     } catch (error) {
       throw new Error(`Error processing Excel file: ${error.message}`);
     }
   }
 
-  static detectColumnType(data, columnName) {
-    if (!data || data.length === 0) return 'string';
-    
-    const sampleSize = Math.min(10, data.length);
-    const sample = data.slice(0, sampleSize);
-    
-    let numberCount = 0;
-    let dateCount = 0;
-    let booleanCount = 0;
-    
-    for (const row of sample) {
-      const value = row[columnName];
-      if (value === null || value === undefined || value === '') continue;
-      
-      // Check for number
-      if (!isNaN(Number(value)) && !isNaN(parseFloat(value))) {
-        numberCount++;
+  /**
+   * Load an Excel workbook from a file path or buffer
+   */
+  static readWorkbook(source) {
+    if (Buffer.isBuffer(source)) {
+      return XLSX.read(source, { type: 'buffer' });
+    }
+
+    // Check if file exists
+    if (!fs.existsSync(source)) {
+      console.error('File does not exist:', source);
+      throw new Error(`File does not exist: ${source}`);
+    }
+    return XLSX.readFile(source);
+  }
+
+  /**
+   * Resolve requested sheets to sheet names
+   * @param {Object} workbook - Parsed workbook
+   * @param {String|Array} requested - Names or zero-based indexes, as an array,
+   *   a JSON array string or a comma separated string; empty selects every sheet
+   * @returns {Array} Sheet names
+   */
+  static selectSheets(workbook, requested) {
+    if (requested === undefined || requested === null || requested === '') {
+      return [...workbook.SheetNames];
+    }
+
+    let list = requested;
+    if (typeof requested === 'string') {
+      try {
+        list = JSON.parse(requested);
+      } catch (error) {
+        list = requested.split(',');
       }
-      // Check for date
-      else if (this.isValidDate(value)) {
-        dateCount++;
+    }
+    if (!Array.isArray(list)) list = [list];
+
+    return list.map(item => {
+      const name = typeof item === 'string' ? item.trim() : item;
+      if (workbook.SheetNames.includes(name)) return name;
+
+      const index = Number(name);
+      if (Number.isInteger(index) && workbook.SheetNames[index]) {
+        return workbook.SheetNames[index];
       }
-      // Check for boolean
-      else if (typeof value === 'boolean' || value.toLowerCase() === 'true' || value.toLowerCase() === 'false') {
-        booleanCount++;
+      throw new Error(`Sheet "${name}" not found. Available sheets: ${workbook.SheetNames.join(', ')}`);
+    });
+  }
+
+  /**
+   * Parse a single worksheet into rows keyed by its header
+   * @param {Object} workbook - Parsed workbook
+   * @param {String} sheetName - Sheet to read
+   * @param {Object} options - { onRows, batchSize, headerRow, headerRowCount }
+   *   headerRow is the 1-based sheet row of the (first) header row and is
+   *   detected when omitted; headerRowCount > 1 joins stacked header rows and
+   *   defaults to 2 when the header row has cells merged across columns
+   * @returns {Object} { columns, rowCount, headerRow, data }
+   */
+  static async processSheet(workbook, sheetName, options = {}) {
+    const { onRows, batchSize = DEFAULT_BATCH_SIZE } = options;
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheetName}" not found`);
+    }
+
+    const collector = this.createRowCollector(onRows, batchSize);
+    if (!worksheet['!ref']) {
+      await collector.finish();
+      return { ...collector.result(), headerRow: null };
+    }
+
+    // Rows as arrays; blank rows are kept so indexes line up with sheet rows
+    const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+    const grid = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, blankrows: true });
+
+    const merges = worksheet['!merges'] || [];
+    this.fillMergedCells(grid, merges, firstRow);
+
+    const headerIndex = options.headerRow
+      ? parseInt(options.headerRow, 10) - 1 - firstRow
+      : this.detectHeaderRow(grid);
+
+    if (!(headerIndex >= 0) || headerIndex >= grid.length) {
+      throw new Error(`Header row ${options.headerRow} is outside the data of sheet "${sheetName}"`);
+    }
+
+    // A header cell merged across columns is a group label over a second header row
+    const hasGroupedHeader = merges.some(({ s: start, e: end }) => start.r === firstRow + headerIndex && end.c > start.c);
+    const headerRowCount = Math.max(parseInt(options.headerRowCount, 10) || (hasGroupedHeader ? 2 : 1), 1);
+
+    const headers = this.buildHeaders(grid.slice(headerIndex, headerIndex + headerRowCount));
+
+    for (const cells of grid.slice(headerIndex + headerRowCount)) {
+      if (!cells || cells.every(cell => cell === null || cell === '')) continue;
+
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = cells[index] === undefined ? null : cells[index];
+      });
+      await collector.add(row);
+    }
+    await collector.finish();
+
+    return { ...collector.result(), headerRow: firstRow + headerIndex + 1 };
+  }
+
+  /**
+   * Copy the value of merged ranges into every cell they cover
+   */
+  static fillMergedCells(grid, merges, firstRow) {
+    merges.forEach(({ s: start, e: end }) => {
+      const value = grid[start.r - firstRow]?.[start.c];
+      if (value === undefined || value === null) return;
+
+      for (let r = start.r; r <= end.r; r++) {
+        const cells = grid[r - firstRow];
+        if (!cells) continue;
+        for (let c = start.c; c <= end.c; c++) {
+          cells[c] = value;
+        }
       }
+    });
+  }
+
+  /**
+   * Guess the header row index: the first of the leading rows that is nearly
+   * as wide as the widest one and made up mostly of text, skipping title or
+   * note lines above the table
+   */
+  static detectHeaderRow(grid) {
+    const candidates = grid.slice(0, HEADER_SCAN_ROWS);
+    const filled = cells => (cells || []).filter(cell => cell !== null && cell !== '');
+    const maxWidth = Math.max(0, ...candidates.map(cells => filled(cells).length));
+    if (maxWidth === 0) return 0;
+
+    const index = candidates.findIndex(cells => {
+      const values = filled(cells);
+      const textCount = values.filter(cell => typeof cell === 'string' && isNaN(Number(cell))).length;
+      return values.length >= maxWidth * 0.5 && values.length > 0 && textCount / values.length >= 0.5;
+    });
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Build unique column names from one or more header rows
+   */
+  static buildHeaders(headerRows) {
+    const width = Math.max(0, ...headerRows.map(cells => (cells || []).length));
+    const seen = new Map();
+    const headers = [];
+
+    for (let c = 0; c < width; c++) {
+      const parts = [];
+      headerRows.forEach(cells => {
+        const cell = cells ? cells[c] : null;
+        if (cell === null || cell === undefined || cell === '') return;
+        const text = String(cell).trim();
+        // Merged parents repeat across their children; keep each level once
+        if (text && parts[parts.length - 1] !== text) parts.push(text);
+      });
+
+      let name = parts.length > 0 ? parts.join(' - ') : `Column ${c + 1}`;
+      const count = seen.get(name) || 0;
+      seen.set(name, count + 1);
+      if (count > 0) name = `${name} (${count + 1})`;
+      headers.push(name);
     }
-    
-    const totalValid = sampleSize - (sampleSize - numberCount - dateCount - booleanCount);
-    
-    if (numberCount / totalValid > 0.7) return 'number';
-    if (dateCount / totalValid > 0.7) return 'date';
-    if (booleanCount / totalValid > 0.7) return 'boolean';
-    return 'string';
+
+    return headers;
+  }
+
+  /**
+   * Open a readable stream over a file path or buffer
+   */
+  static createSourceStream(source) {
+    if (Buffer.isBuffer(source)) {
+      return Readable.from([source]);
+    }
+
+    // Check if file exists
+    if (!fs.existsSync(source)) {
+      console.error('File does not exist:', source);
+      throw new Error(`File does not exist: ${source}`);
+    }
+    return fs.createReadStream(source);
+  }
+
+  /**
+   * Accumulate parsed rows: batches go to `onRows`, and every value is fed to
+   * a per-column type profile so the full file never has to stay in memory
+   */
+  static createRowCollector(onRows, batchSize) {
+    const profiles = new Map();
+    const data = [];
+    let batch = [];
+    let rowCount = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const rows = batch;
+      batch = [];
+      await onRows(rows);
+    };
+
+    return {
+      async add(row) {
+        // Track all column names and profile their values
+        Object.entries(row).forEach(([key, value]) => {
+          if (!profiles.has(key)) profiles.set(key, TypeInference.createProfile());
+          TypeInference.addValue(profiles.get(key), value);
+        });
+        rowCount++;
+
+        if (!onRows) {
+          data.push(row);
+          return;
+        }
+        batch.push(row);
+        if (batch.length >= batchSize) await flush();
+      },
+      async finish() {
+        if (onRows) await flush();
+      },
+      result() {
+        const processedData = {
+          columns: Array.from(profiles.entries()).map(([name, profile]) => ({
+            name,
+            ...TypeInference.finalize(profile, rowCount)
+          })),
+          rowCount
+        };
+        if (!onRows) processedData.data = data;
+        return processedData;
+      }
+    };
+  }
+
+  /**
+   * Detect the base type of a column over all of its values
+   * @param {Array} data - Array of row objects
+   * @param {String} columnName - Column to inspect
+   * @returns {String} number, date, boolean or string
+   */
+  static detectColumnType(data, columnName) {
+    if (!data || data.length === 0) return 'string';
+    return TypeInference.inferValues(data.map(row => row[columnName])).type;
   }
 
   static isValidDate(dateString) {
@@ -130,9 +818,38 @@ class FileProcessor {
     return date instanceof Date && !isNaN(date);
   }
 
+  /**
+   * Convert a raw stored value to the JavaScript value of its column type
+   * @param {*} value - Raw value as parsed from the file
+   * @param {String} type - Column type from FileData.columns
+   * @param {Object} format - Column format from FileData.columns (number separators, currency)
+   * @returns {*} Number, Date, Boolean or String; null when empty or not convertible
+   */
+  static coerceValue(value, type, format) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (type) {
+      case 'number':
+        return TypeInference.parseNumber(value, format || {});
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+      }
+      case 'boolean': {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        return null;
+      }
+      default:
+        return String(value);
+    }
+  }
+
   static getFileType(fileName) {
     const ext = fileName.split('.').pop().toLowerCase();
-    return ext;
+    return FILE_TYPE_ALIASES[ext] || ext;
   }
 
   static async cleanupFile(filePath) {
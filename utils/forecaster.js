@@ -0,0 +1,484 @@
+const Statistics = require('./statistics');
+const TimeSeries = require('./timeSeries');
+const Aggregator = require('./aggregator');
+const { QueryError } = require('./rowQuery');
+
+const { formatNumber } = Statistics;
+
+const METHODS = ['naive', 'seasonalNaive', 'ses', 'holt', 'holtWinters', 'linear'];
+// Smallest series each method can be fitted to; seasonal ones also need the period
+const MIN_LENGTH = {
+  naive: () => 2,
+  seasonalNaive: period => period + 1,
+  ses: () => 3,
+  holt: () => 4,
+  holtWinters: period => 2 * period,
+  linear: () => 3
+};
+const DEFAULT_HORIZONS = { day: 14, week: 8, month: 6, quarter: 4, year: 3 };
+const MAX_HORIZON = 365;
+const MIN_PERIODS = 4;
+const DEFAULT_LEVEL = 95;
+// Smoothing parameters are picked from this grid by one-step squared error
+const SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95];
+// Autocorrelation a lag needs (after removing the trend) to count as a season
+const MIN_SEASONAL_ACF = 0.3;
+// Forecasts kept on a file for the AI chat
+const MAX_STORED_FORECASTS = 5;
+const MAX_PROMPT_POINTS = 12;
+
+/**
+ * Classical forecasting over a resampled series (see TimeSeries.resample):
+ *
+ * - naive: the last value
+ * - seasonalNaive: the value one season earlier
+ * - ses: simple exponential smoothing (level only)
+ * - holt: Holt's linear method (level and trend)
+ * - holtWinters: additive Holt-Winters (level, trend and season)
+ * - linear: least-squares trend over the period index
+ *
+ * Every eligible method is backtested on the last periods of the series; with
+ * method 'auto' the one with the lowest MAE is used. A requested method only
+ * needs enough periods to be fitted, its backtest shrinking to fit. Prediction intervals
+ * assume normally distributed one-step errors.
+ */
+class Forecaster {
+  /**
+   * Detect the season length from the autocorrelation of the detrended series
+   * @param {Array} values - Series without gaps
+   * @returns {Object} { period, strength } with period null when no season stands out
+   */
+  static detectSeasonality(values) {
+    const n = values.length;
+    const fit = Statistics.linearFit(values.map((value, index) => index), values);
+    const residuals = fit ? values.map((value, index) => value - (fit.intercept + fit.slope * index)) : values;
+    const maxLag = Math.floor(n / 2);
+    if (maxLag < 2) return { period: null, strength: null };
+
+    const acf = [1];
+    for (let lag = 1; lag <= maxLag + 1; lag++) acf.push(this.autocorrelation(residuals, lag));
+
+    let best = null;
+    for (let lag = 2; lag <= maxLag; lag++) {
+      const isPeak = acf[lag] >= acf[lag - 1] && (lag === maxLag || acf[lag] >= acf[lag + 1]);
+      if (isPeak && acf[lag] >= MIN_SEASONAL_ACF && (!best || acf[lag] > best.strength)) {
+        best = { period: lag, strength: acf[lag] };
+      }
+    }
+    return best || { period: null, strength: null };
+  }
+
+  /**
+   * Sample autocorrelation at a lag
+   */
+  static autocorrelation(values, lag) {
+    const n = values.length;
+    if (lag >= n) return 0;
+    const mean = Statistics.mean(values);
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < n; i++) {
+      const deviation = values[i] - mean;
+      denominator += deviation * deviation;
+      if (i >= lag) numerator += deviation * (values[i - lag] - mean);
+    }
+    return denominator > 0 ? numerator / denominator : 0;
+  }
+
+  /**
+   * Fit a method to a series
+   * @param {Array} values - Series without gaps
+   * @param {String} method - One of METHODS
+   * @param {Number} period - Season length, for the seasonal methods
+   * @returns {Object} { params, fitted, sigma, forecast(horizon), spread(h) } where
+   *   fitted holds the one-step prediction of each value (null where there is none)
+   *   and spread(h) scales sigma to the standard error h steps ahead
+   */
+  static fit(values, method, period) {
+    const n = values.length;
+
+    if (method === 'naive') {
+      const last = values[n - 1];
+      return this.withErrors(values, {
+        params: {},
+        fitted: values.map((value, index) => (index > 0 ? values[index - 1] : null)),
+        forecast: horizon => Array(horizon).fill(last),
+        spread: h => Math.sqrt(h)
+      });
+    }
+
+    if (method === 'seasonalNaive') {
+      return this.withErrors(values, {
+        params: { period },
+        fitted: values.map((value, index) => (index >= period ? values[index - period] : null)),
+        forecast: horizon => Array.from({ length: horizon }, (_, h) => values[n - period + (h % period)]),
+        spread: h => Math.sqrt(Math.floor((h - 1) / period) + 1)
+      });
+    }
+
+    if (method === 'linear') {
+      const fit = Statistics.linearFit(values.map((value, index) => index), values);
+      const meanX = (n - 1) / 2;
+      const sumSquaresX = (n * (n * n - 1)) / 12;
+      let squares = 0;
+      values.forEach((value, index) => {
+        squares += (value - (fit.intercept + fit.slope * index)) ** 2;
+      });
+      return {
+        params: { slope: fit.slope, intercept: fit.intercept, rSquared: fit.rSquared },
+        fitted: values.map((value, index) => fit.intercept + fit.slope * index),
+        sigma: Math.sqrt(squares / (n - 2)),
+        forecast: horizon => Array.from({ length: horizon }, (_, h) => fit.intercept + fit.slope * (n + h)),
+        spread: h => Math.sqrt(1 + 1 / n + ((n - 1 + h - meanX) ** 2) / sumSquaresX)
+      };
+    }
+
+    // Exponential smoothing: pick the parameters with the lowest one-step error
+    const grids = {
+      ses: SMOOTHING_GRID.map(alpha => ({ alpha })),
+      holt: SMOOTHING_GRID.flatMap(alpha => SMOOTHING_GRID.map(beta => ({ alpha, beta }))),
+      holtWinters: SMOOTHING_GRID.flatMap(alpha => SMOOTHING_GRID.flatMap(beta => SMOOTHING_GRID.map(gamma => ({ alpha, beta, gamma }))))
+    };
+    let best = null;
+    grids[method].forEach(params => {
+      const state = this.smooth(values, method, params, period);
+      if (!best || state.squares < best.squares) best = { ...state, params };
+    });
+
+    const { alpha, beta = 0, gamma = 0 } = best.params;
+    return this.withErrors(values, {
+      params: method === 'holtWinters' ? { ...best.params, period } : best.params,
+      fitted: best.fitted,
+      forecast: best.forecast,
+      // Standard error multipliers of the additive ETS models
+      spread: h => {
+        const k = method === 'holtWinters' ? Math.floor((h - 1) / period) : 0;
+        return Math.sqrt(
+          1 +
+          (h - 1) * (alpha * alpha + alpha * beta * h + (beta * beta * h * (2 * h - 1)) / 6) +
+          gamma * k * (2 * alpha + gamma + beta * period * (k + 1))
+        );
+      }
+    });
+  }
+
+  /**
+   * Run exponential smoothing with fixed parameters
+   * @returns {Object} { fitted, squares, forecast(horizon) }
+   */
+  static smooth(values, method, { alpha, beta, gamma }, period) {
+    const n = values.length;
+    const fitted = Array(n).fill(null);
+    let level;
+    let trend = 0;
+    let season = null;
+    let start;
+
+    if (method === 'holtWinters') {
+      const firstMean = Statistics.mean(values.slice(0, period));
+      const secondMean = Statistics.mean(values.slice(period, 2 * period));
+      level = firstMean;
+      trend = (secondMean - firstMean) / period;
+      season = values.slice(0, period).map(value => value - firstMean);
+      start = period;
+    } else if (method === 'holt') {
+      level = values[0];
+      trend = values[1] - values[0];
+      start = 1;
+    } else {
+      level = values[0];
+      start = 1;
+    }
+
+    let squares = 0;
+    for (let t = start; t < n; t++) {
+      const seasonal = season ? season[t % period] : 0;
+      fitted[t] = level + trend + seasonal;
+      squares += (values[t] - fitted[t]) ** 2;
+
+      const previousLevel = level;
+      level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+      if (method !== 'ses') trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      if (season) season[t % period] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+    }
+
+    return {
+      fitted,
+      squares,
+      forecast: horizon => Array.from({ length: horizon }, (_, h) => (
+        level + (h + 1) * trend + (season ? season[(n + h) % period] : 0)
+      ))
+    };
+  }
+
+  /**
+   * Attach sigma, the standard deviation of the one-step errors
+   */
+  static withErrors(values, model) {
+    let squares = 0;
+    let count = 0;
+    model.fitted.forEach((fitted, index) => {
+      if (fitted === null) return;
+      squares += (values[index] - fitted) ** 2;
+      count++;
+    });
+    return { ...model, sigma: count > 0 ? Math.sqrt(squares / count) : null };
+  }
+
+  /**
+   * Forecast error metrics; MAPE leaves out actual values of 0
+   */
+  static errorMetrics(actual, predicted) {
+    let absolute = 0;
+    let squares = 0;
+    let percent = 0;
+    let percentCount = 0;
+    actual.forEach((value, index) => {
+      const error = value - predicted[index];
+      absolute += Math.abs(error);
+      squares += error * error;
+      if (value !== 0) {
+        percent += Math.abs(error / value);
+        percentCount++;
+      }
+    });
+    return {
+      mae: absolute / actual.length,
+      mape: percentCount > 0 ? (percent / percentCount) * 100 : null,
+      rmse: Math.sqrt(squares / actual.length)
+    };
+  }
+
+  /**
+   * Fit and backtest the requested (or every eligible) method and forecast ahead
+   * @param {Array} values - Series without gaps
+   * @param {Object} options - { method, horizon, level, period }
+   * @returns {Object} { method, params, sigma, backtest (null when the series is too
+   *   short to hold any periods out), comparison, skipped, fitted, forecast }
+   */
+  static forecastValues(values, { method = 'auto', horizon, level = DEFAULT_LEVEL, period = null }) {
+    const n = values.length;
+    const explicit = method !== 'auto';
+    const missingSeason = name => (name === 'seasonalNaive' || name === 'holtWinters') && !period;
+    let holdout = Math.max(1, Math.min(horizon, Math.floor(n / 4)));
+    if (explicit && !missingSeason(method)) {
+      // A requested method is fitted to the full series: its backtest shrinks
+      // to the periods the series can spare and is left out when there are none
+      holdout = Math.max(0, Math.min(holdout, n - MIN_LENGTH[method](period)));
+    }
+    const training = values.slice(0, n - holdout);
+    const candidates = explicit ? [method] : METHODS;
+
+    const skipped = [];
+    const comparison = [];
+    candidates.forEach(name => {
+      if (missingSeason(name)) {
+        skipped.push({ method: name, reason: 'no seasonality detected' });
+        return;
+      }
+      if (training.length < MIN_LENGTH[name](period)) {
+        skipped.push({ method: name, reason: `needs at least ${MIN_LENGTH[name](period) + holdout} periods` });
+        return;
+      }
+      if (holdout === 0) return;
+      const predicted = this.fit(training, name, period).forecast(holdout);
+      comparison.push({ method: name, ...this.errorMetrics(values.slice(n - holdout), predicted) });
+    });
+
+    if (skipped.length === candidates.length) {
+      throw new QueryError(`Cannot forecast with ${method}: ${skipped.map(item => `${item.method} ${item.reason}`).join('; ')}`);
+    }
+    comparison.sort((a, b) => a.mae - b.mae);
+
+    const chosen = explicit ? method : comparison[0].method;
+    const model = this.fit(values, chosen, period);
+    const z = Statistics.normalQuantile(0.5 + level / 200);
+    const forecast = model.forecast(horizon).map((value, index) => {
+      const margin = model.sigma !== null ? z * model.sigma * model.spread(index + 1) : null;
+      return {
+        value,
+        lower: margin !== null ? value - margin : null,
+        upper: margin !== null ? value + margin : null
+      };
+    });
+
+    return {
+      method: chosen,
+      params: model.params,
+      sigma: model.sigma,
+      backtest: comparison.length > 0 ? { holdout, ...comparison[0] } : null,
+      comparison,
+      skipped,
+      fitted: model.fitted,
+      forecast
+    };
+  }
+
+  /**
+   * Forecast a measure of a file over time
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { dateColumn, value, fn, frequency, horizon, method, level, seasonLength, fill, filters }
+   * @returns {Object} { dateColumn, series, frequency, method, seasonality, history, backtest, comparison, forecast, ... }
+   */
+  static async run(fileData, options = {}) {
+    const method = options.method || 'auto';
+    if (method !== 'auto' && !METHODS.includes(method)) {
+      throw new QueryError(`Unsupported method "${method}". Use auto or one of: ${METHODS.join(', ')}`);
+    }
+    const level = options.level !== undefined ? Number(options.level) : DEFAULT_LEVEL;
+    if (!(level > 0 && level < 100)) {
+      throw new QueryError('Level must be a percentage between 0 and 100');
+    }
+
+    const frequency = options.frequency || 'month';
+    const horizon = options.horizon !== undefined ? parseInt(options.horizon, 10) : DEFAULT_HORIZONS[frequency];
+    if (!(horizon >= 1 && horizon <= MAX_HORIZON)) {
+      throw new QueryError(`Horizon must be between 1 and ${MAX_HORIZON} periods`);
+    }
+
+    // Averages and extremes of empty periods are unknown, so interpolate them;
+    // counts and sums of empty periods are 0
+    const fn = options.fn || 'sum';
+    const fill = options.fill || (['avg', 'min', 'max', 'median'].includes(fn) ? 'linear' : 'zero');
+    const resampled = await TimeSeries.resample(fileData, {
+      dateColumn: options.dateColumn,
+      values: options.value ? [options.value] : [],
+      frequency,
+      fn,
+      fill,
+      filters: options.filters
+    });
+
+    const series = resampled.series[0];
+    const points = series ? series.points : [];
+    if (points.length < MIN_PERIODS) {
+      throw new QueryError(`At least ${MIN_PERIODS} ${frequency} periods are needed to forecast, found ${points.length}`);
+    }
+    if (points.some(point => point.value === null)) {
+      throw new QueryError('Forecasting needs a value for every period; use fill zero, previous or linear');
+    }
+    const values = points.map(point => point.value);
+
+    let seasonality;
+    if (options.seasonLength !== undefined) {
+      const period = parseInt(options.seasonLength, 10);
+      if (!(period >= 0)) {
+        throw new QueryError('Season length must be a whole number of periods (0 for none)');
+      }
+      seasonality = { period: period >= 2 ? period : null, strength: null, source: 'requested' };
+    } else {
+      seasonality = { ...this.detectSeasonality(values), source: 'detected' };
+    }
+
+    const result = this.forecastValues(values, { method, horizon, level, period: seasonality.period });
+
+    const forecast = [];
+    let start = new Date(points[points.length - 1].start).getTime();
+    result.forecast.forEach(point => {
+      start = TimeSeries.nextPeriod(start, frequency);
+      forecast.push({
+        period: Aggregator.bucketDate(new Date(start), frequency),
+        start: new Date(start).toISOString(),
+        ...point
+      });
+    });
+
+    return {
+      dateColumn: resampled.dateColumn,
+      series: series.name,
+      column: series.column,
+      fn: series.fn,
+      frequency,
+      fill: series.fill,
+      horizon,
+      level,
+      method: result.method,
+      selection: method === 'auto' ? 'auto' : 'requested',
+      params: result.params,
+      seasonality,
+      history: {
+        rowCount: resampled.rowCount,
+        periodCount: points.length,
+        start: resampled.start,
+        end: resampled.end,
+        points: points.map((point, index) => ({
+          period: point.period,
+          start: point.start,
+          value: point.value,
+          fitted: result.fitted[index]
+        }))
+      },
+      sigma: result.sigma,
+      backtest: result.backtest,
+      comparison: result.comparison,
+      skipped: result.skipped,
+      forecast
+    };
+  }
+
+  /**
+   * Key identifying what a forecast was computed for, so a newer forecast of
+   * the same series replaces the stored one
+   */
+  static keyOf(result, filters) {
+    return JSON.stringify([result.dateColumn, result.series, result.frequency, filters || null]);
+  }
+
+  /**
+   * Add a forecast to the ones kept on a file for the AI chat, newest first
+   * @param {Array} stored - FileData.forecasts
+   * @param {Object} result - Result of run()
+   * @param {Array} filters - Filters the forecast was run with
+   * @returns {Array} Updated list
+   */
+  static remember(stored, result, filters) {
+    const key = this.keyOf(result, filters);
+    const entry = {
+      key,
+      createdAt: new Date().toISOString(),
+      dateColumn: result.dateColumn,
+      series: result.series,
+      frequency: result.frequency,
+      filters: filters || null,
+      method: result.method,
+      level: result.level,
+      seasonality: result.seasonality.period,
+      backtest: result.backtest,
+      lastPeriod: result.history.points[result.history.points.length - 1],
+      forecast: result.forecast
+    };
+    return [entry, ...(stored || []).filter(item => item.key !== key)].slice(0, MAX_STORED_FORECASTS);
+  }
+
+  /**
+   * Format stored forecasts for AI prompts
+   * @param {Array} stored - FileData.forecasts
+   * @returns {String} Empty when there are none
+   */
+  static formatForAI(stored) {
+    if (!stored || stored.length === 0) return '';
+
+    let text = 'Forecasts (computed from the full dataset):\n';
+    stored.forEach(item => {
+      const filtered = item.filters && item.filters.length > 0 ? `, filtered by ${JSON.stringify(item.filters)}` : '';
+      const season = item.seasonality ? `, season of ${item.seasonality} periods` : '';
+      text += `\n${item.series} by ${item.frequency} of "${item.dateColumn}"${filtered} - ${item.method}${season}\n`;
+      text += `  Last actual: ${item.lastPeriod.period} = ${formatNumber(item.lastPeriod.value)}\n`;
+      if (item.backtest) {
+        const mape = item.backtest.mape !== null ? `, MAPE ${item.backtest.mape.toFixed(1)}%` : '';
+        text += `  Backtest over ${item.backtest.holdout} periods: MAE ${formatNumber(item.backtest.mae)}${mape}\n`;
+      } else {
+        text += '  Not backtested: too few periods to hold any out\n';
+      }
+      item.forecast.slice(0, MAX_PROMPT_POINTS).forEach(point => {
+        const interval = point.lower !== null
+          ? ` (${item.level}% interval ${formatNumber(point.lower)} to ${formatNumber(point.upper)})`
+          : '';
+        text += `  ${point.period}: ${formatNumber(point.value)}${interval}\n`;
+      });
+    });
+    return text;
+  }
+}
+
+module.exports = Forecaster;
@@ -0,0 +1,501 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Statistics = require('./statistics');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const { formatNumber } = Statistics;
+
+const TESTS = {
+  tTest: 'Two-sample t-test',
+  welch: "Welch's t-test",
+  mannWhitney: 'Mann-Whitney U test',
+  anova: 'One-way ANOVA',
+  chiSquare: 'Chi-square test of independence',
+  proportion: 'Proportion z-test'
+};
+const TWO_GROUP_TESTS = ['tTest', 'welch', 'mannWhitney'];
+const DEFAULT_ALPHA = 0.05;
+const MAX_GROUPS = 50;
+// Effect size cut-offs for small, medium and large (Cohen's conventions)
+const EFFECT_THRESHOLDS = {
+  cohensD: [0.2, 0.5, 0.8],
+  rankBiserial: [0.1, 0.3, 0.5],
+  etaSquared: [0.01, 0.06, 0.14],
+  cramersV: [0.1, 0.3, 0.5],
+  cohensH: [0.2, 0.5, 0.8]
+};
+const EFFECT_NAMES = {
+  cohensD: "Cohen's d",
+  rankBiserial: 'rank-biserial correlation',
+  etaSquared: 'eta squared',
+  cramersV: "Cramér's V",
+  cohensH: "Cohen's h"
+};
+
+/**
+ * Hypothesis tests between groups of rows:
+ *
+ * - tTest / welch: difference in means of a number column between two groups
+ *   (pooled or unequal variances)
+ * - mannWhitney: difference in distribution between two groups, by ranks
+ * - anova: difference in means across two or more groups
+ * - chiSquare: association between two categorical columns
+ * - proportion: share of a value in two groups, or in all rows against p0
+ *
+ * Every result carries the statistic, p-value, an effect size and a
+ * plain-language interpretation.
+ */
+class HypothesisTests {
+  /**
+   * Run a test over the stored rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { test, column, groupColumn, groups, success, p0, alpha, filters }
+   * @returns {Object} { test, testName, column, groupColumn, groups, statistic, df, pValue,
+   *   alpha, significant, difference, effectSize, interpretation, warnings }
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const test = options.test;
+    if (!TESTS[test]) {
+      throw new QueryError(`Unsupported test "${test}". Use one of: ${Object.keys(TESTS).join(', ')}`);
+    }
+    const alpha = options.alpha !== undefined ? Number(options.alpha) : DEFAULT_ALPHA;
+    if (!(alpha > 0 && alpha < 1)) {
+      throw new QueryError('Alpha must be between 0 and 1');
+    }
+    if (!options.column) {
+      throw new QueryError('A column is required');
+    }
+
+    const column = RowQuery.getColumn(columns, options.column);
+    const numeric = TWO_GROUP_TESTS.includes(test) || test === 'anova';
+    if (numeric && column.type !== 'number') {
+      throw new QueryError(`${TESTS[test]} needs a number column, "${column.name}" is ${column.type}`);
+    }
+
+    const needsGroups = test !== 'proportion' || options.groupColumn;
+    if (needsGroups && !options.groupColumn) {
+      throw new QueryError(`${TESTS[test]} needs a groupColumn`);
+    }
+    const groupColumn = options.groupColumn ? RowQuery.getColumn(columns, options.groupColumn) : null;
+    if (groupColumn && groupColumn.name === column.name) {
+      throw new QueryError('The column and groupColumn must differ');
+    }
+
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+    const groups = new Map();
+    let rowCount = 0;
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      if (!predicate(row)) continue;
+      rowCount++;
+
+      const value = numeric
+        ? FileProcessor.coerceValue(row[column.name], 'number', column.format)
+        : this.readLabel(row, column);
+      const group = groupColumn ? this.readLabel(row, groupColumn) : '(all rows)';
+      if (value === null || group === null) continue;
+
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(value);
+    }
+
+    const selected = this.selectGroups(groups, RowQuery.parseList(options.groups), test, Boolean(groupColumn));
+    const context = {
+      test,
+      column: column.name,
+      groupColumn: groupColumn ? groupColumn.name : null,
+      alpha
+    };
+
+    let result;
+    if (TWO_GROUP_TESTS.includes(test)) {
+      result = test === 'mannWhitney'
+        ? this.mannWhitney(selected[0], selected[1])
+        : this.tTest(selected[0], selected[1], test === 'welch');
+    } else if (test === 'anova') {
+      result = this.anova(selected);
+    } else if (test === 'chiSquare') {
+      result = this.chiSquare(selected);
+    } else {
+      result = this.proportion(selected, options.success, options.p0);
+    }
+
+    const significant = result.pValue !== null && result.pValue < alpha;
+    const effectSize = result.effectSize && {
+      ...result.effectSize,
+      label: EFFECT_NAMES[result.effectSize.name],
+      magnitude: this.magnitudeOf(result.effectSize)
+    };
+
+    return {
+      ...context,
+      testName: TESTS[test],
+      rowCount,
+      groups: result.groups,
+      statistic: result.statistic,
+      df: result.df,
+      pValue: result.pValue,
+      significant,
+      difference: result.difference !== undefined ? result.difference : null,
+      ...(result.success !== undefined && { success: result.success }),
+      ...(result.p0 !== undefined && { p0: result.p0 }),
+      effectSize,
+      interpretation: this.interpret(context, result, significant, effectSize),
+      warnings: result.warnings || []
+    };
+  }
+
+  /**
+   * Value of a column as a group or category label
+   */
+  static readLabel(row, column) {
+    const value = FileProcessor.coerceValue(row[column.name], column.type, column.format);
+    if (value === null) return null;
+    return value instanceof Date ? value.toISOString() : String(value).trim();
+  }
+
+  /**
+   * Pick the groups to compare: the requested ones, or every group (exactly
+   * two for the two-group tests)
+   * @param {Map} groups - Label to values
+   * @param {Array} requested - Group labels
+   * @param {String} test - Test name
+   * @param {Boolean} grouped - False for a one-sample proportion test
+   * @returns {Array} [{ name, values }]
+   */
+  static selectGroups(groups, requested, test, grouped) {
+    const available = Array.from(groups.keys());
+    const describe = () => available.slice(0, 20).map(name => `"${name}"`).join(', ');
+
+    let names;
+    if (requested.length > 0) {
+      requested.forEach(name => {
+        if (!groups.has(name)) {
+          throw new QueryError(`Group "${name}" has no values. Available groups: ${describe()}`);
+        }
+      });
+      names = requested;
+    } else {
+      names = available;
+    }
+
+    const twoGroups = TWO_GROUP_TESTS.includes(test) || (test === 'proportion' && grouped);
+    if (twoGroups && names.length !== 2) {
+      throw new QueryError(`${TESTS[test]} compares exactly 2 groups, ${names.length} found; choose them with "groups". Available groups: ${describe()}`);
+    }
+    if (test === 'anova' && names.length < 2) {
+      throw new QueryError('ANOVA needs at least 2 groups');
+    }
+    if (names.length > MAX_GROUPS) {
+      throw new QueryError(`At most ${MAX_GROUPS} groups can be compared, ${names.length} found; choose them with "groups"`);
+    }
+
+    return names.map(name => ({ name, values: groups.get(name) }));
+  }
+
+  /**
+   * Mean, standard deviation and size of a numeric group
+   */
+  static summarize(group) {
+    const mean = Statistics.mean(group.values);
+    const variance = Statistics.variance(group.values, mean);
+    const sorted = Float64Array.from(group.values).sort();
+    return {
+      name: group.name,
+      n: group.values.length,
+      mean,
+      stdDev: variance !== null ? Math.sqrt(variance) : null,
+      median: Statistics.quantile(sorted, 0.5)
+    };
+  }
+
+  /**
+   * Student's (pooled variance) or Welch's t-test
+   */
+  static tTest(first, second, welch) {
+    const a = this.summarize(first);
+    const b = this.summarize(second);
+    if (a.n < 2 || b.n < 2) {
+      throw new QueryError('Each group needs at least 2 values for a t-test');
+    }
+
+    const pooledVariance = ((a.n - 1) * a.stdDev ** 2 + (b.n - 1) * b.stdDev ** 2) / (a.n + b.n - 2);
+    const difference = a.mean - b.mean;
+    let standardError;
+    let df;
+    if (welch) {
+      const ratioA = a.stdDev ** 2 / a.n;
+      const ratioB = b.stdDev ** 2 / b.n;
+      standardError = Math.sqrt(ratioA + ratioB);
+      df = (ratioA + ratioB) ** 2 / ((ratioA ** 2) / (a.n - 1) + (ratioB ** 2) / (b.n - 1));
+    } else {
+      standardError = Math.sqrt(pooledVariance * (1 / a.n + 1 / b.n));
+      df = a.n + b.n - 2;
+    }
+
+    const t = standardError > 0 ? difference / standardError : null;
+    const pooledStdDev = Math.sqrt(pooledVariance);
+    return {
+      groups: [a, b],
+      statistic: { name: 't', value: t },
+      df,
+      pValue: t !== null ? Statistics.tPValue(t, df) : null,
+      difference,
+      effectSize: { name: 'cohensD', value: pooledStdDev > 0 ? difference / pooledStdDev : null },
+      warnings: standardError > 0 ? [] : ['Both groups are constant, so the test cannot be computed']
+    };
+  }
+
+  /**
+   * Mann-Whitney U with the tie-corrected normal approximation
+   */
+  static mannWhitney(first, second) {
+    const n1 = first.values.length;
+    const n2 = second.values.length;
+    if (n1 < 1 || n2 < 1) {
+      throw new QueryError('Each group needs at least 1 value for a Mann-Whitney test');
+    }
+
+    const combined = [...first.values, ...second.values];
+    const ranks = Statistics.ranks(combined);
+    let rankSum = 0;
+    for (let i = 0; i < n1; i++) rankSum += ranks[i];
+    const u1 = rankSum - (n1 * (n1 + 1)) / 2;
+    const u2 = n1 * n2 - u1;
+
+    const counts = new Map();
+    combined.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let ties = 0;
+    counts.forEach(count => {
+      ties += count ** 3 - count;
+    });
+    const n = n1 + n2;
+    const variance = (n1 * n2 / 12) * ((n + 1) - ties / (n * (n - 1)));
+    const meanU = (n1 * n2) / 2;
+    // Continuity correction towards the mean
+    const z = variance > 0 ? (u1 - meanU - Math.sign(u1 - meanU) * 0.5) / Math.sqrt(variance) : null;
+
+    const warnings = [];
+    if (n1 < 10 || n2 < 10) {
+      warnings.push('With fewer than 10 values in a group the normal approximation is rough');
+    }
+
+    const summaries = [first, second].map(group => this.summarize(group));
+    return {
+      groups: summaries,
+      statistic: { name: 'U', value: u1, z },
+      df: null,
+      pValue: z !== null ? 2 * Statistics.normalCdf(-Math.abs(z)) : null,
+      difference: summaries[0].median - summaries[1].median,
+      effectSize: { name: 'rankBiserial', value: (u1 - u2) / (n1 * n2) },
+      warnings
+    };
+  }
+
+  /**
+   * One-way ANOVA
+   */
+  static anova(groups) {
+    const summaries = groups.map(group => this.summarize(group));
+    const n = Statistics.sum(summaries.map(group => group.n));
+    const k = summaries.length;
+    if (n <= k) {
+      throw new QueryError('ANOVA needs more values than groups');
+    }
+
+    const grandMean = Statistics.sum(groups.map(group => Statistics.sum(group.values))) / n;
+    let between = 0;
+    let within = 0;
+    summaries.forEach((summary, index) => {
+      between += summary.n * (summary.mean - grandMean) ** 2;
+      groups[index].values.forEach(value => {
+        within += (value - summary.mean) ** 2;
+      });
+    });
+
+    const dfBetween = k - 1;
+    const dfWithin = n - k;
+    const f = within > 0 ? (between / dfBetween) / (within / dfWithin) : null;
+    const total = between + within;
+
+    return {
+      groups: summaries,
+      statistic: { name: 'F', value: f },
+      df: { between: dfBetween, within: dfWithin },
+      pValue: f !== null ? Statistics.fPValue(f, dfBetween, dfWithin) : null,
+      effectSize: { name: 'etaSquared', value: total > 0 ? between / total : null },
+      warnings: f !== null ? [] : ['There is no variation within groups, so the test cannot be computed']
+    };
+  }
+
+  /**
+   * Chi-square test of independence between the column values and the groups
+   */
+  static chiSquare(groups) {
+    const categories = Array.from(new Set(groups.flatMap(group => group.values)));
+    if (groups.length < 2 || categories.length < 2) {
+      throw new QueryError('A chi-square test needs at least 2 groups and 2 categories');
+    }
+
+    const table = groups.map(group => {
+      const counts = new Map();
+      group.values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      return categories.map(category => counts.get(category) || 0);
+    });
+    const rowTotals = table.map(row => Statistics.sum(row));
+    const columnTotals = categories.map((category, j) => Statistics.sum(table.map(row => row[j])));
+    const n = Statistics.sum(rowTotals);
+
+    let chiSquare = 0;
+    let smallCells = 0;
+    table.forEach((row, i) => {
+      row.forEach((observed, j) => {
+        const expected = (rowTotals[i] * columnTotals[j]) / n;
+        if (expected < 5) smallCells++;
+        chiSquare += ((observed - expected) ** 2) / expected;
+      });
+    });
+
+    const df = (groups.length - 1) * (categories.length - 1);
+    const warnings = [];
+    if (smallCells > 0.2 * groups.length * categories.length) {
+      warnings.push(`${smallCells} cells have an expected count below 5, so the p-value may be unreliable`);
+    }
+
+    return {
+      groups: groups.map((group, i) => ({
+        name: group.name,
+        n: rowTotals[i],
+        counts: Object.fromEntries(categories.map((category, j) => [category, table[i][j]]))
+      })),
+      statistic: { name: 'chiSquare', value: chiSquare },
+      df,
+      pValue: Statistics.chiSquarePValue(chiSquare, df),
+      effectSize: {
+        name: 'cramersV',
+        value: Math.sqrt(chiSquare / (n * (Math.min(groups.length, categories.length) - 1)))
+      },
+      warnings
+    };
+  }
+
+  /**
+   * Two-proportion z-test, or a one-sample test against p0 when there is a
+   * single group. A row counts as a success when its value equals `success`
+   * (true for boolean columns by default).
+   */
+  static proportion(groups, success, p0) {
+    const values = groups.flatMap(group => group.values);
+    let target = success !== undefined && success !== null ? String(success).trim() : null;
+    if (target === null) {
+      const distinct = Array.from(new Set(values));
+      if (distinct.includes('true') && distinct.every(value => value === 'true' || value === 'false')) {
+        target = 'true';
+      } else {
+        throw new QueryError('A proportion test needs the "success" value to count');
+      }
+    }
+
+    const summaries = groups.map(group => {
+      const successes = group.values.filter(value => value === target).length;
+      return { name: group.name, n: group.values.length, successes, proportion: successes / group.values.length };
+    });
+    const warnings = [];
+    const tooSmall = (n, p) => n * p < 5 || n * (1 - p) < 5;
+
+    if (summaries.length === 1) {
+      const [group] = summaries;
+      const expected = p0 !== undefined && p0 !== null ? Number(p0) : 0.5;
+      if (!(expected > 0 && expected < 1)) {
+        throw new QueryError('p0 must be between 0 and 1');
+      }
+      const z = (group.proportion - expected) / Math.sqrt((expected * (1 - expected)) / group.n);
+      if (tooSmall(group.n, expected)) warnings.push('Expected successes or failures below 5 make the normal approximation rough');
+      return {
+        groups: summaries,
+        statistic: { name: 'z', value: z },
+        df: null,
+        pValue: 2 * Statistics.normalCdf(-Math.abs(z)),
+        success: target,
+        p0: expected,
+        difference: group.proportion - expected,
+        effectSize: { name: 'cohensH', value: 2 * Math.asin(Math.sqrt(group.proportion)) - 2 * Math.asin(Math.sqrt(expected)) },
+        warnings
+      };
+    }
+
+    const [a, b] = summaries;
+    const pooled = (a.successes + b.successes) / (a.n + b.n);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.n + 1 / b.n));
+    const z = standardError > 0 ? (a.proportion - b.proportion) / standardError : null;
+    if (tooSmall(a.n, pooled) || tooSmall(b.n, pooled)) {
+      warnings.push('Expected successes or failures below 5 make the normal approximation rough');
+    }
+
+    return {
+      groups: summaries,
+      statistic: { name: 'z', value: z },
+      df: null,
+      pValue: z !== null ? 2 * Statistics.normalCdf(-Math.abs(z)) : null,
+      success: target,
+      difference: a.proportion - b.proportion,
+      effectSize: { name: 'cohensH', value: 2 * Math.asin(Math.sqrt(a.proportion)) - 2 * Math.asin(Math.sqrt(b.proportion)) },
+      warnings
+    };
+  }
+
+  static magnitudeOf(effectSize) {
+    if (effectSize.value === null) return null;
+    const [small, medium, large] = EFFECT_THRESHOLDS[effectSize.name];
+    const size = Math.abs(effectSize.value);
+    if (size >= large) return 'large';
+    if (size >= medium) return 'medium';
+    if (size >= small) return 'small';
+    return 'negligible';
+  }
+
+  /**
+   * One or two sentences explaining the result to a non-statistician
+   */
+  static interpret(context, result, significant, effectSize) {
+    if (result.pValue === null) {
+      return 'The test could not be computed for these groups.';
+    }
+
+    const level = `${formatNumber(context.alpha * 100)}% level`;
+    const p = result.pValue < 0.001 ? 'p < 0.001' : `p = ${result.pValue.toFixed(3)}`;
+    const effect = effectSize && effectSize.value !== null
+      ? ` The effect size is ${effectSize.magnitude} (${effectSize.label} = ${formatNumber(effectSize.value)}).`
+      : '';
+    const verdict = significant
+      ? `The difference is statistically significant at the ${level} (${p}).`
+      : `The difference is not statistically significant at the ${level} (${p}), so it may be due to chance.`;
+    const [a, b] = result.groups;
+
+    switch (context.test) {
+      case 'tTest':
+      case 'welch':
+        return `The mean ${context.column} is ${formatNumber(a.mean)} for "${a.name}" and ${formatNumber(b.mean)} for "${b.name}". ${verdict}${effect}`;
+      case 'mannWhitney':
+        return `The median ${context.column} is ${formatNumber(a.median)} for "${a.name}" and ${formatNumber(b.median)} for "${b.name}". ${significant ? `Values tend to be higher for "${result.effectSize.value > 0 ? a.name : b.name}", a significant difference at the ${level} (${p}).` : verdict}${effect}`;
+      case 'anova': {
+        const ordered = [...result.groups].sort((x, y) => y.mean - x.mean);
+        const spread = `Mean ${context.column} ranges from ${formatNumber(ordered[ordered.length - 1].mean)} ("${ordered[ordered.length - 1].name}") to ${formatNumber(ordered[0].mean)} ("${ordered[0].name}") across ${ordered.length} groups of ${context.groupColumn}.`;
+        return `${spread} ${significant ? `At least one group mean differs at the ${level} (${p}).` : `The group means do not differ significantly at the ${level} (${p}).`}${effect}`;
+      }
+      case 'chiSquare':
+        return significant
+          ? `${context.column} and ${context.groupColumn} are associated: the mix of ${context.column} values differs between groups at the ${level} (${p}).${effect}`
+          : `There is no significant association between ${context.column} and ${context.groupColumn} at the ${level} (${p}).${effect}`;
+      default: {
+        const share = group => `${formatNumber(group.proportion * 100)}%`;
+        const intro = result.groups.length === 1
+          ? `${share(a)} of rows have ${context.column} = "${result.success}", compared with an expected ${formatNumber(result.p0 * 100)}%.`
+          : `${share(a)} of "${a.name}" and ${share(b)} of "${b.name}" have ${context.column} = "${result.success}".`;
+        return `${intro} ${verdict}${effect}`;
+      }
+    }
+  }
+}
+
+module.exports = HypothesisTests;
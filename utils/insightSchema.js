@@ -0,0 +1,171 @@
+const { extractJson } = require('./aiProviders');
+
+const SEVERITIES = ['info', 'low', 'medium', 'high'];
+const CHART_TYPES = ['bar', 'line', 'pie', 'scatter', 'histogram', 'box', 'none'];
+const MAX_INSIGHTS = 10;
+const MAX_TITLE_LENGTH = 120;
+// Attempts at valid JSON (the first answer plus repairs) before falling back to text
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Shape of structured insights, described to the model in the prompt
+ */
+const SCHEMA = {
+  summary: 'string, one or two sentences about the dataset as a whole',
+  insights: [{
+    title: `string, at most ${MAX_TITLE_LENGTH} characters`,
+    description: 'string, what was found and why it matters',
+    columns: ['string, names of the dataset columns involved'],
+    severity: SEVERITIES.join(' | '),
+    metric: '{ "name": string, "value": number or string, "unit": string } supporting the insight, or null',
+    chart: `{ "type": ${CHART_TYPES.join(' | ')}, "x": column name or null, "y": column name or null } suggested to visualize it, or null`
+  }]
+};
+
+/**
+ * Structured AI insights: the JSON schema asked of the model, server-side
+ * validation of its answer, and the repair prompt sent when it is invalid.
+ */
+class InsightSchema {
+  /**
+   * Prompt instructions asking for JSON that matches the schema
+   */
+  static instructions() {
+    return `Respond with only a JSON object of this shape, with no text before or after it:
+${JSON.stringify(SCHEMA, null, 2)}
+
+Give between 3 and ${MAX_INSIGHTS} insights covering key observations, trends, outliers or anomalies, data-quality issues and recommendations. Only name columns that appear in the data summary, spelled exactly.`;
+  }
+
+  /**
+   * Validate and normalize a parsed answer
+   * @param {*} value - Parsed JSON from the model
+   * @param {Array} columns - Visible FileData columns
+   * @returns {Object} { valid, errors, result }
+   */
+  static validate(value, columns) {
+    const errors = [];
+    const names = new Set(columns.map(column => column.name));
+    const isText = text => typeof text === 'string' && text.trim().length > 0;
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, errors: ['The answer must be a JSON object'], result: null };
+    }
+    if (!isText(value.summary)) {
+      errors.push('"summary" must be a non-empty string');
+    }
+    if (!Array.isArray(value.insights) || value.insights.length === 0) {
+      errors.push('"insights" must be a non-empty array');
+      return { valid: false, errors, result: null };
+    }
+
+    const insights = value.insights.slice(0, MAX_INSIGHTS).map((insight, index) => {
+      const at = `insights[${index}]`;
+      if (!insight || typeof insight !== 'object') {
+        errors.push(`${at} must be an object`);
+        return null;
+      }
+
+      if (!isText(insight.title)) errors.push(`${at}.title must be a non-empty string`);
+      if (!isText(insight.description)) errors.push(`${at}.description must be a non-empty string`);
+      if (!SEVERITIES.includes(insight.severity)) {
+        errors.push(`${at}.severity must be one of: ${SEVERITIES.join(', ')}`);
+      }
+
+      const involved = insight.columns === undefined || insight.columns === null ? [] : insight.columns;
+      if (!Array.isArray(involved)) {
+        errors.push(`${at}.columns must be an array of column names`);
+      } else {
+        involved.filter(name => !names.has(name)).forEach(name => {
+          errors.push(`${at}.columns names unknown column ${JSON.stringify(name)}`);
+        });
+      }
+
+      let metric = null;
+      if (insight.metric !== undefined && insight.metric !== null) {
+        const { name, value: metricValue, unit } = insight.metric;
+        if (!isText(name) || !['number', 'string'].includes(typeof metricValue)) {
+          errors.push(`${at}.metric must have a string "name" and a number or string "value", or be null`);
+        } else {
+          metric = { name: name.trim(), value: metricValue, unit: isText(unit) ? unit.trim() : null };
+        }
+      }
+
+      let chart = null;
+      if (insight.chart !== undefined && insight.chart !== null) {
+        const { type, x = null, y = null } = insight.chart;
+        if (!CHART_TYPES.includes(type)) {
+          errors.push(`${at}.chart.type must be one of: ${CHART_TYPES.join(', ')}`);
+        }
+        [['x', x], ['y', y]].forEach(([axis, name]) => {
+          if (name !== null && !names.has(name)) {
+            errors.push(`${at}.chart.${axis} names unknown column ${JSON.stringify(name)}`);
+          }
+        });
+        if (type !== 'none') chart = { type, x, y };
+      }
+
+      return {
+        title: isText(insight.title) ? insight.title.trim().substring(0, MAX_TITLE_LENGTH) : '',
+        description: isText(insight.description) ? insight.description.trim() : '',
+        columns: Array.isArray(involved) ? involved : [],
+        severity: insight.severity,
+        metric,
+        chart
+      };
+    });
+
+    if (errors.length > 0) {
+      return { valid: false, errors, result: null };
+    }
+    return { valid: true, errors: [], result: { summary: value.summary.trim(), insights } };
+  }
+
+  /**
+   * Prompt asking the model to fix an invalid answer
+   */
+  static repairPrompt(prompt, reply, errors, columns) {
+    return `${prompt}
+
+Your previous answer was not valid:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Previous answer:
+${reply.substring(0, 4000)}
+
+Valid column names: ${columns.map(column => column.name).join(', ')}
+Reply again with only the corrected JSON object.`;
+  }
+
+  /**
+   * Ask for structured insights, repairing invalid answers a few times
+   * @param {Function} generate - async (prompt) => text
+   * @param {String} prompt - Prompt including instructions()
+   * @param {Array} columns - Visible FileData columns
+   * @returns {Object} { structured, result, attempts, errors, text } - text is
+   *   the last answer, to fall back on when no attempt was valid
+   */
+  static async generate(generate, prompt, columns) {
+    let reply = '';
+    let errors = [];
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      reply = await generate(attempt === 1 ? prompt : this.repairPrompt(prompt, reply, errors, columns));
+
+      const parsed = extractJson(reply);
+      const validation = parsed
+        ? this.validate(parsed, columns)
+        : { valid: false, errors: ['The answer did not contain a JSON object'] };
+      if (validation.valid) {
+        return { structured: true, result: validation.result, attempts: attempt, errors: [], text: reply };
+      }
+      errors = validation.errors;
+    }
+    return { structured: false, result: null, attempts: MAX_ATTEMPTS, errors, text: reply };
+  }
+}
+
+InsightSchema.SCHEMA = SCHEMA;
+InsightSchema.SEVERITIES = SEVERITIES;
+InsightSchema.CHART_TYPES = CHART_TYPES;
+
+module.exports = InsightSchema;
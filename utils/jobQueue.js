@@ -0,0 +1,181 @@
+const Job = require('../models/Job');
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL, 10) || 1000;
+// A job still locked after this long is assumed to belong to a dead worker
+const STALE_AFTER = parseInt(process.env.JOB_STALE_AFTER, 10) || 10 * 60 * 1000;
+// Progress is written at most this often, apart from stage changes
+const PROGRESS_INTERVAL = 500;
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+let polling = false;
+
+/**
+ * MongoDB-backed job queue. Jobs are documents in the Job collection; the
+ * worker started by start() claims them one at a time with an atomic update,
+ * so several server instances can share the same queue.
+ */
+class JobQueue {
+  /**
+   * Register the handler for a job type
+   * @param {String} type - Job type
+   * @param {Object} handler - { run(job, progress), onFailed(job, error) }
+   */
+  static register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job and wake the worker
+   * @param {String} type - Registered job type
+   * @param {ObjectId} userId - Owner of the job
+   * @param {Object} payload - Input for the handler
+   * @returns {Object} Job document
+   */
+  static async enqueue(type, userId, payload = {}) {
+    if (!handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+    const job = await Job.create({ type, userId, payload });
+    if (running) setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  static start() {
+    if (running) return;
+    running = true;
+    console.log(`⚙️  Job worker started (${handlers.size} job types)`);
+    this.poll();
+  }
+
+  /**
+   * Stop polling; a job that is already running is allowed to finish
+   */
+  static stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  /**
+   * Claim and run jobs until the queue is empty, then wait for the next poll
+   */
+  static async poll() {
+    if (!running || polling) return;
+    polling = true;
+    clearTimeout(timer);
+
+    try {
+      let job;
+      while (running && (job = await this.claimNext())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      polling = false;
+      if (running) timer = setTimeout(() => this.poll(), POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Atomically take the oldest queued job, or one whose worker went away
+   */
+  static async claimNext() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Array.from(handlers.keys()) },
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_AFTER) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run one claimed job and record its outcome
+   */
+  static async runJob(job) {
+    const handler = handlers.get(job.type);
+
+    if (job.attempts > job.maxAttempts) {
+      return this.fail(job, handler, new Error(`Job gave up after ${job.maxAttempts} attempts`));
+    }
+
+    try {
+      const result = await handler.run(job, this.createProgress(job));
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'completed',
+          result,
+          'progress.stage': 'completed',
+          'progress.percent': 100,
+          finishedAt: new Date()
+        },
+        $unset: { lockedAt: 1 }
+      });
+    } catch (error) {
+      await this.fail(job, handler, error);
+    }
+  }
+
+  static async fail(job, handler, error) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, error);
+    try {
+      if (handler && handler.onFailed) await handler.onFailed(job, error);
+    } catch (cleanupError) {
+      console.error(`Job ${job._id} cleanup error:`, cleanupError);
+    }
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'failed',
+        error: error.message,
+        'progress.stage': 'failed',
+        finishedAt: new Date()
+      },
+      $unset: { lockedAt: 1 }
+    });
+  }
+
+  /**
+   * Build the progress reporter handed to a job handler. Each call also
+   * refreshes the job lock so long-running jobs are not taken as stale.
+   * @returns {Function} async ({ stage, rowsParsed, totalRows, percent }) => void
+   */
+  static createProgress(job) {
+    let lastWrite = 0;
+    let lastStage = null;
+
+    return async (update = {}) => {
+      const now = Date.now();
+      const stageChanged = update.stage !== undefined && update.stage !== lastStage;
+      if (!stageChanged && !update.warning && now - lastWrite < PROGRESS_INTERVAL) return;
+
+      lastWrite = now;
+      if (update.stage !== undefined) lastStage = update.stage;
+
+      const $set = { lockedAt: new Date(now) };
+      ['stage', 'rowsParsed', 'totalRows', 'percent'].forEach(key => {
+        if (update[key] !== undefined && update[key] !== null) $set[`progress.${key}`] = update[key];
+      });
+      if (update.warning) {
+        await Job.updateOne({ _id: job._id }, { $set, $push: { warnings: update.warning } });
+        return;
+      }
+      await Job.updateOne({ _id: job._id }, { $set });
+    };
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,229 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Statistics = require('./statistics');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const METHODS = ['iqr', 'zscore', 'modifiedZscore', 'rolling'];
+const DEFAULT_THRESHOLDS = {
+  iqr: 1.5,
+  zscore: 3,
+  modifiedZscore: 3.5,
+  rolling: 3
+};
+const DEFAULT_WINDOW = 7;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Finds outliers in number columns and reports them by row index (the `_row`
+ * of GET /api/upload/files/:fileId/rows), so they can be highlighted and cited.
+ *
+ * - iqr: outside Q1 - k * IQR and Q3 + k * IQR (k defaults to 1.5)
+ * - zscore: |value - mean| / std dev above the threshold (default 3)
+ * - modifiedZscore: 0.6745 * |value - median| / MAD above the threshold (default 3.5)
+ * - rolling: compared with the mean and std dev of the preceding window of
+ *   values in time order (needs a date column)
+ */
+class OutlierDetector {
+  /**
+   * Detect outliers among indexed values
+   * @param {Array} points - [{ row, value }]
+   * @param {String} method - iqr, zscore or modifiedZscore
+   * @param {Number} threshold - Method threshold, the method default when omitted
+   * @returns {Object} { bounds, outliers: [{ row, value, score, direction }] }
+   */
+  static detect(points, method, threshold = DEFAULT_THRESHOLDS[method]) {
+    const values = points.map(point => point.value);
+    if (values.length === 0) return { bounds: null, outliers: [] };
+
+    let bounds;
+    let scoreOf;
+
+    if (method === 'iqr') {
+      const sorted = Float64Array.from(values).sort();
+      const q1 = Statistics.quantile(sorted, 0.25);
+      const q3 = Statistics.quantile(sorted, 0.75);
+      const iqr = q3 - q1;
+      bounds = { q1, q3, iqr, lower: q1 - threshold * iqr, upper: q3 + threshold * iqr };
+      if (iqr === 0) return { bounds, outliers: [] };
+      // Distance beyond the fence, in IQRs
+      scoreOf = value => {
+        if (value < bounds.lower) return -(bounds.lower - value) / iqr;
+        if (value > bounds.upper) return (value - bounds.upper) / iqr;
+        return 0;
+      };
+    } else if (method === 'zscore') {
+      const mean = Statistics.mean(values);
+      const stdDev = Math.sqrt(Statistics.variance(values, mean));
+      bounds = { mean, stdDev, lower: mean - threshold * stdDev, upper: mean + threshold * stdDev };
+      if (!(stdDev > 0)) return { bounds, outliers: [] };
+      scoreOf = value => {
+        const z = (value - mean) / stdDev;
+        return Math.abs(z) > threshold ? z : 0;
+      };
+    } else {
+      const sorted = Float64Array.from(values).sort();
+      const median = Statistics.quantile(sorted, 0.5);
+      const deviations = Float64Array.from(values, value => Math.abs(value - median)).sort();
+      const mad = Statistics.quantile(deviations, 0.5);
+      // With more than half the values equal, fall back to the mean absolute deviation
+      const scale = mad > 0 ? mad / 0.6745 : 1.253314 * Statistics.mean(Array.from(deviations));
+      bounds = { median, mad, lower: median - threshold * scale, upper: median + threshold * scale };
+      if (!(scale > 0)) return { bounds, outliers: [] };
+      scoreOf = value => {
+        const score = (value - median) / scale;
+        return Math.abs(score) > threshold ? score : 0;
+      };
+    }
+
+    const outliers = [];
+    points.forEach(({ row, value }) => {
+      const score = scoreOf(value);
+      if (score !== 0) {
+        outliers.push({ row, value, score, direction: score > 0 ? 'high' : 'low' });
+      }
+    });
+
+    return { bounds, outliers };
+  }
+
+  /**
+   * Rolling-window anomalies: each value is scored against the values that
+   * precede it in time order
+   * @param {Array} points - [{ row, value, time }] sorted by time
+   * @param {Number} window - Number of preceding values to compare with
+   * @param {Number} threshold - Z-score threshold against the window
+   */
+  static detectRolling(points, window = DEFAULT_WINDOW, threshold = DEFAULT_THRESHOLDS.rolling) {
+    const outliers = [];
+    let sum = 0;
+    let squares = 0;
+
+    points.forEach((point, index) => {
+      if (index >= window) {
+        const mean = sum / window;
+        const variance = Math.max((squares - window * mean * mean) / (window - 1), 0);
+        const stdDev = Math.sqrt(variance);
+        if (stdDev > 0) {
+          const score = (point.value - mean) / stdDev;
+          if (Math.abs(score) > threshold) {
+            outliers.push({
+              row: point.row,
+              value: point.value,
+              time: point.time.toISOString(),
+              expected: mean,
+              score,
+              direction: score > 0 ? 'high' : 'low'
+            });
+          }
+        }
+
+        const leaving = points[index - window].value;
+        sum -= leaving;
+        squares -= leaving * leaving;
+      }
+      sum += point.value;
+      squares += point.value * point.value;
+    });
+
+    return { bounds: { window }, outliers };
+  }
+
+  /**
+   * Detect outliers over the stored rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { columns, method, threshold, timeColumn, window, filters, limit }
+   * @returns {Object} { method, threshold, rowCount, columns: [{ column, count, outlierCount, outlierRatio, bounds, outliers }] }
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const method = options.method || 'iqr';
+    if (!METHODS.includes(method)) {
+      throw new QueryError(`Unsupported method "${method}". Use one of: ${METHODS.join(', ')}`);
+    }
+
+    const threshold = options.threshold !== undefined ? Number(options.threshold) : DEFAULT_THRESHOLDS[method];
+    if (!(threshold > 0)) {
+      throw new QueryError('Threshold must be a positive number');
+    }
+
+    const names = RowQuery.parseList(options.columns);
+    const targets = names.length > 0
+      ? names.map(name => RowQuery.getColumn(columns, name))
+      : columns.filter(column => column.type === 'number');
+    targets.forEach(column => {
+      if (column.type !== 'number') {
+        throw new QueryError(`Outliers can only be detected in number columns, "${column.name}" is ${column.type}`);
+      }
+    });
+
+    let timeColumn = null;
+    let window = DEFAULT_WINDOW;
+    if (method === 'rolling') {
+      if (!options.timeColumn) {
+        throw new QueryError('Rolling detection requires a timeColumn');
+      }
+      timeColumn = RowQuery.getColumn(columns, options.timeColumn);
+      if (timeColumn.type !== 'date') {
+        throw new QueryError(`Time column "${timeColumn.name}" must be a date column, it is ${timeColumn.type}`);
+      }
+      window = options.window !== undefined ? parseInt(options.window, 10) : DEFAULT_WINDOW;
+      if (!(window >= 2)) {
+        throw new QueryError('Window must be at least 2');
+      }
+    }
+
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+
+    const points = targets.map(() => []);
+    let rowCount = 0;
+    let index = 0;
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      const rowIndex = index++;
+      if (!predicate(row)) continue;
+      rowCount++;
+
+      const time = timeColumn ? FileProcessor.coerceValue(row[timeColumn.name], 'date', timeColumn.format) : null;
+      if (timeColumn && !time) continue;
+
+      targets.forEach((column, position) => {
+        const value = FileProcessor.coerceValue(row[column.name], 'number', column.format);
+        if (value !== null) points[position].push({ row: rowIndex, value, time });
+      });
+    }
+
+    const results = targets.map((column, position) => {
+      let detected;
+      if (method === 'rolling') {
+        const ordered = points[position].sort((a, b) => a.time - b.time || a.row - b.row);
+        detected = this.detectRolling(ordered, window, threshold);
+      } else {
+        detected = this.detect(points[position], method, threshold);
+      }
+
+      const count = points[position].length;
+      const outliers = detected.outliers.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+      return {
+        column: column.name,
+        count,
+        outlierCount: outliers.length,
+        outlierRatio: count > 0 ? outliers.length / count : 0,
+        bounds: detected.bounds,
+        outliers: outliers.slice(0, limit),
+        truncated: outliers.length > limit
+      };
+    });
+
+    return {
+      method,
+      threshold,
+      timeColumn: timeColumn ? timeColumn.name : null,
+      window: timeColumn ? window : null,
+      rowCount,
+      columns: results
+    };
+  }
+}
+
+module.exports = OutlierDetector;
@@ -0,0 +1,182 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Aggregator = require('./aggregator');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const DEFAULT_OTHER_LABEL = 'Other';
+
+class PivotTable {
+  /**
+   * Resolve the top-N option for a dimension: a number applies to every
+   * dimension, an object maps dimension names (or their aliases) to a limit
+   */
+  static topNFor(topN, dimension) {
+    if (!topN) return null;
+    if (typeof topN === 'number' || typeof topN === 'string') {
+      const limit = parseInt(topN, 10);
+      return limit > 0 ? limit : null;
+    }
+    const limit = parseInt(topN[dimension.as] ?? topN[dimension.column], 10);
+    return limit > 0 ? limit : null;
+  }
+
+  /**
+   * Find the values of one dimension to keep when applying a top-N cutoff.
+   * Values are ranked by the pivot measure when it is numeric, otherwise by row count.
+   */
+  static topValues(records, dimensionIndex, measure, limit) {
+    const accumulators = new Map();
+    records.forEach(record => {
+      const key = record.keys[dimensionIndex];
+      if (!accumulators.has(key)) accumulators.set(key, Aggregator.createAccumulator());
+      Aggregator.accumulate(accumulators.get(key), measure, record.value);
+    });
+
+    const ranked = Array.from(accumulators.entries()).map(([key, acc]) => {
+      const value = Aggregator.finalizeMeasure(measure, acc);
+      return { key, rank: typeof value === 'number' ? value : acc.count };
+    });
+    ranked.sort((a, b) => b.rank - a.rank);
+
+    return new Set(ranked.slice(0, limit).map(item => item.key));
+  }
+
+  /**
+   * Pick the label of a dimension's "Other" bucket so it cannot merge with a
+   * real value: a requested label that is already a value is rejected, the
+   * default one gets a numbered suffix until it is free
+   */
+  static otherLabelFor(values, requested, dimension) {
+    if (requested) {
+      if (values.has(requested)) {
+        throw new QueryError(`otherLabel "${requested}" is already a value of "${dimension.as}"`);
+      }
+      return requested;
+    }
+    let label = DEFAULT_OTHER_LABEL;
+    for (let suffix = 2; values.has(label); suffix++) {
+      label = `${DEFAULT_OTHER_LABEL} (${suffix})`;
+    }
+    return label;
+  }
+
+  /**
+   * Order header keys by their values, keeping the "Other" bucket last
+   */
+  static sortHeaders(headers, otherLabels) {
+    return headers.sort((a, b) => {
+      for (let i = 0; i < a.values.length; i++) {
+        const aOther = otherLabels[i] !== null && a.values[i] === otherLabels[i];
+        const bOther = otherLabels[i] !== null && b.values[i] === otherLabels[i];
+        if (aOther !== bOther) return aOther ? 1 : -1;
+        const result = RowQuery.compare(a.values[i], b.values[i]);
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Build a pivot table over the stored rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { rows, columns, value, fn, filters, topN, otherLabel }
+   * @returns {Object} Headers, value matrix, row/column totals, grand total and
+   *   the "Other" label used for each bucketed dimension
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const rowDimensions = Aggregator.parseGroupBy(options.rows, columns);
+    const columnDimensions = Aggregator.parseGroupBy(options.columns, columns);
+    const dimensions = [...rowDimensions, ...columnDimensions];
+
+    if (dimensions.length === 0) {
+      throw new QueryError('At least one row or column dimension is required');
+    }
+
+    const fn = options.fn || (options.value ? 'sum' : 'count');
+    const [measure] = Aggregator.parseMeasures([{ column: options.value, fn }], columns);
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+
+    // Keep only the dimension keys and measure value of each matching row
+    const records = [];
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      if (!predicate(row)) continue;
+      records.push({
+        keys: dimensions.map(dimension => Aggregator.groupValue(row, dimension)),
+        value: measure.column ? FileProcessor.coerceValue(row[measure.column], measure.type, measure.format) : null
+      });
+    }
+
+    // Bucket everything outside each dimension's top N into "Other"
+    const otherLabels = dimensions.map((dimension, index) => {
+      const limit = this.topNFor(options.topN, dimension);
+      if (!limit) return null;
+
+      const keep = this.topValues(records, index, measure, limit);
+      const values = new Set(records.map(record => record.keys[index]));
+      if (values.size === keep.size) return null;
+
+      const label = this.otherLabelFor(values, options.otherLabel, dimension);
+      records.forEach(record => {
+        if (!keep.has(record.keys[index])) record.keys[index] = label;
+      });
+      return label;
+    });
+
+    const rowCount = rowDimensions.length;
+    const cells = new Map();
+    const rowHeaders = new Map();
+    const columnHeaders = new Map();
+    const grand = Aggregator.createAccumulator();
+
+    const accumulatorFor = (map, key, values) => {
+      if (!map.has(key)) map.set(key, { values, acc: Aggregator.createAccumulator() });
+      return map.get(key).acc;
+    };
+
+    records.forEach(record => {
+      const rowValues = record.keys.slice(0, rowCount);
+      const columnValues = record.keys.slice(rowCount);
+      const rowKey = JSON.stringify(rowValues);
+      const columnKey = JSON.stringify(columnValues);
+
+      Aggregator.accumulate(accumulatorFor(rowHeaders, rowKey, rowValues), measure, record.value);
+      Aggregator.accumulate(accumulatorFor(columnHeaders, columnKey, columnValues), measure, record.value);
+      Aggregator.accumulate(accumulatorFor(cells, `${rowKey}|${columnKey}`, null), measure, record.value);
+      Aggregator.accumulate(grand, measure, record.value);
+    });
+
+    const sortedRows = this.sortHeaders(
+      Array.from(rowHeaders.entries()).map(([key, entry]) => ({ key, ...entry })),
+      otherLabels.slice(0, rowCount)
+    );
+    const sortedColumns = this.sortHeaders(
+      Array.from(columnHeaders.entries()).map(([key, entry]) => ({ key, ...entry })),
+      otherLabels.slice(rowCount)
+    );
+
+    const matrix = sortedRows.map(rowHeader => sortedColumns.map(columnHeader => {
+      const cell = cells.get(`${rowHeader.key}|${columnHeader.key}`);
+      return cell ? Aggregator.finalizeMeasure(measure, cell.acc) : null;
+    }));
+
+    return {
+      rowDimensions: rowDimensions.map(dimension => dimension.as),
+      columnDimensions: columnDimensions.map(dimension => dimension.as),
+      value: measure.column,
+      fn: measure.fn,
+      rowHeaders: sortedRows.map(header => header.values),
+      columnHeaders: sortedColumns.map(header => header.values),
+      matrix,
+      rowTotals: sortedRows.map(header => Aggregator.finalizeMeasure(measure, header.acc)),
+      columnTotals: sortedColumns.map(header => Aggregator.finalizeMeasure(measure, header.acc)),
+      grandTotal: Aggregator.finalizeMeasure(measure, grand),
+      otherLabels: Object.fromEntries(dimensions
+        .map((dimension, index) => [dimension.as, otherLabels[index]])
+        .filter(([, label]) => label !== null)),
+      recordCount: records.length
+    };
+  }
+}
+
+module.exports = PivotTable;
@@ -0,0 +1,230 @@
+const Aggregator = require('./aggregator');
+const { RowQuery, QueryError, FILTER_OPERATORS } = require('./rowQuery');
+
+const QUERY_TYPES = ['aggregate', 'rows'];
+const DEFAULT_ROW_LIMIT = 100;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Raised when a query names columns the dataset does not have, e.g. fields
+ * made up by the model. Carries the offending query so it can be shown and
+ * edited.
+ */
+class UnknownColumnError extends QueryError {
+  constructor(message, query) {
+    super(message);
+    this.name = 'UnknownColumnError';
+    this.query = query;
+  }
+}
+
+/**
+ * Translation of natural-language questions into structured queries over a
+ * file, and validation and execution of those queries:
+ *
+ * - aggregate: { type, groupBy, measures, filters, sort, limit }, run by Aggregator
+ * - rows: { type, columns, filters, sort, limit }, run by RowQuery
+ */
+class QueryTranslator {
+  /**
+   * Prompt asking the model for a query object answering the question
+   * @param {Array} columns - Visible FileData columns
+   * @param {String} question - User question
+   * @param {Object} summaryStats - Optional summary stats for value hints
+   */
+  static buildPrompt(columns, question, summaryStats) {
+    const describe = column => {
+      let line = `- "${column.name}" (${column.type}${column.subtype ? `, ${column.subtype}` : ''})`;
+      if (!summaryStats) return line;
+
+      const dates = summaryStats.dateStats && summaryStats.dateStats[column.name];
+      const categories = summaryStats.categoricalStats && summaryStats.categoricalStats[column.name];
+      if (dates && dates.earliest) {
+        line += `: ${dates.earliest.substring(0, 10)} to ${dates.latest.substring(0, 10)}`;
+      } else if (categories && categories.topValues) {
+        line += `: e.g. ${categories.topValues.map(item => JSON.stringify(item.value)).join(', ')}`;
+      }
+      return line;
+    };
+
+    return `Translate the question into a JSON query over a dataset with these columns:
+${columns.map(describe).join('\n')}
+
+Query format:
+{
+  "type": "aggregate" or "rows",
+  "groupBy": [{ "column": "...", "granularity": one of ${Aggregator.DATE_GRANULARITIES.join('|')} for date columns only }],
+  "measures": [{ "column": "...", "fn": one of ${Aggregator.MEASURE_FUNCTIONS.join('|')} }],
+  "filters": [{ "column": "...", "op": one of ${FILTER_OPERATORS.join('|')}, "value": ... }],
+  "columns": ["..."],
+  "sort": "...",
+  "limit": number
+}
+- Use "aggregate" for totals, averages, counts and breakdowns; groupBy, measures, filters, sort and limit apply.
+- Use "rows" to list individual rows; columns, filters, sort and limit apply.
+- "between" takes [min, max] and "in" takes an array. Dates are written as YYYY-MM-DD.
+- Measures are named "<fn>_<column>" (just "count" for count without a column); sort by that name, prefixed with "-" for descending.
+- Only use the column names listed above, spelled exactly.
+
+Question: ${question}
+
+Reply with only the JSON object.`;
+  }
+
+  /**
+   * Levenshtein distance, case-insensitive
+   */
+  static distance(a, b) {
+    const s = a.toLowerCase();
+    const t = b.toLowerCase();
+    let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= s.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= t.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[t.length];
+  }
+
+  /**
+   * Columns whose names are close to an unknown name
+   */
+  static suggest(name, columns) {
+    const limit = Math.max(2, Math.floor(name.length / 3));
+    return columns
+      .map(column => ({ name: column.name, distance: this.distance(name, column.name) }))
+      .filter(item => item.distance <= limit || item.name.toLowerCase().includes(name.toLowerCase()) || name.toLowerCase().includes(item.name.toLowerCase()))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(item => item.name);
+  }
+
+  /**
+   * Validate a query against the file's columns and normalize it. Column
+   * names that only differ in case are corrected; any other unknown name is
+   * rejected with suggestions.
+   * @param {Object} query - Query object, from the model or edited by the user
+   * @param {Array} columns - Visible FileData columns
+   * @returns {Object} Normalized query
+   */
+  static validate(query, columns) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      throw new QueryError('Query must be an object');
+    }
+
+    const type = query.type || (query.measures || query.groupBy ? 'aggregate' : 'rows');
+    if (!QUERY_TYPES.includes(type)) {
+      throw new QueryError(`Unsupported query type "${type}". Use one of: ${QUERY_TYPES.join(', ')}`);
+    }
+
+    const unknown = [];
+    const resolve = (name, field) => {
+      if (typeof name !== 'string' || !name) {
+        throw new QueryError(`Missing column name in ${field}`);
+      }
+      if (columns.some(column => column.name === name)) return name;
+      const match = columns.filter(column => column.name.toLowerCase() === name.toLowerCase());
+      if (match.length === 1) return match[0].name;
+      unknown.push({ name, field });
+      return name;
+    };
+    const list = value => (value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]));
+
+    const filters = list(query.filters).map(filter => ({
+      ...filter,
+      column: resolve(filter && filter.column, 'filters')
+    }));
+
+    let normalized;
+    if (type === 'aggregate') {
+      normalized = {
+        type,
+        groupBy: list(query.groupBy).map(group => {
+          const spec = typeof group === 'string' ? { column: group } : { ...group };
+          spec.column = resolve(spec.column, 'groupBy');
+          if (!spec.granularity) delete spec.granularity;
+          return spec;
+        }),
+        measures: list(query.measures).map(measure => {
+          const spec = typeof measure === 'string' ? { fn: measure } : { ...measure };
+          if (spec.column) spec.column = resolve(spec.column, 'measures');
+          return spec;
+        }),
+        filters
+      };
+    } else {
+      normalized = {
+        type,
+        columns: RowQuery.parseList(query.columns).map(name => resolve(name, 'columns')),
+        filters
+      };
+      if (query.sort) {
+        normalized.sort = RowQuery.parseList(query.sort)
+          .map(item => {
+            const descending = item.startsWith('-');
+            const name = resolve(descending ? item.slice(1) : item.replace(/:(asc|desc)$/i, ''), 'sort');
+            return descending || /:desc$/i.test(item) ? `-${name}` : name;
+          })
+          .join(',');
+      }
+    }
+
+    if (unknown.length > 0) {
+      const details = unknown.map(({ name, field }) => {
+        const suggestions = this.suggest(name, columns);
+        return `"${name}" in ${field}${suggestions.length > 0 ? ` (did you mean ${suggestions.map(item => `"${item}"`).join(' or ')}?)` : ''}`;
+      });
+      throw new UnknownColumnError(
+        `Unknown column${unknown.length > 1 ? 's' : ''} ${details.join(', ')}. Available columns: ${columns.map(column => column.name).join(', ')}`,
+        query
+      );
+    }
+
+    // Deeper checks (functions, operators, value types) are shared with the analysis endpoints
+    RowQuery.parseFilters(normalized.filters, columns);
+    if (type === 'aggregate') {
+      Aggregator.parseGroupBy(normalized.groupBy, columns);
+      Aggregator.parseMeasures(normalized.measures, columns);
+      if (query.sort) normalized.sort = RowQuery.parseList(query.sort).join(',');
+    }
+
+    const limit = parseInt(query.limit, 10);
+    if (limit > 0) normalized.limit = limit;
+
+    return normalized;
+  }
+
+  /**
+   * Run a validated query
+   * @param {Object} fileData - FileData document
+   * @param {Object} query - Output of validate
+   * @returns {Object} { columns, rows, total }
+   */
+  static async execute(fileData, query) {
+    if (query.type === 'aggregate') {
+      const result = await Aggregator.run(fileData, query);
+      return { columns: result.columns, rows: result.rows, total: result.groupCount };
+    }
+
+    const result = await RowQuery.execute(fileData, {
+      columns: query.columns,
+      filters: query.filters,
+      sort: query.sort,
+      limit: query.limit || DEFAULT_ROW_LIMIT
+    });
+    return { columns: result.columns, rows: result.rows, total: result.pagination.total };
+  }
+}
+
+QueryTranslator.QUERY_TYPES = QUERY_TYPES;
+
+module.exports = {
+  QueryTranslator,
+  UnknownColumnError
+};
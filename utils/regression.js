@@ -0,0 +1,364 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Statistics = require('./statistics');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const DEFAULT_MAX_CATEGORIES = 20;
+const CONFIDENCE_LEVEL = 0.95;
+// Pivots smaller than this (relative to the column scale) mark a term as collinear
+const SINGULAR_TOLERANCE = 1e-10;
+const INTERCEPT = '(Intercept)';
+
+/**
+ * Multiple linear regression by ordinary least squares. Number predictors
+ * enter as they are; boolean and string predictors are one-hot encoded with
+ * their most frequent value as the reference level. Rows with a missing target
+ * or predictor are left out.
+ */
+class Regression {
+  /**
+   * Resolve the target and predictor columns
+   * @param {Array} columns - Visible FileData columns
+   * @param {Object} options - { target, predictors }
+   * @returns {Object} { target, predictors: [{ name, kind, type, format }] }
+   */
+  static selectColumns(columns, options) {
+    if (!options.target) {
+      throw new QueryError('A target column is required');
+    }
+    const target = RowQuery.getColumn(columns, options.target);
+    if (target.type !== 'number') {
+      throw new QueryError(`Target "${target.name}" must be a number column, it is ${target.type}`);
+    }
+
+    const names = RowQuery.parseList(options.predictors);
+    const candidates = names.length > 0
+      ? names.map(name => RowQuery.getColumn(columns, name))
+      : columns.filter(column => column.type === 'number' && column.name !== target.name);
+    if (candidates.length === 0) {
+      throw new QueryError('At least one predictor column is required');
+    }
+
+    const predictors = candidates.map(column => {
+      if (column.name === target.name) {
+        throw new QueryError(`Target "${target.name}" cannot also be a predictor`);
+      }
+      if (column.type === 'date') {
+        throw new QueryError(`Date column "${column.name}" cannot be a predictor`);
+      }
+      return {
+        name: column.name,
+        kind: column.type === 'number' ? 'numeric' : 'categorical',
+        type: column.type,
+        format: column.format
+      };
+    });
+
+    return { target, predictors };
+  }
+
+  /**
+   * Build the design matrix terms, one-hot encoding categorical predictors
+   * @param {Array} predictors - From selectColumns
+   * @param {Array} values - Predictor values per complete row
+   * @param {Number} maxCategories - Most levels a categorical predictor may have
+   * @returns {Object} { terms: [{ name, column, category, encode(row) }] without the
+   *   intercept, references: { [column]: { reference, levels } } }
+   */
+  static buildTerms(predictors, values, maxCategories) {
+    const terms = [];
+    const references = {};
+
+    predictors.forEach((predictor, index) => {
+      if (predictor.kind === 'numeric') {
+        terms.push({ name: predictor.name, column: predictor.name, category: null, encode: row => row[index] });
+        return;
+      }
+
+      const counts = new Map();
+      values.forEach(row => counts.set(row[index], (counts.get(row[index]) || 0) + 1));
+      if (counts.size > maxCategories) {
+        throw new QueryError(`Predictor "${predictor.name}" has ${counts.size} categories; at most ${maxCategories} can be encoded`);
+      }
+      const levels = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .map(([level]) => level);
+
+      references[predictor.name] = { reference: levels[0], levels };
+      levels.slice(1).forEach(level => {
+        terms.push({
+          name: `${predictor.name}=${level}`,
+          column: predictor.name,
+          category: level,
+          encode: row => (row[index] === level ? 1 : 0)
+        });
+      });
+    });
+
+    return { terms, references };
+  }
+
+  /**
+   * Invert a symmetric positive semi-definite matrix by Gauss-Jordan
+   * elimination, leaving out terms that are linear combinations of others
+   * (or constant, which centring turns into all zeros)
+   * @param {Array} matrix - X'X as an array of rows
+   * @returns {Object} { inverse, kept } where inverse covers the kept indexes
+   */
+  static invert(matrix) {
+    let kept = matrix.map((row, index) => index);
+
+    for (;;) {
+      const size = kept.length;
+      const work = kept.map(i => [...kept.map(j => matrix[i][j]), ...kept.map(j => (i === j ? 1 : 0))]);
+      let failed = -1;
+
+      for (let col = 0; col < size && failed < 0; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+          if (Math.abs(work[row][col]) > Math.abs(work[pivot][col])) pivot = row;
+        }
+        const scale = Math.max(Math.abs(matrix[kept[col]][kept[col]]), 1);
+        if (Math.abs(work[pivot][col]) <= SINGULAR_TOLERANCE * scale) {
+          failed = col;
+          break;
+        }
+        [work[col], work[pivot]] = [work[pivot], work[col]];
+
+        const divisor = work[col][col];
+        for (let k = 0; k < 2 * size; k++) work[col][k] /= divisor;
+        for (let row = 0; row < size; row++) {
+          if (row === col || work[row][col] === 0) continue;
+          const factor = work[row][col];
+          for (let k = 0; k < 2 * size; k++) work[row][k] -= factor * work[col][k];
+        }
+      }
+
+      if (failed < 0) {
+        return { inverse: work.map(row => row.slice(size)), kept };
+      }
+      kept = kept.filter((index, position) => position !== failed);
+    }
+  }
+
+  /**
+   * Least-squares fit from the cross products of the centred design matrix
+   * @param {Array} xtx - X'X
+   * @param {Array} xty - X'y
+   * @param {Number} yty - y'y (the total sum of squares of the centred target)
+   * @param {Array} subset - Term indexes to use, all when omitted
+   * @returns {Object} { coefficients (by index, null when aliased), inverse, kept, sse }
+   */
+  static solve(xtx, xty, yty, subset = xtx.map((row, index) => index)) {
+    const reduced = subset.map(i => subset.map(j => xtx[i][j]));
+    const { inverse, kept } = this.invert(reduced);
+
+    const coefficients = xtx.map(() => null);
+    let explained = 0;
+    kept.forEach((position, a) => {
+      let estimate = 0;
+      kept.forEach((other, b) => {
+        estimate += inverse[a][b] * xty[subset[other]];
+      });
+      coefficients[subset[position]] = estimate;
+      explained += estimate * xty[subset[position]];
+    });
+
+    return {
+      coefficients,
+      inverse,
+      kept: kept.map(position => subset[position]),
+      sse: Math.max(yty - explained, 0)
+    };
+  }
+
+  /**
+   * Fit a regression over the stored rows of a file
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { target, predictors, filters, maxCategories }
+   * @returns {Object} { target, rowCount, droppedRows, n, coefficients, fit, residuals, importance, categories, aliased }
+   */
+  static async run(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    const { target, predictors } = this.selectColumns(columns, options);
+    const maxCategories = parseInt(options.maxCategories, 10) || DEFAULT_MAX_CATEGORIES;
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+
+    const ys = [];
+    const rows = [];
+    let rowCount = 0;
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      if (!predicate(row)) continue;
+      rowCount++;
+
+      const y = FileProcessor.coerceValue(row[target.name], 'number', target.format);
+      if (y === null) continue;
+      const values = predictors.map(predictor => {
+        if (predictor.kind === 'numeric') {
+          return FileProcessor.coerceValue(row[predictor.name], 'number', predictor.format);
+        }
+        const value = FileProcessor.coerceValue(row[predictor.name], predictor.type, predictor.format);
+        return value === null ? null : String(value).trim();
+      });
+      if (values.some(value => value === null)) continue;
+
+      ys.push(y);
+      rows.push(values);
+    }
+
+    return {
+      target: target.name,
+      rowCount,
+      droppedRows: rowCount - ys.length,
+      ...this.analyze(predictors, rows, ys, maxCategories)
+    };
+  }
+
+  /**
+   * Fit the model to complete rows
+   * @param {Array} predictors - From selectColumns
+   * @param {Array} rows - Predictor values per row
+   * @param {Array} ys - Target values
+   * @param {Number} maxCategories - Most levels a categorical predictor may have
+   */
+  static analyze(predictors, rows, ys, maxCategories = DEFAULT_MAX_CATEGORIES) {
+    const { terms, references } = this.buildTerms(predictors, rows, maxCategories);
+    const n = ys.length;
+    if (n <= terms.length + 1) {
+      throw new QueryError(`Regression needs more complete rows (${n}) than coefficients (${terms.length + 1})`);
+    }
+
+    // Terms and target are centred (and terms scaled to unit variance) so the
+    // cross products stay well conditioned; estimates are mapped back after
+    const meanY = Statistics.mean(ys);
+    const means = terms.map(term => Statistics.mean(rows.map(row => term.encode(row))));
+    const scales = terms.map((term, j) => {
+      const stdDev = Math.sqrt(Statistics.variance(rows.map(row => term.encode(row)), means[j]));
+      return stdDev > 0 ? stdDev : 1;
+    });
+
+    const size = terms.length;
+    const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+    const xty = new Array(size).fill(0);
+    let yty = 0;
+    rows.forEach((row, r) => {
+      const x = terms.map((term, j) => (term.encode(row) - means[j]) / scales[j]);
+      const y = ys[r] - meanY;
+      for (let i = 0; i < size; i++) {
+        xty[i] += x[i] * y;
+        for (let j = i; j < size; j++) xtx[i][j] += x[i] * x[j];
+      }
+      yty += y * y;
+    });
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < i; j++) xtx[i][j] = xtx[j][i];
+    }
+
+    const full = this.solve(xtx, xty, yty);
+    const p = full.kept.length + 1;
+    const dfResidual = n - p;
+    const sst = yty;
+    const rSquared = sst > 0 ? 1 - full.sse / sst : null;
+    const sigma2 = full.sse / dfResidual;
+    const dfModel = p - 1;
+    const fStatistic = dfModel > 0 && sigma2 > 0 ? ((sst - full.sse) / dfModel) / sigma2 : null;
+    const tCritical = Statistics.tQuantile(0.5 + CONFIDENCE_LEVEL / 2, dfResidual);
+    const stdDevY = Math.sqrt(sst / (n - 1));
+
+    const describe = (base, estimate, stdError, standardized) => {
+      const tStat = stdError > 0 ? estimate / stdError : null;
+      return {
+        ...base,
+        estimate,
+        stdError,
+        tStat,
+        pValue: tStat !== null ? Statistics.tPValue(tStat, dfResidual) : null,
+        ciLower: estimate - tCritical * stdError,
+        ciUpper: estimate + tCritical * stdError,
+        // Change in target standard deviations per standard deviation of the term
+        standardized
+      };
+    };
+
+    const estimates = terms.map((term, j) => (full.coefficients[j] !== null ? full.coefficients[j] / scales[j] : null));
+
+    // The intercept is meanY - sum(b_j * mean_j); its variance follows from the
+    // covariance of the scaled estimates
+    const shifts = full.kept.map(j => means[j] / scales[j]);
+    let interceptVariance = 1 / n;
+    shifts.forEach((a, i) => shifts.forEach((b, k) => {
+      interceptVariance += a * full.inverse[i][k] * b;
+    }));
+    const intercept = describe(
+      { term: INTERCEPT, column: null, category: null },
+      meanY - Statistics.sum(full.kept.map(j => estimates[j] * means[j])),
+      Math.sqrt(Math.max(sigma2 * interceptVariance, 0)),
+      null
+    );
+
+    const coefficients = [intercept, ...terms.map((term, j) => {
+      const base = { term: term.name, column: term.column, category: term.category };
+      const position = full.kept.indexOf(j);
+      if (position < 0) return { ...base, estimate: null, aliased: true };
+      return describe(
+        base,
+        estimates[j],
+        Math.sqrt(Math.max(sigma2 * full.inverse[position][position], 0)) / scales[j],
+        stdDevY > 0 ? full.coefficients[j] / stdDevY : null
+      );
+    })];
+
+    // Importance: how much R² drops when all of a column's terms are removed
+    const importance = predictors.map(predictor => {
+      const subset = full.kept.filter(j => terms[j].column !== predictor.name);
+      const reduced = this.solve(xtx, xty, yty, subset);
+      const drop = sst > 0 ? Math.max((reduced.sse - full.sse) / sst, 0) : 0;
+      return { column: predictor.name, kind: predictor.kind, rSquaredDrop: drop };
+    });
+    const totalDrop = Statistics.sum(importance.map(item => item.rSquaredDrop));
+    importance.forEach(item => {
+      item.share = totalDrop > 0 ? item.rSquaredDrop / totalDrop : 0;
+    });
+    importance.sort((a, b) => b.rSquaredDrop - a.rSquaredDrop);
+    importance.forEach((item, index) => {
+      item.rank = index + 1;
+    });
+
+    const residuals = rows.map((row, r) => {
+      let predicted = intercept.estimate;
+      terms.forEach((term, j) => {
+        if (estimates[j] !== null) predicted += estimates[j] * term.encode(row);
+      });
+      return ys[r] - predicted;
+    });
+    const sorted = Float64Array.from(residuals).sort();
+
+    return {
+      n,
+      coefficients,
+      fit: {
+        rSquared,
+        adjustedRSquared: rSquared !== null ? 1 - (1 - rSquared) * (n - 1) / dfResidual : null,
+        residualStdError: Math.sqrt(sigma2),
+        fStatistic,
+        fPValue: fStatistic !== null ? Statistics.fPValue(fStatistic, dfModel, dfResidual) : null,
+        dfModel,
+        dfResidual
+      },
+      residuals: {
+        min: sorted[0],
+        q1: Statistics.quantile(sorted, 0.25),
+        median: Statistics.quantile(sorted, 0.5),
+        q3: Statistics.quantile(sorted, 0.75),
+        max: sorted[sorted.length - 1],
+        stdDev: Math.sqrt(sigma2),
+        skewness: Statistics.skewness(residuals, 0)
+      },
+      importance,
+      categories: references,
+      aliased: coefficients.filter(coefficient => coefficient.aliased).map(coefficient => coefficient.term)
+    };
+  }
+}
+
+module.exports = Regression;
@@ -0,0 +1,311 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'contains', 'in', 'isNull'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Raised for invalid query input; controllers answer it with a 400
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+class RowQuery {
+  /**
+   * Columns of a file that are not hidden by a schema override
+   * @param {Object} fileData - FileData document
+   * @returns {Array} Column definitions
+   */
+  static visibleColumns(fileData) {
+    return fileData.columns.filter(col => !col.hidden);
+  }
+
+  /**
+   * Look up a column definition, failing on names that are not in the dataset
+   * @param {Array} columns - FileData.columns
+   * @param {String} name - Column name
+   * @returns {Object} Column definition
+   */
+  static getColumn(columns, name) {
+    const column = columns.find(col => col.name === name);
+    if (!column) {
+      throw new QueryError(`Unknown column "${name}". Available columns: ${columns.map(col => col.name).join(', ')}`);
+    }
+    return column;
+  }
+
+  /**
+   * Parse a comma separated list or array of column names
+   */
+  static parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse and validate filters
+   * @param {String|Array} filters - JSON string or array of { column, op, value }
+   * @param {Array} columns - FileData.columns
+   * @returns {Array} Normalized filters with the column type attached
+   */
+  static parseFilters(filters, columns) {
+    if (filters === undefined || filters === null || filters === '') return [];
+
+    let parsed = filters;
+    if (typeof filters === 'string') {
+      try {
+        parsed = JSON.parse(filters);
+      } catch (error) {
+        throw new QueryError('Filters must be valid JSON');
+      }
+    }
+    if (!Array.isArray(parsed)) {
+      parsed = [parsed];
+    }
+
+    return parsed.map((filter, index) => {
+      if (!filter || typeof filter !== 'object') {
+        throw new QueryError(`Invalid filter at index ${index}`);
+      }
+
+      const { column: name, op = 'eq', value } = filter;
+      const column = this.getColumn(columns, name);
+
+      if (!FILTER_OPERATORS.includes(op)) {
+        throw new QueryError(`Unsupported filter operator "${op}". Use one of: ${FILTER_OPERATORS.join(', ')}`);
+      }
+      if (op === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+        throw new QueryError(`Filter "between" on "${name}" requires a [min, max] value`);
+      }
+      if (op === 'in' && !Array.isArray(value)) {
+        throw new QueryError(`Filter "in" on "${name}" requires an array value`);
+      }
+      if (!['isNull', 'contains'].includes(op) && value === undefined) {
+        throw new QueryError(`Filter "${op}" on "${name}" requires a value`);
+      }
+
+      const coerce = val => {
+        const coerced = FileProcessor.coerceValue(val, column.type, column.format);
+        if (coerced === null) {
+          throw new QueryError(`Filter value ${JSON.stringify(val)} is not a valid ${column.type} for "${name}"`);
+        }
+        return coerced;
+      };
+
+      let operand;
+      if (op === 'between') operand = value.map(coerce);
+      else if (op === 'in') operand = value.map(coerce);
+      else if (op === 'isNull') operand = value !== false && value !== 'false';
+      else if (op === 'contains') operand = String(value ?? '').toLowerCase();
+      else operand = coerce(value);
+
+      return { column: name, type: column.type, format: column.format, op, operand };
+    });
+  }
+
+  /**
+   * Build a row predicate from normalized filters (all filters must match)
+   * @param {Array} filters - Output of parseFilters
+   * @returns {Function} (row) => Boolean
+   */
+  static buildPredicate(filters) {
+    if (!filters || filters.length === 0) return () => true;
+
+    const tests = filters.map(({ column, type, format, op, operand }) => {
+      return row => {
+        const raw = row[column];
+        const value = FileProcessor.coerceValue(raw, type, format);
+
+        if (op === 'isNull') return (value === null) === operand;
+        if (op === 'contains') return value !== null && String(raw).toLowerCase().includes(operand);
+        if (value === null) return op === 'neq';
+
+        switch (op) {
+          case 'eq': return this.compare(value, operand) === 0;
+          case 'neq': return this.compare(value, operand) !== 0;
+          case 'gt': return this.compare(value, operand) > 0;
+          case 'gte': return this.compare(value, operand) >= 0;
+          case 'lt': return this.compare(value, operand) < 0;
+          case 'lte': return this.compare(value, operand) <= 0;
+          case 'between':
+            return this.compare(value, operand[0]) >= 0 && this.compare(value, operand[1]) <= 0;
+          case 'in': return operand.some(item => this.compare(value, item) === 0);
+          default: return false;
+        }
+      };
+    });
+
+    return row => tests.every(test => test(row));
+  }
+
+  /**
+   * Compare two coerced values of the same type; nulls sort last
+   */
+  static compare(a, b) {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * Parse a sort spec such as "region,-revenue" or "revenue:desc"
+   * @returns {Array} [{ column, type, format, direction }]
+   */
+  static parseSort(sort, order, columns) {
+    return this.parseList(sort).map(item => {
+      let name = item;
+      let direction = order === 'desc' ? -1 : 1;
+
+      if (name.startsWith('-')) {
+        name = name.slice(1);
+        direction = -1;
+      } else if (/:(asc|desc)$/i.test(name)) {
+        direction = /:desc$/i.test(name) ? -1 : 1;
+        name = name.replace(/:(asc|desc)$/i, '');
+      }
+
+      const column = this.getColumn(columns, name);
+      return { column: column.name, type: column.type, format: column.format, direction };
+    });
+  }
+
+  /**
+   * Stream the stored rows of a file through the filters, sorting and paging
+   * @param {Object} fileData - FileData document (needs _id, columns, rowCount)
+   * @param {Object} options - { filters, sort, order, columns, page, limit, cursor }
+   * @returns {Object} { columns, rows, pagination }
+   */
+  static async execute(fileData, options = {}) {
+    const columns = this.visibleColumns(fileData);
+    const filters = this.parseFilters(options.filters, columns);
+    const sort = this.parseSort(options.sort, options.order, columns);
+    const projection = this.parseList(options.columns).map(name => this.getColumn(columns, name));
+    const outputColumns = projection.length > 0 ? projection : columns;
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const cursor = options.cursor ? this.decodeCursor(options.cursor, sort) : null;
+
+    let total;
+    let pageRows;
+    let hasMore;
+
+    if (filters.length === 0 && sort.length === 0 && !cursor) {
+      // Plain paging can read just the chunks that hold the requested page
+      total = fileData.rowCount;
+      const skip = (page - 1) * limit;
+      pageRows = [];
+      let index = skip;
+      for await (const row of DatasetStore.iterateRows(fileData._id, { skip, limit })) {
+        pageRows.push({ index: index++, row });
+      }
+      hasMore = page * limit < total;
+    } else {
+      const predicate = this.buildPredicate(filters);
+      let matches = [];
+      let index = 0;
+      for await (const row of DatasetStore.iterateRows(fileData._id)) {
+        if (predicate(row)) matches.push({ index, row });
+        index++;
+      }
+      total = matches.length;
+
+      if (sort.length > 0) {
+        matches = matches.map(match => ({
+          ...match,
+          key: sort.map(({ column, type, format }) => FileProcessor.coerceValue(match.row[column], type, format))
+        }));
+        matches.sort((a, b) => this.compareKeys(a, b, sort));
+      }
+
+      if (cursor) {
+        const start = matches.findIndex(match => this.compareKeys(match, cursor, sort) > 0);
+        pageRows = start === -1 ? [] : matches.slice(start, start + limit);
+        hasMore = start !== -1 && start + limit < total;
+      } else {
+        pageRows = matches.slice((page - 1) * limit, (page - 1) * limit + limit);
+        hasMore = page * limit < total;
+      }
+    }
+
+    const rows = pageRows.map(({ index, row }) => {
+      const output = { _row: index };
+      outputColumns.forEach(col => {
+        output[col.name] = row[col.name] === undefined ? null : row[col.name];
+      });
+      return output;
+    });
+
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      columns: outputColumns.map(col => ({ name: col.name, type: col.type })),
+      rows,
+      pagination: {
+        page: cursor ? null : page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore && last ? this.encodeCursor(last, sort) : null
+      }
+    };
+  }
+
+  /**
+   * Order two matches by their sort key, falling back to the original row order
+   */
+  static compareKeys(a, b, sort) {
+    for (let i = 0; i < sort.length; i++) {
+      const result = this.compare(a.key[i], b.key[i]);
+      if (result !== 0) {
+        // Nulls stay last whatever the direction
+        if (a.key[i] === null || b.key[i] === null) return result;
+        return result * sort[i].direction;
+      }
+    }
+    return a.index - b.index;
+  }
+
+  static encodeCursor(match, sort) {
+    const key = (match.key || []).map(value => (value instanceof Date ? { $date: value.getTime() } : value));
+    return Buffer.from(JSON.stringify({ index: match.index, key, sort: sort.map(s => s.column) })).toString('base64url');
+  }
+
+  static decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new QueryError('Invalid cursor');
+    }
+    if (!decoded || typeof decoded !== 'object' || !Number.isInteger(decoded.index) ||
+        (decoded.key !== undefined && !Array.isArray(decoded.key))) {
+      throw new QueryError('Invalid cursor');
+    }
+    if (!Array.isArray(decoded.sort) || decoded.sort.join(',') !== sort.map(s => s.column).join(',')) {
+      throw new QueryError('Cursor was created with a different sort order');
+    }
+    return {
+      index: decoded.index,
+      key: (decoded.key || []).map(value => (value && value.$date !== undefined ? new Date(value.$date) : value))
+    };
+  }
+}
+
+module.exports = {
+  RowQuery,
+  QueryError,
+  FILTER_OPERATORS
+};
@@ -0,0 +1,502 @@
+const DEFAULT_PERCENTILES = [5, 95, 99];
+const MAX_HISTOGRAM_BINS = 100;
+
+/**
+ * Descriptive statistics, correlations and linear fits over arrays of numbers,
+ * plus the normal, t, F and chi-square distributions used for intervals and
+ * p-values. Sample (n - 1) estimators are used for variance and the
+ * bias-adjusted forms for skewness and kurtosis.
+ */
+class Statistics {
+  static sum(values) {
+    let total = 0;
+    for (const value of values) total += value;
+    return total;
+  }
+
+  static mean(values) {
+    return values.length > 0 ? this.sum(values) / values.length : null;
+  }
+
+  /**
+   * Sample variance
+   * @param {Array} values - Numbers
+   * @param {Number} mean - Mean of the values, computed when omitted
+   */
+  static variance(values, mean = this.mean(values)) {
+    if (values.length < 2) return values.length === 1 ? 0 : null;
+    let squares = 0;
+    for (const value of values) squares += (value - mean) ** 2;
+    return squares / (values.length - 1);
+  }
+
+  /**
+   * Smallest and largest value, without spreading large arrays into Math.min/max
+   * @returns {Object} { min, max }, both null when there are no values
+   */
+  static extent(values) {
+    let min = null;
+    let max = null;
+    for (const value of values) {
+      if (min === null || value < min) min = value;
+      if (max === null || value > max) max = value;
+    }
+    return { min, max };
+  }
+
+  /**
+   * Quantile of sorted values with linear interpolation between ranks
+   * @param {Array} sorted - Numbers in ascending order
+   * @param {Number} p - Probability between 0 and 1
+   */
+  static quantile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Central moments m2, m3 and m4 around the mean
+   */
+  static moments(values, mean) {
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    for (const value of values) {
+      const deviation = value - mean;
+      const squared = deviation * deviation;
+      m2 += squared;
+      m3 += squared * deviation;
+      m4 += squared * squared;
+    }
+    const n = values.length;
+    return { m2: m2 / n, m3: m3 / n, m4: m4 / n };
+  }
+
+  /**
+   * Adjusted Fisher-Pearson skewness (G1); null for fewer than 3 values or no spread
+   */
+  static skewness(values, mean = this.mean(values)) {
+    const n = values.length;
+    if (n < 3) return null;
+    const { m2, m3 } = this.moments(values, mean);
+    if (m2 === 0) return null;
+    return (Math.sqrt(n * (n - 1)) / (n - 2)) * (m3 / m2 ** 1.5);
+  }
+
+  /**
+   * Sample excess kurtosis (G2); 0 for a normal distribution
+   */
+  static kurtosis(values, mean = this.mean(values)) {
+    const n = values.length;
+    if (n < 4) return null;
+    const { m2, m4 } = this.moments(values, mean);
+    if (m2 === 0) return null;
+    const g2 = m4 / (m2 * m2) - 3;
+    return ((n - 1) / ((n - 2) * (n - 3))) * ((n + 1) * g2 + 6);
+  }
+
+  /**
+   * Equal-width histogram. The bin width follows the Freedman-Diaconis rule
+   * (2 * IQR / cube root of n), falling back to Sturges' rule when the IQR is 0.
+   * @param {Array} sorted - Numbers in ascending order
+   * @param {Object} options - { bins } to force a bin count
+   * @returns {Object} { method, binWidth, bins: [{ start, end, count }] }
+   */
+  static histogram(sorted, options = {}) {
+    const n = sorted.length;
+    if (n === 0) return { method: null, binWidth: null, bins: [] };
+
+    const min = sorted[0];
+    const max = sorted[n - 1];
+    if (min === max) {
+      return { method: 'single', binWidth: 0, bins: [{ start: min, end: max, count: n }] };
+    }
+
+    let method = 'fixed';
+    let binCount = parseInt(options.bins, 10);
+    if (!(binCount > 0)) {
+      const iqr = this.quantile(sorted, 0.75) - this.quantile(sorted, 0.25);
+      const width = 2 * iqr / Math.cbrt(n);
+      if (width > 0) {
+        method = 'freedman-diaconis';
+        binCount = Math.ceil((max - min) / width);
+      } else {
+        method = 'sturges';
+        binCount = Math.ceil(Math.log2(n) + 1);
+      }
+    }
+    binCount = Math.min(Math.max(binCount, 1), MAX_HISTOGRAM_BINS);
+
+    const binWidth = (max - min) / binCount;
+    const bins = Array.from({ length: binCount }, (_, index) => ({
+      start: min + index * binWidth,
+      end: index === binCount - 1 ? max : min + (index + 1) * binWidth,
+      count: 0
+    }));
+    for (const value of sorted) {
+      // The last bin is closed so the maximum lands in it
+      const index = Math.min(Math.floor((value - min) / binWidth), binCount - 1);
+      bins[index].count++;
+    }
+
+    return { method, binWidth, bins };
+  }
+
+  /**
+   * Full description of a numeric sample
+   * @param {Array} values - Numbers (no nulls)
+   * @param {Object} options - { percentiles: [5, 95, 99], bins }
+   * @returns {Object|null} null when there are no values
+   */
+  static describe(values, options = {}) {
+    if (values.length === 0) return null;
+
+    const percentiles = options.percentiles || DEFAULT_PERCENTILES;
+    const sorted = Float64Array.from(values).sort();
+    const sum = this.sum(values);
+    const mean = sum / values.length;
+    const variance = this.variance(values, mean);
+    const stdDev = Math.sqrt(variance);
+    const q1 = this.quantile(sorted, 0.25);
+    const q3 = this.quantile(sorted, 0.75);
+
+    let zeroCount = 0;
+    let negativeCount = 0;
+    for (const value of values) {
+      if (value === 0) zeroCount++;
+      else if (value < 0) negativeCount++;
+    }
+
+    return {
+      count: values.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      range: sorted[sorted.length - 1] - sorted[0],
+      sum,
+      mean,
+      median: this.quantile(sorted, 0.5),
+      variance,
+      stdDev,
+      q1,
+      q3,
+      iqr: q3 - q1,
+      percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, this.quantile(sorted, p / 100)])),
+      skewness: this.skewness(values, mean),
+      kurtosis: this.kurtosis(values, mean),
+      coefficientOfVariation: mean !== 0 ? stdDev / Math.abs(mean) : null,
+      zeroCount,
+      negativeCount,
+      histogram: this.histogram(sorted, { bins: options.bins })
+    };
+  }
+
+  /**
+   * Pearson correlation of two equally long arrays
+   * @returns {Number|null} null for fewer than 3 pairs or no variation
+   */
+  static pearson(xs, ys) {
+    const n = xs.length;
+    if (n < 3) return null;
+    const meanX = this.mean(xs);
+    const meanY = this.mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = xs[i] - meanX;
+      const dy = ys[i] - meanY;
+      covariance += dx * dy;
+      varianceX += dx * dx;
+      varianceY += dy * dy;
+    }
+    if (varianceX === 0 || varianceY === 0) return null;
+    return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+  }
+
+  /**
+   * Least-squares line through (x, y) pairs
+   * @returns {Object|null} { slope, intercept, rSquared, n }; null for fewer than 2
+   *   pairs or no variation in x. rSquared is null when y is constant.
+   */
+  static linearFit(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+    const meanX = this.mean(xs);
+    const meanY = this.mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = xs[i] - meanX;
+      const dy = ys[i] - meanY;
+      covariance += dx * dy;
+      varianceX += dx * dx;
+      varianceY += dy * dy;
+    }
+    if (varianceX === 0) return null;
+
+    const slope = covariance / varianceX;
+    return {
+      slope,
+      intercept: meanY - slope * meanX,
+      rSquared: varianceY > 0 ? Math.min(1, (covariance * covariance) / (varianceX * varianceY)) : null,
+      n
+    };
+  }
+
+  /**
+   * Ranks starting at 1, tied values sharing their average rank
+   */
+  static ranks(values) {
+    const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    let start = 0;
+    while (start < order.length) {
+      let end = start;
+      while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+      const rank = (start + end) / 2 + 1;
+      for (let i = start; i <= end; i++) ranks[order[i]] = rank;
+      start = end + 1;
+    }
+    return ranks;
+  }
+
+  /**
+   * Spearman rank correlation (Pearson over tie-averaged ranks)
+   */
+  static spearman(xs, ys) {
+    if (xs.length < 3) return null;
+    return this.pearson(this.ranks(xs), this.ranks(ys));
+  }
+
+  /**
+   * Inverse of the standard normal CDF (Acklam's rational approximation,
+   * relative error below 1.2e-9)
+   * @param {Number} p - Probability strictly between 0 and 1
+   */
+  static normalQuantile(p) {
+    if (!(p > 0 && p < 1)) return null;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+      return -this.normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Natural log of the gamma function (Lanczos approximation)
+   */
+  static logGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) series += coefficient / ++y;
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b), evaluated with a continued
+   * fraction (Numerical Recipes betacf)
+   */
+  static incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(
+      this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+    // The fraction converges quickly only on one side of the mean
+    if (x > (a + 1) / (a + b + 2)) return 1 - this.incompleteBeta(1 - x, b, a);
+
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+    for (let m = 1; m <= 300; m++) {
+      const m2 = 2 * m;
+      let step = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + step * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + step / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      result *= d * c;
+
+      step = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + step * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + step / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+      if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return front * result / a;
+  }
+
+  /**
+   * Regularized lower incomplete gamma function P(a, x)
+   */
+  static incompleteGamma(a, x) {
+    return 1 - this.incompleteGammaUpper(a, x);
+  }
+
+  /**
+   * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x), by the
+   * series below a + 1 and a continued fraction above (Numerical Recipes
+   * gser/gcf), so small tail probabilities keep their precision
+   */
+  static incompleteGammaUpper(a, x) {
+    if (x <= 0) return 1;
+    const logFront = -x + a * Math.log(x) - this.logGamma(a);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let total = term;
+      for (let n = 1; n <= 500; n++) {
+        term *= x / (a + n);
+        total += term;
+        if (Math.abs(term) < Math.abs(total) * 1e-14) break;
+      }
+      return 1 - total * Math.exp(logFront);
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let result = d;
+    for (let n = 1; n <= 500; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+      if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.exp(logFront) * result;
+  }
+
+  /**
+   * Cumulative probability of the standard normal distribution
+   */
+  static normalCdf(z) {
+    const tail = 0.5 * this.incompleteGammaUpper(0.5, (z * z) / 2);
+    return z >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Upper-tail p-value of a chi-square statistic
+   */
+  static chiSquarePValue(chiSquare, df) {
+    if (!(chiSquare > 0)) return 1;
+    return this.incompleteGammaUpper(df / 2, chiSquare / 2);
+  }
+
+  /**
+   * Cumulative probability of Student's t distribution
+   * @param {Number} t - Statistic
+   * @param {Number} df - Degrees of freedom
+   */
+  static tCdf(t, df) {
+    const tail = 0.5 * this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Two-sided p-value of a t statistic
+   */
+  static tPValue(t, df) {
+    if (!isFinite(t)) return 0;
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  /**
+   * Quantile of Student's t distribution, found by bisection on the CDF
+   * @param {Number} p - Probability strictly between 0 and 1
+   * @param {Number} df - Degrees of freedom
+   */
+  static tQuantile(p, df) {
+    if (!(p > 0 && p < 1)) return null;
+    if (p < 0.5) return -this.tQuantile(1 - p, df);
+
+    let low = 0;
+    let high = 1;
+    while (this.tCdf(high, df) < p) high *= 2;
+    for (let i = 0; i < 100 && high - low > 1e-10; i++) {
+      const middle = (low + high) / 2;
+      if (this.tCdf(middle, df) < p) low = middle;
+      else high = middle;
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Upper-tail p-value of an F statistic
+   */
+  static fPValue(f, df1, df2) {
+    if (!(f > 0)) return 1;
+    return this.incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+  }
+
+  /**
+   * Most frequent value of a tally, ties going to the value that sorts first
+   * @param {Map|Object} counts - Count per value
+   * @returns {Array|null} [value, count], or null for an empty tally
+   */
+  static mostFrequent(counts) {
+    const entries = counts instanceof Map ? Array.from(counts.entries()) : Object.entries(counts);
+    if (entries.length === 0) return null;
+    return entries.sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0];
+  }
+
+  /**
+   * Short form of a number for AI prompts: integers as they are, other
+   * numbers to two decimals
+   */
+  static formatNumber(value) {
+    if (value === null || value === undefined) return 'n/a';
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+
+  /**
+   * Validate requested percentiles: numbers (or "p95" strings) between 0 and 100
+   * @returns {Array|null} Sorted unique percentiles, or null when any is invalid
+   */
+  static parsePercentiles(list) {
+    if (list === undefined || list === null || list === '') return DEFAULT_PERCENTILES;
+
+    const items = Array.isArray(list) ? list : String(list).split(',');
+    const parsed = items.map(item => Number(String(item).trim().replace(/^p/i, '')));
+    if (parsed.length === 0 || parsed.some(p => isNaN(p) || p < 0 || p > 100)) return null;
+    return Array.from(new Set(parsed)).sort((a, b) => a - b);
+  }
+}
+
+Statistics.DEFAULT_PERCENTILES = DEFAULT_PERCENTILES;
+
+module.exports = Statistics;
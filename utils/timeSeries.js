@@ -0,0 +1,376 @@
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const Aggregator = require('./aggregator');
+const Statistics = require('./statistics');
+const { RowQuery, QueryError } = require('./rowQuery');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Regular spacings, each with the range of gaps (in ms) that counts as one step
+const GRANULARITIES = [
+  { name: 'hourly', step: HOUR, min: 0.9 * HOUR, max: 1.1 * HOUR },
+  { name: 'daily', step: DAY, min: 0.9 * DAY, max: 1.1 * DAY },
+  { name: 'weekly', step: 7 * DAY, min: 6.5 * DAY, max: 7.5 * DAY },
+  { name: 'monthly', step: 30.44 * DAY, min: 28 * DAY, max: 31.5 * DAY },
+  { name: 'quarterly', step: 91.31 * DAY, min: 89 * DAY, max: 92.5 * DAY },
+  { name: 'yearly', step: 365.25 * DAY, min: 365 * DAY, max: 366.5 * DAY }
+];
+// Share of consecutive gaps that must match a granularity for it to be detected
+const GRANULARITY_MIN_SHARE = 0.6;
+const MAX_GAPS = 10;
+
+const FREQUENCIES = ['day', 'week', 'month', 'quarter', 'year'];
+const RESAMPLE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'median', 'distinctCount'];
+// zero: empty periods are 0, null: left empty, previous: carry the last value
+// forward, linear: interpolate between the surrounding values
+const FILL_METHODS = ['zero', 'null', 'previous', 'linear'];
+const DEFAULT_WINDOW = 3;
+// Resampling to more periods than this needs a coarser frequency
+const MAX_PERIODS = 5000;
+
+/**
+ * Helpers for date-indexed data: spacing and gap detection for summaries, and
+ * resampling to a regular frequency for trend analysis. The trend is fitted
+ * over the period index, so its slope is the change per period.
+ */
+class TimeSeries {
+  /**
+   * Detect the spacing of a series of timestamps
+   * @param {Array} timestamps - Milliseconds, in any order; duplicates are ignored
+   * @returns {Object} { granularity, step, share } with granularity 'irregular'
+   *   when no regular spacing dominates, or null for fewer than 3 distinct values
+   */
+  static detectGranularity(timestamps) {
+    const unique = this.uniqueSorted(timestamps);
+    if (unique.length < 3) return { granularity: null, step: null, share: null };
+
+    const diffs = [];
+    for (let i = 1; i < unique.length; i++) diffs.push(unique[i] - unique[i - 1]);
+
+    let best = null;
+    GRANULARITIES.forEach(granularity => {
+      const matching = diffs.filter(diff => diff >= granularity.min && diff <= granularity.max).length;
+      const share = matching / diffs.length;
+      if (!best || share > best.share) best = { granularity: granularity.name, step: granularity.step, share };
+    });
+
+    if (best.share >= GRANULARITY_MIN_SHARE) {
+      return { ...best, share: Math.round(best.share * 1000) / 1000 };
+    }
+
+    // Any other spacing that repeats, e.g. every 15 minutes or every 2 days
+    const counts = new Map();
+    diffs.forEach(diff => counts.set(diff, (counts.get(diff) || 0) + 1));
+    const [commonDiff, commonCount] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+    const share = commonCount / diffs.length;
+    if (share >= GRANULARITY_MIN_SHARE) {
+      return { granularity: 'custom', step: commonDiff, share: Math.round(share * 1000) / 1000 };
+    }
+
+    return { granularity: 'irregular', step: null, share: Math.round(best.share * 1000) / 1000 };
+  }
+
+  /**
+   * Find holes in a regular series: consecutive values further apart than one step
+   * @param {Array} timestamps - Milliseconds
+   * @param {Number} step - Expected spacing in ms
+   * @returns {Object} { count, missingPeriods, largest: [{ from, to, missingPeriods }] }
+   */
+  static findGaps(timestamps, step) {
+    const unique = this.uniqueSorted(timestamps);
+    const gaps = [];
+    let missingPeriods = 0;
+
+    for (let i = 1; i < unique.length; i++) {
+      const periods = Math.round((unique[i] - unique[i - 1]) / step) - 1;
+      if (periods >= 1) {
+        missingPeriods += periods;
+        gaps.push({
+          from: new Date(unique[i - 1]).toISOString(),
+          to: new Date(unique[i]).toISOString(),
+          missingPeriods: periods
+        });
+      }
+    }
+
+    return {
+      count: gaps.length,
+      missingPeriods,
+      largest: gaps.sort((a, b) => b.missingPeriods - a.missingPeriods).slice(0, MAX_GAPS)
+    };
+  }
+
+  static uniqueSorted(timestamps) {
+    return Array.from(new Set(timestamps)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Start of the period a date falls in (UTC; weeks start on Monday as in ISO 8601)
+   * @param {Date} date - Date value
+   * @param {String} frequency - day, week, month, quarter or year
+   * @returns {Number} Milliseconds
+   */
+  static periodStart(date, frequency) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    switch (frequency) {
+      case 'day':
+        return Date.UTC(year, month, date.getUTCDate());
+      case 'week':
+        return Date.UTC(year, month, date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+      case 'month':
+        return Date.UTC(year, month, 1);
+      case 'quarter':
+        return Date.UTC(year, month - month % 3, 1);
+      default:
+        return Date.UTC(year, 0, 1);
+    }
+  }
+
+  /**
+   * Start of the period following the one starting at `start`
+   */
+  static nextPeriod(start, frequency) {
+    const date = new Date(start);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    switch (frequency) {
+      case 'day':
+        return start + DAY;
+      case 'week':
+        return start + 7 * DAY;
+      case 'month':
+        return Date.UTC(year, month + 1, 1);
+      case 'quarter':
+        return Date.UTC(year, month + 3, 1);
+      default:
+        return Date.UTC(year + 1, 0, 1);
+    }
+  }
+
+  /**
+   * Normalize the value series: column names use the shared `fn`, objects
+   * ({ column, fn, as }) their own; no values counts rows per period
+   * @returns {Array} Measures as returned by Aggregator.parseMeasures
+   */
+  static parseValues(values, fn, columns) {
+    const list = Array.isArray(values) ? values : RowQuery.parseList(values);
+    const specs = list.map(item => (typeof item === 'string' ? { column: item, fn } : { fn, ...item }));
+    const measures = Aggregator.parseMeasures(specs, columns);
+
+    measures.forEach(measure => {
+      if (!RESAMPLE_FUNCTIONS.includes(measure.fn)) {
+        throw new QueryError(`Unsupported aggregate "${measure.fn}". Use one of: ${RESAMPLE_FUNCTIONS.join(', ')}`);
+      }
+      if (['min', 'max'].includes(measure.fn) && measure.type !== 'number') {
+        throw new QueryError(`Aggregate "${measure.fn}" requires a number column, "${measure.column}" is ${measure.type}`);
+      }
+    });
+    return measures;
+  }
+
+  /**
+   * Fill the empty periods of a series
+   * @param {Array} values - One value per period, null where the period had no data
+   * @param {String} fill - One of FILL_METHODS
+   */
+  static fillGaps(values, fill) {
+    if (fill === 'zero') {
+      return values.map(value => (value === null ? 0 : value));
+    }
+    if (fill === 'previous') {
+      let last = null;
+      return values.map(value => {
+        if (value !== null) last = value;
+        return last;
+      });
+    }
+    if (fill === 'linear') {
+      const filled = [...values];
+      let previous = -1;
+      values.forEach((value, index) => {
+        if (value === null) return;
+        if (previous >= 0 && index - previous > 1) {
+          const step = (value - values[previous]) / (index - previous);
+          for (let i = previous + 1; i < index; i++) filled[i] = values[previous] + step * (i - previous);
+        }
+        previous = index;
+      });
+      return filled;
+    }
+    return values;
+  }
+
+  /**
+   * Trailing moving average; null until a full window of periods is available
+   * or when every value in the window is empty
+   */
+  static movingAverage(values, window) {
+    return values.map((value, index) => {
+      if (index < window - 1) return null;
+      const present = values.slice(index - window + 1, index + 1).filter(item => item !== null);
+      return present.length > 0 ? Statistics.mean(present) : null;
+    });
+  }
+
+  /**
+   * Absolute and percent change between two values; percent is null when the
+   * base is 0
+   */
+  static change(value, base) {
+    if (value === null || base === null || base === undefined) {
+      return { change: null, changePercent: null };
+    }
+    return {
+      change: value - base,
+      changePercent: base !== 0 ? ((value - base) / Math.abs(base)) * 100 : null
+    };
+  }
+
+  /**
+   * Resample a date column to a regular frequency, with gap filling, moving
+   * averages, period-over-period and year-over-year change and a linear trend
+   * @param {Object} fileData - FileData document (needs _id and columns)
+   * @param {Object} options - { dateColumn, values, frequency, fn, fill, window, filters }
+   * @returns {Object} { dateColumn, frequency, window, rowCount, skippedRows, periodCount, start, end, series }
+   */
+  static async resample(fileData, options = {}) {
+    const columns = RowQuery.visibleColumns(fileData);
+    if (!options.dateColumn) {
+      throw new QueryError('A dateColumn is required');
+    }
+    const dateColumn = RowQuery.getColumn(columns, options.dateColumn);
+    if (dateColumn.type !== 'date') {
+      throw new QueryError(`Column "${dateColumn.name}" must be a date column, it is ${dateColumn.type}`);
+    }
+
+    const frequency = options.frequency || 'month';
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new QueryError(`Unsupported frequency "${frequency}". Use one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (options.fill !== undefined && !FILL_METHODS.includes(options.fill)) {
+      throw new QueryError(`Unsupported fill "${options.fill}". Use one of: ${FILL_METHODS.join(', ')}`);
+    }
+    const window = options.window !== undefined ? parseInt(options.window, 10) : DEFAULT_WINDOW;
+    if (!(window >= 2)) {
+      throw new QueryError('Window must be at least 2');
+    }
+
+    const measures = this.parseValues(options.values, options.fn || 'sum', columns);
+    const predicate = RowQuery.buildPredicate(RowQuery.parseFilters(options.filters, columns));
+
+    const buckets = new Map();
+    let rowCount = 0;
+    let skippedRows = 0;
+    for await (const row of DatasetStore.iterateRows(fileData._id)) {
+      if (!predicate(row)) continue;
+      const date = FileProcessor.coerceValue(row[dateColumn.name], 'date', dateColumn.format);
+      if (!date) {
+        skippedRows++;
+        continue;
+      }
+      rowCount++;
+
+      const start = this.periodStart(date, frequency);
+      let bucket = buckets.get(start);
+      if (!bucket) {
+        bucket = { rows: 0, accumulators: measures.map(() => Aggregator.createAccumulator()) };
+        buckets.set(start, bucket);
+      }
+      bucket.rows++;
+      measures.forEach((measure, index) => {
+        const value = measure.column ? FileProcessor.coerceValue(row[measure.column], measure.type, measure.format) : null;
+        Aggregator.accumulate(bucket.accumulators[index], measure, value);
+      });
+    }
+
+    if (buckets.size === 0) {
+      return { dateColumn: dateColumn.name, frequency, window, rowCount, skippedRows, periodCount: 0, start: null, end: null, series: [] };
+    }
+
+    // Every period between the first and last one, including empty ones
+    const starts = Array.from(buckets.keys());
+    const last = Math.max(...starts);
+    const periods = [];
+    for (let start = Math.min(...starts); start <= last; start = this.nextPeriod(start, frequency)) {
+      if (periods.length >= MAX_PERIODS) {
+        throw new QueryError(`Resampling by ${frequency} gives more than ${MAX_PERIODS} periods; use a coarser frequency`);
+      }
+      const label = Aggregator.bucketDate(new Date(start), frequency);
+      periods.push({ start, label, bucket: buckets.get(start) || null });
+    }
+
+    // Labels start with the (ISO week) year, so the same period a year earlier
+    // only differs in that prefix
+    const indexByLabel = new Map(periods.map((period, index) => [period.label, index]));
+    const yearAgo = periods.map(period => {
+      const previous = `${Number(period.label.slice(0, 4)) - 1}${period.label.slice(4)}`;
+      return indexByLabel.has(previous) ? indexByLabel.get(previous) : null;
+    });
+
+    const series = measures.map((measure, position) => {
+      const fill = options.fill || (['count', 'sum', 'distinctCount'].includes(measure.fn) ? 'zero' : 'null');
+      const raw = periods.map(period => (period.bucket ? Aggregator.finalizeMeasure(measure, period.bucket.accumulators[position]) : null));
+      const values = this.fillGaps(raw, fill);
+      const averages = this.movingAverage(values, window);
+
+      const xs = [];
+      const ys = [];
+      values.forEach((value, index) => {
+        if (value === null) return;
+        xs.push(index);
+        ys.push(value);
+      });
+      const fit = Statistics.linearFit(xs, ys);
+
+      const points = periods.map((period, index) => {
+        const periodChange = this.change(values[index], index > 0 ? values[index - 1] : null);
+        const yearChange = this.change(values[index], yearAgo[index] !== null ? values[yearAgo[index]] : null);
+        return {
+          period: period.label,
+          start: new Date(period.start).toISOString(),
+          value: values[index],
+          filled: raw[index] === null,
+          rows: period.bucket ? period.bucket.rows : 0,
+          movingAverage: averages[index],
+          change: periodChange.change,
+          changePercent: periodChange.changePercent,
+          yoyChange: yearChange.change,
+          yoyChangePercent: yearChange.changePercent,
+          trend: fit ? fit.intercept + fit.slope * index : null
+        };
+      });
+
+      return {
+        name: measure.as,
+        column: measure.column,
+        fn: measure.fn,
+        fill,
+        emptyPeriods: raw.filter(value => value === null).length,
+        trend: fit && {
+          slope: fit.slope,
+          intercept: fit.intercept,
+          rSquared: fit.rSquared,
+          direction: fit.slope > 0 ? 'up' : (fit.slope < 0 ? 'down' : 'flat'),
+          n: fit.n
+        },
+        points
+      };
+    });
+
+    return {
+      dateColumn: dateColumn.name,
+      frequency,
+      window,
+      rowCount,
+      skippedRows,
+      periodCount: periods.length,
+      start: new Date(periods[0].start).toISOString(),
+      end: new Date(periods[periods.length - 1].start).toISOString(),
+      series
+    };
+  }
+}
+
+module.exports = TimeSeries;
@@ -0,0 +1,314 @@
+const Statistics = require('./statistics');
+
+const TYPE_THRESHOLD = 0.8;
+const DISTINCT_TRACK_LIMIT = 10000;
+const CATEGORICAL_MAX_DISTINCT = 100;
+const CATEGORICAL_MAX_DISTINCT_RATIO = 0.2;
+const CATEGORICAL_MAX_LENGTH = 50;
+const CATEGORICAL_MAX_WORDS = 3;
+
+const CURRENCY_SYMBOL = '[$€£¥₹₩₽]';
+// Active ISO 4217 codes; any other three capitals (order or invoice prefixes
+// like ORD1001) are not currencies
+const CURRENCY_CODES = (
+  'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL ' +
+  'BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ' +
+  'ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR ' +
+  'IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL ' +
+  'LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR ' +
+  'NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD ' +
+  'SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX ' +
+  'USD UYU UZS VES VND VUV WST XAF XCD XOF XPF YER ZAR ZMW ZWL'
+).split(' ');
+const CURRENCY_CODE = `(?:${CURRENCY_CODES.join('|')})`;
+
+const PATTERNS = {
+  integer: /^[+-]?\d+$/,
+  float: /^[+-]?(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?$/,
+  // 1,234,567.89
+  groupedDot: /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/,
+  // 1.234.567,89 or 1234,56
+  groupedComma: /^[+-]?(\d{1,3}(\.\d{3})+,\d+|\d+,\d+)$/,
+  // 1.234 is a decimal in en-US and an integer in de-DE
+  ambiguousDot: /^[+-]?\d{1,3}(\.\d{3})+$/,
+  // $1,200, USD 1,200 or 1.200 EUR; a code before the amount needs a space
+  currencySymbol: new RegExp(
+    `^[+-]?\\(?\\s*[+-]?\\s*(${CURRENCY_SYMBOL}\\s*|${CURRENCY_CODE}\\s+)([\\d.,]+)\\s*\\)?$|` +
+    `^[+-]?\\(?\\s*([\\d.,]+)\\s*(${CURRENCY_SYMBOL}|${CURRENCY_CODE})\\s*\\)?$`
+  ),
+  currencyCode: new RegExp(`^([+-]?)${CURRENCY_CODE}\\s+|\\s*${CURRENCY_CODE}$`),
+  percentage: /^[+-]?\s*([\d.,]+)\s*%$/,
+  datetime: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i,
+  timezone: /(Z|[+-]\d{2}:?\d{2})$/i,
+  date: [
+    /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
+    /^\d{2}\/\d{2}\/\d{4}$/, // MM/DD/YYYY
+    /^\d{2}-\d{2}-\d{4}$/, // MM-DD-YYYY
+    /^\d{4}\/\d{2}\/\d{2}$/ // YYYY/MM/DD
+  ],
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  url: /^(https?:\/\/|ftp:\/\/|www\.)[^\s]+$/i,
+  boolean: /^(true|false)$/i
+};
+
+/**
+ * Infers column types over every value of a column. Each column gets a base
+ * `type` (number, date, boolean, string) used throughout the app, plus a
+ * `subtype` (integer, float, currency, percentage, date, datetime, boolean,
+ * email, url, categorical, text), a confidence score, the null ratio and any
+ * `format` details needed to parse the values back.
+ */
+class TypeInference {
+  /**
+   * Create an empty running profile for one column
+   */
+  static createProfile() {
+    return {
+      nonNull: 0,
+      counts: {
+        boolean: 0,
+        integer: 0,
+        float: 0,
+        ambiguousDot: 0,
+        groupedDot: 0,
+        groupedComma: 0,
+        currency: 0,
+        percentage: 0,
+        date: 0,
+        datetime: 0,
+        timezone: 0,
+        email: 0,
+        url: 0,
+        fractional: 0,
+        commaAmounts: 0,
+        dotAmounts: 0
+      },
+      currencies: {},
+      distinct: new Set(),
+      distinctOverflow: false,
+      totalLength: 0,
+      totalWords: 0
+    };
+  }
+
+  /**
+   * Classify one value and add it to a column profile
+   * @param {Object} profile - Profile from createProfile
+   * @param {*} value - Raw value as parsed from the file
+   */
+  static addValue(profile, value) {
+    if (value === null || value === undefined || value === '') return;
+    if (typeof value === 'string' && value.trim() === '') return;
+
+    profile.nonNull++;
+    const { counts } = profile;
+
+    if (!profile.distinctOverflow) {
+      profile.distinct.add(typeof value === 'string' ? value.trim() : value);
+      if (profile.distinct.size > DISTINCT_TRACK_LIMIT) {
+        profile.distinctOverflow = true;
+        profile.distinct.clear();
+      }
+    }
+
+    if (typeof value === 'boolean') {
+      counts.boolean++;
+      return;
+    }
+    if (typeof value === 'number') {
+      if (Number.isInteger(value)) {
+        counts.integer++;
+      } else {
+        counts.float++;
+        counts.fractional++;
+      }
+      return;
+    }
+    if (value instanceof Date) {
+      counts.datetime++;
+      return;
+    }
+
+    const text = String(value).trim();
+    profile.totalLength += text.length;
+    profile.totalWords += text.split(/\s+/).length;
+
+    // Amounts next to a currency or percent sign, written as 1.234,56 or 1,234.56
+    const countAmount = amount => {
+      if (PATTERNS.groupedComma.test(amount) && !PATTERNS.groupedDot.test(amount)) counts.commaAmounts++;
+      else if (PATTERNS.groupedDot.test(amount) || /\.\d+$/.test(amount)) counts.dotAmounts++;
+    };
+
+    if (PATTERNS.boolean.test(text)) counts.boolean++;
+    else if (PATTERNS.integer.test(text)) counts.integer++;
+    else if (PATTERNS.ambiguousDot.test(text)) counts.ambiguousDot++;
+    else if (PATTERNS.float.test(text)) {
+      counts.float++;
+      if (/[.eE]/.test(text)) counts.fractional++;
+    } else if (PATTERNS.groupedDot.test(text)) {
+      counts.groupedDot++;
+      if (text.includes('.')) counts.fractional++;
+    } else if (PATTERNS.groupedComma.test(text)) counts.groupedComma++;
+    else if (PATTERNS.percentage.test(text)) {
+      counts.percentage++;
+      countAmount(text.match(PATTERNS.percentage)[1]);
+    } else if (PATTERNS.currencySymbol.test(text)) {
+      const match = text.match(PATTERNS.currencySymbol);
+      const symbol = (match[1] || match[4]).trim();
+      counts.currency++;
+      countAmount(match[2] || match[3]);
+      profile.currencies[symbol] = (profile.currencies[symbol] || 0) + 1;
+    } else if (PATTERNS.datetime.test(text)) {
+      counts.datetime++;
+      if (PATTERNS.timezone.test(text)) counts.timezone++;
+    } else if (PATTERNS.date.some(pattern => pattern.test(text))) {
+      if (!isNaN(new Date(text).getTime())) counts.date++;
+    } else if (PATTERNS.email.test(text)) counts.email++;
+    else if (PATTERNS.url.test(text)) counts.url++;
+  }
+
+  /**
+   * Decide the column type from a finished profile
+   * @param {Object} profile - Profile filled by addValue
+   * @param {Number} rowCount - Total rows in the dataset
+   * @returns {Object} { type, subtype, confidence, nullRatio, format }
+   */
+  static finalize(profile, rowCount) {
+    const { nonNull, counts } = profile;
+    const nullRatio = rowCount > 0 ? round((rowCount - nonNull) / rowCount) : 1;
+
+    if (nonNull === 0) {
+      return { type: 'string', subtype: null, confidence: 0, nullRatio, format: null };
+    }
+
+    const ratio = count => count / nonNull;
+    const plainNumbers = counts.integer + counts.float;
+
+    // Decimal comma numbers only count when nothing points to a decimal point
+    const decimalComma = counts.groupedComma > 0 && counts.groupedDot === 0 && counts.float === 0;
+    const localeNumbers = decimalComma ? counts.groupedComma : counts.groupedDot;
+    const numeric = plainNumbers + counts.ambiguousDot + localeNumbers;
+    const numberFormat = decimalComma
+      ? { decimal: ',', thousands: '.' }
+      : (counts.groupedDot > 0 ? { decimal: '.', thousands: ',' } : null);
+    const hasDecimals = counts.fractional > 0 ||
+      (decimalComma ? counts.groupedComma > 0 : counts.ambiguousDot > 0);
+    // Currency and percentage amounts carry their own decimal convention
+    const amountFormat = counts.commaAmounts > counts.dotAmounts
+      ? { decimal: ',', thousands: '.' }
+      : numberFormat;
+
+    const candidates = [
+      { type: 'boolean', subtype: 'boolean', score: ratio(counts.boolean) },
+      {
+        type: 'number',
+        subtype: hasDecimals ? 'float' : 'integer',
+        score: ratio(numeric),
+        format: numberFormat
+      },
+      {
+        type: 'number',
+        subtype: 'currency',
+        score: counts.currency >= nonNull * 0.5 ? ratio(counts.currency + numeric) : 0,
+        format: { ...(amountFormat || {}), currency: (Statistics.mostFrequent(profile.currencies) || [null])[0] }
+      },
+      {
+        type: 'number',
+        subtype: 'percentage',
+        score: counts.percentage >= nonNull * 0.5 ? ratio(counts.percentage + numeric) : 0,
+        format: { ...(amountFormat || {}), percent: true }
+      },
+      {
+        type: 'date',
+        subtype: 'datetime',
+        score: counts.datetime >= counts.date ? ratio(counts.datetime + counts.date) : 0,
+        format: { timezone: counts.timezone > 0 }
+      },
+      { type: 'date', subtype: 'date', score: ratio(counts.date + counts.datetime) },
+      { type: 'string', subtype: 'email', score: ratio(counts.email) },
+      { type: 'string', subtype: 'url', score: ratio(counts.url) }
+    ];
+
+    const match = candidates.find(candidate => candidate.score >= TYPE_THRESHOLD);
+    if (match) {
+      return {
+        type: match.type,
+        subtype: match.subtype,
+        confidence: round(match.score),
+        nullRatio,
+        format: match.format || null
+      };
+    }
+
+    // Text: the share of values that did not fit any stronger type
+    const strongest = Math.max(...candidates.map(candidate => candidate.score));
+    const averageLength = profile.totalLength / nonNull;
+    const averageWords = profile.totalWords / nonNull;
+    const distinctCount = profile.distinctOverflow ? Infinity : profile.distinct.size;
+    const categorical = averageLength <= CATEGORICAL_MAX_LENGTH && averageWords <= CATEGORICAL_MAX_WORDS &&
+      (distinctCount <= CATEGORICAL_MAX_DISTINCT || distinctCount / nonNull <= CATEGORICAL_MAX_DISTINCT_RATIO);
+
+    return {
+      type: 'string',
+      subtype: categorical ? 'categorical' : 'text',
+      confidence: round(1 - strongest),
+      nullRatio,
+      format: null
+    };
+  }
+
+  /**
+   * Infer the type of a list of values in one go
+   * @param {Array} values - Column values
+   * @returns {Object} { type, subtype, confidence, nullRatio, format }
+   */
+  static inferValues(values) {
+    const profile = this.createProfile();
+    values.forEach(value => this.addValue(profile, value));
+    return this.finalize(profile, values.length);
+  }
+
+  /**
+   * Parse a number written with currency symbols, percent signs, grouping
+   * separators or accounting parentheses
+   * @param {*} value - Raw value
+   * @param {Object} format - { decimal, thousands } from the inferred column format
+   * @returns {Number|null}
+   */
+  static parseNumber(value, format = {}) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (typeof value === 'boolean' || value === null || value === undefined) return null;
+
+    let text = String(value).trim();
+    if (text === '') return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+
+    text = text.replace(PATTERNS.currencyCode, '$1').replace(/[$€£¥₹₩₽%\s]/g, '');
+    if (text.startsWith('-')) {
+      negative = !negative;
+      text = text.slice(1);
+    } else if (text.startsWith('+')) {
+      text = text.slice(1);
+    }
+
+    const decimal = format && format.decimal === ',' ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    text = text.split(thousands).join('');
+    if (decimal === ',') text = text.replace(',', '.');
+
+    if (!PATTERNS.float.test(text)) return null;
+    const number = Number(text);
+    return isNaN(number) ? null : (negative ? -number : number);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = TypeInference;
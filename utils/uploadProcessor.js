@@ -0,0 +1,374 @@
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const FileData = require('../models/FileData');
+const FileProcessor = require('./fileProcessor');
+const DatasetStore = require('./datasetStore');
+const DataAnalyzer = require('./dataAnalyzer');
+const DataQuality = require('./dataQuality');
+const UploadStore = require('./uploadStore');
+const { RowQuery } = require('./rowQuery');
+
+const JOB_TYPE = 'processUpload';
+// Share of the progress bar used by parsing; stats take the rest
+const PARSE_PERCENT = 90;
+
+/**
+ * Background handler for uploads: parses the stored file into DataChunk rows,
+ * infers column types and precomputes summary statistics and the data-quality
+ * report. The FileData record created at upload time tracks the state through
+ * `status` and `isProcessed`.
+ */
+class UploadProcessor {
+  /**
+   * Parse an upload queued by the upload controller
+   * @param {Object} job - Job document; payload holds the upload details and parse options
+   * @param {Function} progress - Progress reporter from JobQueue
+   * @returns {Object} Summary of the stored dataset(s)
+   */
+  static async run(job, progress) {
+    const { fileId, uploadId, fileType, options = {} } = job.payload;
+    const details = {
+      userId: job.userId,
+      fileName: job.payload.fileName,
+      originalName: job.payload.originalName,
+      fileType,
+      fileSize: job.payload.fileSize,
+      jobId: job._id
+    };
+
+    // A job picked up again after a crash starts from a clean slate
+    await this.removePartialData(job);
+
+    const placeholder = await FileData.findOneAndUpdate(
+      { _id: fileId },
+      { $set: { status: 'processing', isProcessed: false }, $unset: { processingError: 1 } }
+    );
+    if (!placeholder) {
+      throw new Error('File was deleted before it could be processed');
+    }
+
+    await progress({ stage: 'reading', percent: 0 });
+    const source = await UploadStore.read(uploadId);
+    const totalRows = this.estimateRows(source, fileType);
+    let rowsParsed = 0;
+
+    const onProgress = rowCount => {
+      rowsParsed += rowCount;
+      return progress({
+        stage: 'parsing',
+        rowsParsed,
+        totalRows,
+        percent: totalRows ? Math.min(PARSE_PERCENT, Math.floor((rowsParsed / totalRows) * PARSE_PERCENT)) : null
+      });
+    };
+    await progress({ stage: 'parsing', rowsParsed, totalRows });
+
+    const datasets = [];
+
+    if (['csv', 'tsv'].includes(fileType)) {
+      const dialect = {
+        delimiter: options.delimiter || (fileType === 'tsv' ? '\t' : undefined),
+        quote: options.quote,
+        encoding: options.encoding,
+        headerRow: options.headerRow,
+        skipLines: options.skipLines,
+        hasHeader: options.hasHeader
+      };
+      datasets.push(await this.storeDataset(fileId, details, onProgress,
+        onRows => FileProcessor.processCSV(source, { onRows, dialect })));
+    } else if (['json', 'ndjson'].includes(fileType)) {
+      const { arrayStrategy, recordPath } = options;
+      datasets.push(await this.storeDataset(fileId, details, onProgress, onRows => (fileType === 'json'
+        ? FileProcessor.processJSON(source, { onRows, arrayStrategy, recordPath })
+        : FileProcessor.processNDJSON(source, { onRows, arrayStrategy }))));
+    } else if (['xlsx', 'xls'].includes(fileType)) {
+      const { sheets, headerRow, headerRowCount } = options;
+      const workbook = FileProcessor.readWorkbook(source);
+      const sheetNames = FileProcessor.selectSheets(workbook, sheets);
+      const explicitSelection = sheets !== undefined && sheets !== '';
+      const sheetRows = this.estimateSheetRows(workbook, sheetNames);
+      await progress({ stage: 'parsing', rowsParsed, totalRows: sheetRows, percent: 0 });
+
+      const sheetProgress = rowCount => {
+        rowsParsed += rowCount;
+        return progress({
+          stage: 'parsing',
+          rowsParsed,
+          totalRows: sheetRows,
+          percent: sheetRows ? Math.min(PARSE_PERCENT, Math.floor((rowsParsed / sheetRows) * PARSE_PERCENT)) : null
+        });
+      };
+
+      for (const sheetName of sheetNames) {
+        // The first stored sheet fills the FileData created at upload time
+        const datasetId = datasets.length === 0 ? fileId : null;
+        const stored = await this.storeDataset(datasetId, { ...details, sheetName }, sheetProgress, async onRows => {
+          const result = await FileProcessor.processSheet(workbook, sheetName, { sheetName, headerRow, headerRowCount, onRows });
+          if (result.rowCount > 0) return result;
+
+          // Blank sheets are skipped unless they were asked for explicitly
+          if (explicitSelection) {
+            throw new Error(`Sheet "${sheetName}" is empty or has no data`);
+          }
+          return null;
+        });
+
+        if (!stored) {
+          await progress({ warning: `Skipped empty sheet "${sheetName}"` });
+          continue;
+        }
+        datasets.push(stored);
+      }
+
+      if (datasets.length === 0) {
+        throw new Error('Excel file is empty or has no data');
+      }
+    } else {
+      throw new Error(`Unsupported file type: ${fileType}`);
+    }
+
+    await this.checkNotDeleted(job);
+
+    // Precompute the summary statistics the AI endpoints start from and the
+    // data-quality report
+    const results = [];
+    for (const [index, dataset] of datasets.entries()) {
+      const share = (100 - PARSE_PERCENT) / datasets.length;
+      await progress({
+        stage: 'stats',
+        rowsParsed,
+        percent: PARSE_PERCENT + Math.floor(index * share)
+      });
+      const summaryStats = await this.computeStats(dataset.fileData, progress);
+
+      await progress({
+        stage: 'quality',
+        rowsParsed,
+        percent: PARSE_PERCENT + Math.floor((index + 0.5) * share)
+      });
+      const qualityReport = await this.computeQuality(dataset.fileData, progress);
+
+      results.push({ summaryStats, qualityReport });
+    }
+
+    // A file deleted while the job ran must not leave its rows behind
+    await this.checkNotDeleted(job);
+    for (const [index, dataset] of datasets.entries()) {
+      await FileData.updateOne({ _id: dataset.fileData._id }, {
+        $set: { status: 'ready', isProcessed: true, ...results[index] }
+      });
+    }
+
+    await UploadStore.remove(uploadId);
+
+    const [{ fileData, processedData }] = datasets;
+    const result = {
+      fileId: fileData._id,
+      fileName: details.originalName,
+      fileType,
+      rowCount: processedData.rowCount,
+      columns: processedData.columns,
+      uploadDate: fileData.uploadDate
+    };
+
+    if (processedData.dialect) {
+      result.dialect = processedData.dialect;
+    }
+
+    if (fileData.sheetName) {
+      result.sheetName = fileData.sheetName;
+      result.sheets = datasets.map(dataset => ({
+        fileId: dataset.fileData._id,
+        sheetName: dataset.fileData.sheetName,
+        headerRow: dataset.processedData.headerRow,
+        rowCount: dataset.processedData.rowCount,
+        columns: dataset.processedData.columns
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark the upload as failed and drop anything stored for it
+   */
+  static async onFailed(job, error) {
+    const { fileId, uploadId } = job.payload;
+    await this.removePartialData(job);
+    await FileData.updateOne({ _id: fileId }, {
+      $set: { status: 'failed', isProcessed: false, processingError: error.message }
+    });
+    await UploadStore.remove(uploadId);
+  }
+
+  /**
+   * Stop a job whose file was deleted while it ran, removing the rows and
+   * sheet datasets it already stored
+   */
+  static async checkNotDeleted(job) {
+    if (await FileData.exists({ _id: job.payload.fileId })) return;
+    await this.removePartialData(job);
+    throw new Error('File was deleted while it was being processed');
+  }
+
+  /**
+   * Remove rows and extra sheet datasets written by an earlier run of a job
+   */
+  static async removePartialData(job) {
+    const { fileId } = job.payload;
+    const extras = await FileData.find({ jobId: job._id, _id: { $ne: fileId } }).select('_id');
+    for (const extra of extras) {
+      await DatasetStore.deleteRows(extra._id);
+      await FileData.deleteOne({ _id: extra._id });
+    }
+    await DatasetStore.deleteRows(fileId);
+  }
+
+  /**
+   * Parse one dataset into the DataChunk collection and save its columns.
+   * `parse` receives the row callback and resolves to the processed file summary,
+   * or to null when there is nothing worth storing. Passing a fileId updates the
+   * FileData created at upload time; otherwise a new record is created.
+   */
+  static async storeDataset(fileId, details, onProgress, parse) {
+    const existing = Boolean(fileId);
+    // Rows are written while the file is parsed, so a new dataset needs its id up front
+    const datasetId = fileId || new mongoose.Types.ObjectId();
+    const writer = DatasetStore.createWriter(datasetId);
+
+    try {
+      const processedData = await parse(async rows => {
+        await writer.write(rows);
+        await onProgress(rows.length);
+      });
+      if (!processedData) {
+        await DatasetStore.deleteRows(datasetId);
+        return null;
+      }
+      await writer.flush();
+      console.log('File processed successfully:', {
+        sheetName: details.sheetName,
+        rowCount: processedData.rowCount,
+        columnsCount: processedData.columns.length
+      });
+
+      // Create a deep copy of columns to avoid any reference issues
+      const columnsCopy = JSON.parse(JSON.stringify(processedData.columns));
+
+      for (let i = 0; i < columnsCopy.length; i++) {
+        const col = columnsCopy[i];
+        if (!col || typeof col !== 'object' || !col.name || !col.type) {
+          throw new Error(`Invalid column structure at index ${i}: ${JSON.stringify(col)}`);
+        }
+      }
+
+      const fields = {
+        ...details,
+        columns: columnsCopy,
+        rowCount: processedData.rowCount,
+        dialect: processedData.dialect,
+        status: 'processing'
+      };
+
+      let fileData;
+      if (existing) {
+        fileData = await FileData.findOneAndUpdate({ _id: datasetId }, { $set: fields }, { new: true, runValidators: true });
+        if (!fileData) {
+          throw new Error('File was deleted while it was being processed');
+        }
+      } else {
+        fileData = await FileData.create({ _id: datasetId, ...fields });
+      }
+
+      return { fileData, processedData };
+    } catch (error) {
+      await DatasetStore.deleteRows(datasetId);
+      throw error;
+    }
+  }
+
+  /**
+   * Summary statistics over the visible columns of a stored dataset. A failure
+   * here is not fatal: the stats are computed on request instead.
+   */
+  static async computeStats(fileData, progress) {
+    try {
+      const rows = await DatasetStore.loadRows(fileData._id);
+      return DataAnalyzer.generateSummaryStats(rows, RowQuery.visibleColumns(fileData));
+    } catch (error) {
+      console.error('Summary stats error:', error);
+      await progress({ warning: `Summary statistics were not precomputed: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Data-quality report of a stored dataset; like the stats, a failure only
+   * means the report is built on request instead
+   */
+  static async computeQuality(fileData, progress) {
+    try {
+      return await DataQuality.run(fileData);
+    } catch (error) {
+      console.error('Data quality error:', error);
+      await progress({ warning: `Data quality report was not precomputed: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Response body for requests on a file whose processing has not finished
+   * @param {Object} fileData - FileData document (needs status fields)
+   * @returns {Object|null} 409 response body, or null when the file is ready
+   */
+  static notReadyResponse(fileData) {
+    if (fileData.isProcessed) return null;
+
+    return {
+      success: false,
+      message: fileData.status === 'failed'
+        ? `File processing failed: ${fileData.processingError || 'unknown error'}`
+        : 'File is still being processed',
+      data: {
+        status: fileData.status,
+        jobId: fileData.jobId
+      }
+    };
+  }
+
+  /**
+   * Estimate the row count of a text file from its line breaks, so parsing
+   * progress can be reported as a percentage. JSON documents give no estimate.
+   */
+  static estimateRows(source, fileType) {
+    if (!['csv', 'tsv', 'ndjson'].includes(fileType)) return null;
+
+    let lines = 0;
+    let index = source.indexOf(0x0a);
+    while (index !== -1) {
+      lines++;
+      index = source.indexOf(0x0a, index + 1);
+    }
+    if (source.length > 0 && source[source.length - 1] !== 0x0a) lines++;
+
+    // CSV and TSV files spend one line on the header
+    return Math.max(fileType === 'ndjson' ? lines : lines - 1, 0) || null;
+  }
+
+  /**
+   * Estimate the data rows of the selected sheets from their used ranges
+   */
+  static estimateSheetRows(workbook, sheetNames) {
+    const total = sheetNames.reduce((sum, sheetName) => {
+      const worksheet = workbook.Sheets[sheetName];
+      if (!worksheet || !worksheet['!ref']) return sum;
+      const range = XLSX.utils.decode_range(worksheet['!ref']);
+      return sum + Math.max(range.e.r - range.s.r, 0);
+    }, 0);
+    return total || null;
+  }
+}
+
+UploadProcessor.JOB_TYPE = JOB_TYPE;
+
+module.exports = UploadProcessor;
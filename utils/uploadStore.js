@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const BUCKET_NAME = 'uploads';
+
+/**
+ * Keeps uploaded files in GridFS until a background job has parsed them,
+ * so queued work survives restarts and does not depend on local disk.
+ */
+class UploadStore {
+  static bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+  }
+
+  /**
+   * Store the raw bytes of an upload
+   * @param {Buffer} buffer - File contents
+   * @param {String} fileName - Original file name
+   * @param {Object} metadata - Extra details kept with the file
+   * @returns {ObjectId} GridFS file id
+   */
+  static async save(buffer, fileName, metadata = {}) {
+    const upload = this.bucket().openUploadStream(fileName, { metadata });
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+    return upload.id;
+  }
+
+  /**
+   * Read a stored upload back into memory
+   * @param {ObjectId} uploadId - GridFS file id
+   * @returns {Buffer}
+   */
+  static async read(uploadId) {
+    const parts = [];
+    for await (const part of this.bucket().openDownloadStream(uploadId)) {
+      parts.push(part);
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Remove a stored upload, ignoring files that are already gone
+   * @param {ObjectId} uploadId - GridFS file id
+   */
+  static async remove(uploadId) {
+    try {
+      await this.bucket().delete(uploadId);
+    } catch (error) {
+      if (!/File not found/i.test(error.message)) throw error;
+    }
+  }
+}
+
+module.exports = UploadStore;